@@ -0,0 +1,12 @@
+// Reorder quantity maths, loaded before script.js (and run on its own by the unit tests)
+
+/**
+ * Units to order for a SKU at or below its reorder point.
+ * needed: the reorder quantity plus any shortfall below the reorder point, less the expected stock
+ * already on order. quantity: needed, capped at the supplier's stock when the sheet has it (0 stays 0).
+ */
+function suggestReorderQuantity({ stock, reorderPoint, reorderQty, expectedStock, supplierStock }) {
+    const needed = Math.max(0, reorderQty + Math.max(0, reorderPoint - stock) - Math.max(0, expectedStock ?? 0));
+    const quantity = supplierStock != null ? Math.max(0, Math.min(needed, supplierStock)) : needed;
+    return { needed, quantity };
+}
@@ -6,21 +6,52 @@ let currentPage = 1;
 const PAGE_SIZE = 50;
 let lastClickedIndex = null;
 let exchangeRate = null;
-let identitySelections = {};
+let exchangeRateInfo = null; // Full /api/exchange-rate response (source, stale flag, lock)
 let identityOverrides = {}; // Manual price overrides
-let roundingValue = 0;
+let pricingRules = []; // Server-side pricing rules, in evaluation order
+let pricingSettings = { // Server-side pricing settings
+    minProfit: null, minMarginPct: null, fxAlertPct: null,
+    vatRatePct: 23, zohoRateIncludesVat: false, vatOverrides: {},
+    shippingPerUnit: 0, dutyPct: 0, fxSpreadPct: 0, paymentFeePct: 0, paymentFeeFixed: 0
+};
 let zohoUpdateTimestamps = {}; // SKU -> last update timestamp
+let shopifyPriceTimestamps = {}; // SKU -> last Shopify price push timestamp
 let shopifyStockData = {}; // SKU -> stock level
 let zohoStockData = {}; // SKU -> stock level
+let zohoItemData = {}; // SKU -> { itemId, rate, purchaseRate, status }
 let zohoStockOverrides = {}; // SKU -> manual override
 let shopifyStockOverrides = {}; // SKU -> manual override
 let shopifyStatusData = {}; // SKU -> status (ACTIVE, DRAFT, ARCHIVED)
 let shopifyProductIds = {}; // SKU -> Shopify product GID
+let shopifyVariantIds = {}; // SKU -> Shopify variant GID
+let shopifyLocationStock = {}; // SKU -> { location GID: on-hand quantity }
+let shopifyLocations = {}; // location GID -> name
+let locationSettings = { defaultLocationId: null, split: [], jobMode: 'default', jobReplaceOthers: false }; // Server-side Match Stock locations
+let stockTolerances = { zohoShopify: 0, shopifyTrade: 0 }; // Server-side reconciliation tolerances (units)
+let reorderSettings = { rules: [], overrides: {}, vendorId: null }; // Server-side reorder levels and PO vendor
+let shopifyVariantNames = {}; // SKU -> { sku (as stored in Shopify), name, variantTitle }
+let variantGroupSizes = new Map(); // group key -> number of variants in filteredData
+let expandedGroups = new Set(); // group keys with their variant rows shown
+let skuRules = { ignoreCase: false, stripWhitespace: false, stripPrefixes: [] }; // Server-side SKU normalization
+let skuAliases = []; // [{ sku, digitalId, zoho, shopify }]
+let pricingDrafts = {}; // SKU -> { updatedBy, updatedAt } for shared drafts
+let currentView = 'matched'; // 'matched' | 'tradeOnly' | 'digitalOnly'
+let pendingDraftSkus = new Set();
+let draftSaveTimer = null;
 
 // --- LOGGING ---
 const LOG_STORAGE_KEY = 'price_dashboard_logs';
 const ZOHO_TIMESTAMPS_KEY = 'price_dashboard_zoho_timestamps';
+const SHOPIFY_PRICE_TIMESTAMPS_KEY = 'price_dashboard_shopify_price_timestamps';
 const MAX_LOG_ENTRIES = 1000;
+const DRAFT_USER_KEY = 'price_dashboard_user_name';
+const TRADE_COLUMNS_KEY = 'price_dashboard_show_trade_columns';
+const VAT_RATE_OPTIONS = [
+    { value: '23', label: '23%' },
+    { value: '13.5', label: '13.5%' },
+    { value: '0', label: '0%' }
+];
+const DRAFT_SAVE_DELAY = 800;
 
 function saveLog(entries) {
     const logs = getLogs();
@@ -60,6 +91,19 @@ function loadZohoTimestamps() {
     }
 }
 
+function saveShopifyPriceTimestamps() {
+    localStorage.setItem(SHOPIFY_PRICE_TIMESTAMPS_KEY, JSON.stringify(shopifyPriceTimestamps));
+}
+
+function loadShopifyPriceTimestamps() {
+    try {
+        const stored = localStorage.getItem(SHOPIFY_PRICE_TIMESTAMPS_KEY);
+        return stored ? JSON.parse(stored) : {};
+    } catch {
+        return {};
+    }
+}
+
 function formatTimestamp(isoString) {
     if (!isoString) return '—';
     const date = new Date(isoString);
@@ -81,12 +125,58 @@ const prevPageBtn = document.getElementById('prev-page');
 const nextPageBtn = document.getElementById('next-page');
 const filterSkuEl = document.getElementById('filter-sku');
 const filterNameEl = document.getElementById('filter-name');
+const filterCompetitorEl = document.getElementById('filter-competitor');
+const filterReleaseEl = document.getElementById('filter-release');
+const filterDiscontinuedEl = document.getElementById('filter-discontinued');
+const filterExpectedEl = document.getElementById('filter-expected');
+const productTableEl = document.getElementById('product-table');
+const showTradeColumnsEl = document.getElementById('show-trade-columns');
 const exchangeRateEl = document.getElementById('exchange-rate-text');
-const identityFillAllEl = document.getElementById('identity-fill-all');
-const roundingSelectEl = document.getElementById('rounding-select');
+const exchangeRateBtn = document.getElementById('exchange-rate-btn');
+const exchangeRateModal = document.getElementById('exchange-rate-modal');
+const fxDetailsEl = document.getElementById('fx-details');
+const fxLockRateEl = document.getElementById('fx-lock-rate');
+const fxStatusEl = document.getElementById('fx-status');
+const fxHistoryRangeEl = document.getElementById('fx-history-range');
+const fxChartEl = document.getElementById('fx-chart');
+const fxAlertDetailsEl = document.getElementById('fx-alert-details');
+const fxAlertBannerEl = document.getElementById('fx-alert-banner');
+const settingFxAlertEl = document.getElementById('setting-fx-alert');
+const pricingRulesBtn = document.getElementById('pricing-rules-btn');
+const pricingRulesModal = document.getElementById('pricing-rules-modal');
+const pricingRulesBody = document.getElementById('pricing-rules-body');
+const pricingRulesStatusEl = document.getElementById('pricing-rules-status');
+const pricingSettingsBtn = document.getElementById('pricing-settings-btn');
+const pricingSettingsModal = document.getElementById('pricing-settings-modal');
+const pricingSettingsStatusEl = document.getElementById('pricing-settings-status');
+const settingMinProfitEl = document.getElementById('setting-min-profit');
+const settingMinMarginEl = document.getElementById('setting-min-margin');
+const settingVatRateEl = document.getElementById('setting-vat-rate');
+const settingZohoIncludesVatEl = document.getElementById('setting-zoho-includes-vat');
+const LANDED_COST_FIELDS = {
+    shippingPerUnit: 'setting-shipping',
+    dutyPct: 'setting-duty',
+    fxSpreadPct: 'setting-fx-spread',
+    paymentFeePct: 'setting-fee-pct',
+    paymentFeeFixed: 'setting-fee-fixed'
+};
+const tradeOnlyPricingEl = document.getElementById('trade-only-pricing');
+const tradeOnlyMarkupEl = document.getElementById('trade-only-markup');
 const pushSelectedZohoBtn = document.getElementById('push-selected-zoho');
 const matchStockBtn = document.getElementById('match-stock-btn');
 const zohoStatusEl = document.getElementById('zoho-status');
+const zohoPushModal = document.getElementById('zoho-push-modal');
+const zohoPushTableBody = document.getElementById('zoho-push-table-body');
+const zohoPushSummaryEl = document.getElementById('zoho-push-summary');
+const zohoPushCheckAllEl = document.getElementById('zoho-push-check-all');
+const confirmZohoPushBtn = document.getElementById('confirm-zoho-push');
+const pushPricesShopifyBtn = document.getElementById('push-prices-shopify');
+const shopifyPriceModal = document.getElementById('shopify-price-modal');
+const shopifyPriceSummaryEl = document.getElementById('shopify-price-summary');
+const shopifyPriceFloorEl = document.getElementById('shopify-price-floor');
+const shopifyPriceFloorListEl = document.getElementById('shopify-price-floor-list');
+const shopifyCompareAtModeEl = document.getElementById('shopify-compare-at-mode');
+const shopifyCompareAtPctEl = document.getElementById('shopify-compare-at-pct');
 
 // Pastel colors for alternating rows
 const pastelColors = [
@@ -125,10 +215,17 @@ async function fetchExchangeRate() {
     }
 }
 
+async function fetchExchangeRateHistory(days) {
+    const response = await fetch(`/api/exchange-rate/history?days=${days}`);
+    const data = await response.json();
+    if (data.error) throw new Error(data.error);
+    return data;
+}
+
 async function fetchShopifyStock() {
     const token = localStorage.getItem('price_dashboard_shopify_token');
     if (!token) {
-        return { stock: {}, status: {}, productIds: {} };
+        return { stock: {}, status: {}, productIds: {}, variantIds: {}, names: {}, locationStock: {}, locations: {}, locationSettings: null };
     }
     try {
         const response = await fetch('/api/shopify/stock', {
@@ -142,11 +239,16 @@ async function fetchShopifyStock() {
         return {
             stock: data.stock || {},
             status: data.status || {},
-            productIds: data.productIds || {}
+            productIds: data.productIds || {},
+            variantIds: data.variantIds || {},
+            names: data.names || {},
+            locationStock: data.locationStock || {},
+            locations: data.locations || {},
+            locationSettings: data.locationSettings || null
         };
     } catch (error) {
         console.error('Failed to fetch Shopify stock:', error);
-        return { stock: {}, status: {}, productIds: {} };
+        return { stock: {}, status: {}, productIds: {}, variantIds: {}, names: {}, locationStock: {}, locations: {}, locationSettings: null };
     }
 }
 
@@ -156,19 +258,149 @@ async function fetchZohoStock() {
         if (!response.ok) throw new Error('Failed to fetch');
         const data = await response.json();
         if (data.error) throw new Error(data.error);
-        return data.stock || {};
+        return {
+            stock: data.stock || {},
+            items: data.items || {}
+        };
     } catch (error) {
         console.error('Failed to fetch Zoho stock:', error);
+        return { stock: {}, items: {} };
+    }
+}
+
+async function fetchStockTolerances() {
+    try {
+        const response = await fetch('/api/stock/tolerances');
+        if (!response.ok) throw new Error('Failed to fetch');
+        const data = await response.json();
+        if (data.error) throw new Error(data.error);
+        return data;
+    } catch (error) {
+        console.error('Failed to fetch stock tolerances:', error);
         return {};
     }
 }
 
-// --- FUNCTIONS ---
-function roundToNearest(value, nearest) {
-    if (!nearest || nearest === 0) return value;
-    return Math.round(value / nearest) * nearest;
+async function fetchReorderSettings() {
+    try {
+        const response = await fetch('/api/stock/reorder');
+        if (!response.ok) throw new Error('Failed to fetch');
+        const data = await response.json();
+        if (data.error) throw new Error(data.error);
+        return data;
+    } catch (error) {
+        console.error('Failed to fetch reorder settings:', error);
+        return {};
+    }
+}
+
+async function fetchPricingDrafts() {
+    try {
+        const response = await fetch('/api/pricing/drafts');
+        if (!response.ok) throw new Error('Failed to fetch');
+        const data = await response.json();
+        if (data.error) throw new Error(data.error);
+        return data.drafts || {};
+    } catch (error) {
+        console.error('Failed to fetch pricing drafts:', error);
+        return {};
+    }
+}
+
+async function fetchPricingSettings() {
+    try {
+        const response = await fetch('/api/pricing/settings');
+        if (!response.ok) throw new Error('Failed to fetch');
+        const data = await response.json();
+        if (data.error) throw new Error(data.error);
+        return data.settings || {};
+    } catch (error) {
+        console.error('Failed to fetch pricing settings:', error);
+        return {};
+    }
+}
+
+// --- PRICING DRAFTS ---
+// Asked once when the dashboard opens, never in the middle of a save
+function askDraftUser() {
+    if (localStorage.getItem(DRAFT_USER_KEY)) return;
+    const user = (prompt('Your name (shown on draft prices you set):') || '').trim();
+    if (user) localStorage.setItem(DRAFT_USER_KEY, user);
+}
+
+function getDraftUser() {
+    return localStorage.getItem(DRAFT_USER_KEY) || null;
+}
+
+function applyPricingDrafts(drafts) {
+    pricingDrafts = {};
+    Object.entries(drafts).forEach(([sku, draft]) => {
+        if (draft.override !== undefined) identityOverrides[sku] = draft.override;
+        if (draft.zohoStock !== undefined) zohoStockOverrides[sku] = draft.zohoStock;
+        if (draft.shopifyStock !== undefined) shopifyStockOverrides[sku] = draft.shopifyStock;
+        pricingDrafts[sku] = { updatedBy: draft.updatedBy, updatedAt: draft.updatedAt };
+    });
+}
+
+function describeDraft(sku) {
+    const draft = pricingDrafts[sku];
+    if (!draft) return '';
+    return `Draft set by ${draft.updatedBy || 'unknown'} on ${formatTimestamp(draft.updatedAt)}`;
+}
+
+function queueDraftSave(skus) {
+    skus.forEach(sku => pendingDraftSkus.add(sku));
+    clearTimeout(draftSaveTimer);
+    draftSaveTimer = setTimeout(flushDraftSaves, DRAFT_SAVE_DELAY);
 }
 
+async function flushDraftSaves() {
+    if (pendingDraftSkus.size === 0) return;
+    const skus = [...pendingDraftSkus];
+    pendingDraftSkus.clear();
+
+    // Send every field for each SKU; null clears it on the server
+    const drafts = {};
+    skus.forEach(sku => {
+        drafts[sku] = {
+            override: identityOverrides[sku] ?? null,
+            zohoStock: zohoStockOverrides[sku] ?? null,
+            shopifyStock: shopifyStockOverrides[sku] ?? null
+        };
+    });
+
+    try {
+        // keepalive lets the save finish when it is flushed while the page unloads
+        const response = await fetch('/api/pricing/drafts', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ drafts, user: getDraftUser() }),
+            keepalive: true
+        });
+        const data = await response.json();
+        if (data.error) throw new Error(data.error);
+
+        Object.entries(data.drafts || {}).forEach(([sku, draft]) => {
+            if (draft) {
+                pricingDrafts[sku] = { updatedBy: draft.updatedBy, updatedAt: draft.updatedAt };
+            } else {
+                delete pricingDrafts[sku];
+            }
+        });
+    } catch (error) {
+        console.error('Failed to save pricing drafts:', error);
+        zohoStatusEl.textContent = `Draft not saved: ${error.message}`;
+        zohoStatusEl.className = 'text-sm text-red-500';
+    }
+}
+
+// Save edits still waiting for the debounce when the page is closed or reloaded
+window.addEventListener('beforeunload', () => {
+    clearTimeout(draftSaveTimer);
+    flushDraftSaves();
+});
+
+// --- FUNCTIONS ---
 function formatPrice(price) {
     if (price === null || price === undefined || isNaN(price)) return '—';
     return `£${price.toFixed(2)}`;
@@ -215,13 +447,55 @@ function gbpToEur(gbpAmount) {
     return gbpAmount / exchangeRate;
 }
 
-function calculateProfit(product, sellingPrice) {
-    if (sellingPrice == null) return null;
-    const costGbp = product.set1?.cost;
-    if (costGbp == null) return null;
-    const costEur = gbpToEur(costGbp);
+// VAT rate for a SKU: per-SKU override, then the pricing rule's rate, then the default
+function getVatRate(sku, product) {
+    return pricingSettings.vatOverrides?.[sku] ?? product?.pricing?.vatRatePct ?? pricingSettings.vatRatePct;
+}
+
+function exVat(grossPrice, vatRatePct) {
+    if (grossPrice == null) return null;
+    return grossPrice / (1 + vatRatePct / 100);
+}
+
+// Figure sent to Zoho for a VAT-inclusive shelf price, depending on how Zoho stores its rate
+function toZohoRate(grossPrice, vatRatePct) {
+    const rate = pricingSettings.zohoRateIncludesVat ? grossPrice : exVat(grossPrice, vatRatePct);
+    return parseFloat(rate.toFixed(2));
+}
+
+// Mirrors the worker's zohoRateToGross
+function zohoRateToGross(rate, vatRatePct) {
+    if (rate == null || pricingSettings.zohoRateIncludesVat) return rate;
+    return rate * (1 + vatRatePct / 100);
+}
+
+// Landed cost model - mirrors the worker's calculateLandedCost / calculateTrueProfit
+function calculateLandedCost(costEur) {
     if (costEur == null) return null;
-    return sellingPrice - costEur;
+    const converted = costEur * (1 + pricingSettings.fxSpreadPct / 100);
+    return converted * (1 + pricingSettings.dutyPct / 100) + pricingSettings.shippingPerUnit;
+}
+
+function calculatePaymentFees(grossPrice) {
+    return grossPrice * (pricingSettings.paymentFeePct / 100) + pricingSettings.paymentFeeFixed;
+}
+
+function calculateTrueProfit(costEur, grossPrice, vatRatePct) {
+    if (costEur == null || grossPrice == null) return null;
+    const netPrice = exVat(grossPrice, vatRatePct);
+    const profit = netPrice - calculateLandedCost(costEur) - calculatePaymentFees(grossPrice);
+    return { profit, marginPct: netPrice > 0 ? (profit / netPrice) * 100 : null };
+}
+
+// True profit: ex-VAT shelf price minus landed Trade cost and payment fees
+function calculateProfit(product, sellingPrice) {
+    const result = calculateTrueProfit(gbpToEur(product.set1?.cost), sellingPrice, getVatRate(product.sku, product));
+    return result ? result.profit : null;
+}
+
+function calculateTrueMargin(product, sellingPrice) {
+    const result = calculateTrueProfit(gbpToEur(product.set1?.cost), sellingPrice, getVatRate(product.sku, product));
+    return result ? result.marginPct : null;
 }
 
 function formatProfit(profit) {
@@ -230,31 +504,87 @@ function formatProfit(profit) {
     return `${sign}€${profit.toFixed(2)}`;
 }
 
-function calculateIdentityPrice(product, selection) {
-    if (!selection) return null;
+function formatMarginPct(margin) {
+    if (margin === null || margin === undefined || isNaN(margin)) return '—';
+    return `${margin.toFixed(1)}%`;
+}
 
-    const digitalIdGbp = product.set2?.cost;
-    if (digitalIdGbp == null) return null;
+// Mirrors the worker's checkMarginFloor so rows can be flagged before pushing
+function checkMarginFloor(costPrice, grossPrice, vatRatePct) {
+    if (grossPrice == null || (pricingSettings.minProfit == null && pricingSettings.minMarginPct == null)) return null;
+    if (costPrice == null) return 'No cost price to check the margin floor against';
 
-    let price = null;
+    const { profit, marginPct: margin } = calculateTrueProfit(costPrice, grossPrice, vatRatePct);
+    if (pricingSettings.minProfit != null && profit < pricingSettings.minProfit) {
+        return `Profit €${profit.toFixed(2)} is below the €${pricingSettings.minProfit.toFixed(2)} floor`;
+    }
 
-    if (selection === 'digitalId') {
-        price = gbpToEur(digitalIdGbp);
-    } else {
-        const markupMatch = selection.match(/^\+(\d+)$/);
-        if (markupMatch) {
-            const markupPercent = parseInt(markupMatch[1]);
-            const eurPrice = gbpToEur(digitalIdGbp);
-            if (eurPrice == null) return null;
-            price = eurPrice * (1 + markupPercent / 100);
-        }
+    if (pricingSettings.minMarginPct != null && (margin === null || margin < pricingSettings.minMarginPct)) {
+        return `Margin ${formatMarginPct(margin)} is below the ${pricingSettings.minMarginPct}% floor`;
     }
 
-    if (price !== null && roundingValue > 0) {
-        price = roundToNearest(price, roundingValue);
+    return null;
+}
+
+// Like the worker, a push without a cost is checked against the item's current Zoho cost
+function checkItemMarginFloor(item) {
+    const costPrice = item.costPrice ?? zohoItemData[item.sku]?.purchaseRate ?? null;
+    return checkMarginFloor(costPrice, zohoRateToGross(item.sellingPrice, item.vatRatePct), item.vatRatePct);
+}
+
+// True margin of a Zoho cost/rate pair
+function zohoTrueMargin(costPrice, rate, vatRatePct) {
+    return calculateTrueProfit(costPrice, zohoRateToGross(rate, vatRatePct), vatRatePct)?.marginPct ?? null;
+}
+
+function createVatDropdown(sku, product) {
+    const override = pricingSettings.vatOverrides?.[sku];
+    const inherited = product.pricing?.vatRatePct ?? pricingSettings.vatRatePct;
+    const options = [{ value: '', label: `${inherited}%*` }, ...VAT_RATE_OPTIONS];
+    const optionsHtml = options.map(opt =>
+        `<option value="${opt.value}" ${opt.value === (override != null ? String(override) : '') ? 'selected' : ''}>${opt.label}</option>`
+    ).join('');
+    return `<select class="vat-select text-xs border border-gray-300 rounded px-0.5 py-0.5 ${override != null ? 'bg-yellow-100' : 'bg-white'}" data-sku="${sku}" title="${override != null ? 'Per-SKU VAT rate' : product.pricing?.vatRatePct != null ? 'VAT rate from pricing rule' : 'Default VAT rate'}">${optionsHtml}</select>`;
+}
+
+async function updateVatOverride(sku, value) {
+    const previous = pricingSettings.vatOverrides?.[sku];
+    pricingSettings.vatOverrides = { ...pricingSettings.vatOverrides };
+    if (value === '') {
+        delete pricingSettings.vatOverrides[sku];
+    } else {
+        pricingSettings.vatOverrides[sku] = parseFloat(value);
     }
+    renderTable();
+
+    try {
+        const response = await fetch('/api/pricing/settings', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ settings: { vatOverrides: { [sku]: value === '' ? null : value } } })
+        });
+        const data = await response.json();
+        if (data.error) throw new Error(data.error);
+        pricingSettings = data.settings;
 
-    return price;
+        // True-margin rules price from the ex-VAT figure, so the server has to re-price
+        if (productData.find(p => p.sku === sku)?.pricing?.target === 'margin') {
+            productData = await fetchProductData();
+            applyFilters();
+            return;
+        }
+    } catch (error) {
+        console.error('Failed to save VAT rate:', error);
+        pricingSettings.vatOverrides = { ...pricingSettings.vatOverrides };
+        if (previous == null) {
+            delete pricingSettings.vatOverrides[sku];
+        } else {
+            pricingSettings.vatOverrides[sku] = previous;
+        }
+        zohoStatusEl.textContent = `Failed to save VAT rate for ${sku}: ${error.message}`;
+        zohoStatusEl.className = 'text-sm text-red-500';
+    }
+    renderTable();
 }
 
 function getIdentityPrice(sku, product) {
@@ -262,9 +592,48 @@ function getIdentityPrice(sku, product) {
     if (identityOverrides[sku] !== undefined) {
         return identityOverrides[sku];
     }
-    // Otherwise calculate from selection
-    const selection = identitySelections[sku] || '';
-    return calculateIdentityPrice(product, selection);
+    // Otherwise use the price from the matching server-side rule
+    return product.pricing?.price ?? null;
+}
+
+// Index of each price in a product.priceHistory point: [date, tradeId, digitalId]
+const HISTORY_FIELDS = { tradeId: 1, digitalId: 2 };
+
+// Most recent change of one price in the snapshot history, or null if it never changed
+function getPriceChange(product, field) {
+    const points = product.priceHistory || [];
+    const idx = HISTORY_FIELDS[field];
+    if (points.length < 2) return null;
+
+    const current = points[points.length - 1][idx];
+    for (let i = points.length - 2; i >= 0; i--) {
+        if (points[i][idx] !== current) {
+            return { previous: points[i][idx], current, since: points[i + 1][0] };
+        }
+    }
+    return null;
+}
+
+function formatPriceChange(change) {
+    if (!change || change.previous == null || change.current == null) return '';
+    const up = change.current > change.previous;
+    return `<span class="text-xs ${up ? 'text-red-500' : 'text-green-600'}" title="Was ${formatPrice(change.previous)} until ${change.since}">${up ? '▲' : '▼'}</span>`;
+}
+
+function renderSparkline(product, field) {
+    const values = (product.priceHistory || []).map(p => p[HISTORY_FIELDS[field]]).filter(v => v != null);
+    if (values.length < 2) return '';
+
+    const width = 36;
+    const height = 12;
+    const min = Math.min(...values);
+    const span = Math.max(...values) - min || 1;
+    const points = values.map((v, i) =>
+        `${((i / (values.length - 1)) * width).toFixed(1)},${(height - 1 - ((v - min) / span) * (height - 2)).toFixed(1)}`
+    ).join(' ');
+    const title = product.priceHistory.map(p => `${p[0]}: ${formatPrice(p[HISTORY_FIELDS[field]])}`).join('\n');
+
+    return `<svg class="inline-block align-middle ml-1" width="${width}" height="${height}"><title>${title}</title><polyline points="${points}" fill="none" stroke="currentColor" stroke-width="1"></polyline></svg>`;
 }
 
 function getSortValue(product, key) {
@@ -275,22 +644,73 @@ function getSortValue(product, key) {
         case 'zohoStock': return zohoStockData[product.sku] ?? -1;
         case 'shopifyStatus': return shopifyStatusData[product.sku] || '';
         case 'name': return product.set1?.name || '';
+        case 'releaseDate': return product.set1?.releaseDate || '';
+        case 'discontinued': return product.set1?.discontinued ? 1 : 0;
+        case 'expectedStock': return product.set1?.expectedStock ?? -1;
         case 'tradeId': return product.set1?.cost ?? -1;
         case 'digitalId': return product.set2?.cost ?? -1;
         case 'diff': return calculateDiff(product) ?? -9999;
         case 'markup': return calculateMarkup(product) ?? -9999;
+        case 'rule': return product.pricing?.ruleName || '';
+        case 'zohoCost': return zohoItemData[product.sku]?.purchaseRate ?? -1;
+        case 'zohoRate': return zohoItemData[product.sku]?.rate ?? -1;
+        case 'trueMargin': return calculateTrueMargin(product, getIdentityPrice(product.sku, product)) ?? -9999;
         default: return '';
     }
 }
 
+// Release filter: upcoming (after today), recent (last 30 days) or none (no release date)
+function matchesReleaseFilter(product, filter) {
+    if (!filter) return true;
+    const releaseDate = product.set1?.releaseDate;
+    if (filter === 'none') return !releaseDate;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(releaseDate || '')) return false;
+
+    const today = new Date().toISOString().slice(0, 10);
+    if (filter === 'upcoming') return releaseDate > today;
+    const monthAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    return releaseDate <= today && releaseDate >= monthAgo;
+}
+
+function formatReleaseDate(releaseDate) {
+    if (!releaseDate) return '—';
+    const upcoming = releaseDate > new Date().toISOString().slice(0, 10);
+    return `<span class="${upcoming ? 'text-blue-600 font-medium' : 'text-gray-600'}" title="${upcoming ? 'Not yet released' : 'Released'}">${escapeHtml(releaseDate)}</span>`;
+}
+
+function setTradeColumnsVisible(visible) {
+    showTradeColumnsEl.checked = visible;
+    productTableEl.classList.toggle('show-trade-columns', visible);
+    localStorage.setItem(TRADE_COLUMNS_KEY, visible ? '1' : '0');
+    // Hidden filters must not keep narrowing the table
+    if (!visible && (filterReleaseEl.value || filterDiscontinuedEl.value || filterExpectedEl.value)) {
+        filterReleaseEl.value = '';
+        filterDiscontinuedEl.value = '';
+        filterExpectedEl.value = '';
+        applyFilters();
+    }
+}
+
 function applyFilters() {
     const skuFilter = filterSkuEl.value.toLowerCase().trim();
     const nameFilter = filterNameEl.value.toLowerCase().trim();
-
+    const competitorDays = parseInt(filterCompetitorEl.value);
+    const competitorSince = competitorDays
+        ? new Date(Date.now() - competitorDays * 24 * 60 * 60 * 1000).toISOString().slice(0, 10)
+        : null;
+    const releaseFilter = filterReleaseEl.value;
+    const discontinuedFilter = filterDiscontinuedEl.value;
+    const expectedFilter = filterExpectedEl.value;
+
+    renderViewToggle();
     filteredData = productData.filter(p => {
+        if (productView(p) !== currentView) return false;
         const skuMatch = !skuFilter || (p.sku || '').toLowerCase().includes(skuFilter);
         const nameMatch = !nameFilter || (p.set1?.name || '').toLowerCase().includes(nameFilter);
-        return skuMatch && nameMatch;
+        const competitorMatch = !competitorSince || (getPriceChange(p, 'digitalId')?.since || '') >= competitorSince;
+        const discontinuedMatch = !discontinuedFilter || (discontinuedFilter === 'yes') === !!p.set1?.discontinued;
+        const expectedMatch = !expectedFilter || (expectedFilter === 'incoming') === (p.set1?.expectedStock > 0);
+        return skuMatch && nameMatch && competitorMatch && matchesReleaseFilter(p, releaseFilter) && discontinuedMatch && expectedMatch;
     });
 
     currentPage = 1;
@@ -311,9 +731,70 @@ function sortData() {
         return 0;
     });
 
+    groupVariantRows();
     renderTable();
 }
 
+// Variants share a Shopify product; before (or without) Shopify data, fall back to the Trade-Id Product ID
+function variantGroupKey(product) {
+    return shopifyProductIds[product.sku]
+        || (product.productId ? `trade:${product.productId}` : `sku:${product.sku}`);
+}
+
+// Keep the variants of a product together, at the sort position of the first one
+function groupVariantRows() {
+    const groups = new Map();
+    filteredData.forEach(product => {
+        const key = variantGroupKey(product);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(product);
+    });
+    filteredData = [...groups.values()].flat();
+    variantGroupSizes = new Map([...groups].map(([key, products]) => [key, products.length]));
+}
+
+function variantLabel(product) {
+    return shopifyVariantNames[product.sku]?.variantTitle || product.set1?.variations || product.sku;
+}
+
+function sumStock(values) {
+    const known = values.filter(v => v !== undefined && v !== null);
+    return known.length > 0 ? known.reduce((sum, v) => sum + v, 0) : null;
+}
+
+// Parent row for a multi-variant product: totals, price range and the product-level status
+function renderVariantParentRow(groupKey, products) {
+    const first = products[0];
+    const expanded = expandedGroups.has(groupKey);
+    const prices = products.map(p => getIdentityPrice(p.sku, p)).filter(p => p !== null);
+    const priceRange = prices.length === 0 ? '—'
+        : Math.min(...prices) === Math.max(...prices) ? formatPriceEur(prices[0])
+        : `${formatPriceEur(Math.min(...prices))} – ${formatPriceEur(Math.max(...prices))}`;
+    const fullName = first.set1?.name || 'Unknown';
+
+    const row = document.createElement('tr');
+    row.className = 'variant-parent bg-white border-t border-gray-300 font-medium';
+    row.dataset.group = groupKey;
+    row.innerHTML = `
+        <td class="px-2 py-1.5">
+            <input type="checkbox" class="group-check rounded border-gray-300" data-group="${escapeHtml(groupKey)}" title="Select all variants">
+        </td>
+        <td class="px-2 py-1.5 text-gray-700 whitespace-nowrap">
+            <button class="group-toggle text-gray-500 hover:text-gray-800" data-group="${escapeHtml(groupKey)}">${expanded ? '▾' : '▸'} ${variantGroupSizes.get(groupKey)} variants</button>
+        </td>
+        <td class="px-2 py-1.5 text-gray-600">${formatStock(sumStock(products.map(p => p.set1?.stock)))}</td>
+        <td class="px-2 py-1.5 text-gray-600">${formatStock(sumStock(products.map(p => zohoStockData[p.sku])))}</td>
+        <td class="px-2 py-1.5 text-gray-600">${formatStock(sumStock(products.map(p => shopifyStockData[p.sku])))}</td>
+        <td class="px-2 py-1.5">${shopifyProductIds[first.sku] ? createStatusDropdown(first.sku, shopifyStatusData[first.sku]) : ''}</td>
+        <td class="px-2 py-1.5 text-gray-900 truncate" title="${escapeHtml(fullName)}">${escapeHtml(fullName)}</td>
+        <td class="trade-extra-col"></td>
+        <td class="trade-extra-col"></td>
+        <td class="trade-extra-col"></td>
+        <td colspan="14" class="px-2 py-1.5 text-xs text-indigo-700">Identity ${priceRange}</td>
+    `;
+    return row;
+}
+
 function createStatusDropdown(sku, currentStatus) {
     const statusColors = {
         'ACTIVE': 'bg-green-100 text-green-800',
@@ -330,28 +811,6 @@ function createStatusDropdown(sku, currentStatus) {
     </select>`;
 }
 
-function createIdentityDropdown(sku, currentSelection) {
-    const options = [
-        { value: '', label: 'Select...' },
-        { value: 'digitalId', label: 'Digital ID €' },
-        { value: '+10', label: '+10%' },
-        { value: '+20', label: '+20%' },
-        { value: '+30', label: '+30%' },
-        { value: '+40', label: '+40%' },
-        { value: '+50', label: '+50%' },
-        { value: '+75', label: '+75%' },
-        { value: '+100', label: '+100%' },
-        { value: '+150', label: '+150%' },
-        { value: '+200', label: '+200%' }
-    ];
-
-    const optionsHtml = options.map(opt =>
-        `<option value="${opt.value}" ${opt.value === currentSelection ? 'selected' : ''}>${opt.label}</option>`
-    ).join('');
-
-    return `<select class="identity-select" data-sku="${sku}">${optionsHtml}</select>`;
-}
-
 function renderTable() {
     tableBody.innerHTML = '';
     lastClickedIndex = null;
@@ -362,7 +821,7 @@ function renderTable() {
     const pageData = filteredData.slice(startIdx, endIdx);
 
     if (pageData.length === 0) {
-        tableBody.innerHTML = '<tr><td colspan="14" class="px-2 py-8 text-center text-gray-500">No results found</td></tr>';
+        tableBody.innerHTML = '<tr><td colspan="24" class="px-2 py-8 text-center text-gray-500">No results found</td></tr>';
         updatePagination(0, 0);
         return;
     }
@@ -373,8 +832,20 @@ function renderTable() {
         row.dataset.sku = product.sku;
         row.dataset.index = globalIdx;
 
+        // Multi-variant products get a parent row (repeated at the top of a page) with collapsible variant rows
+        const groupKey = variantGroupKey(product);
+        const isVariant = variantGroupSizes.get(groupKey) > 1;
+        if (isVariant && (idx === 0 || variantGroupKey(pageData[idx - 1]) !== groupKey)) {
+            tableBody.appendChild(renderVariantParentRow(groupKey, filteredData.filter(p => variantGroupKey(p) === groupKey)));
+        }
+
         const pastelColor = pastelColors[idx % pastelColors.length];
         row.className = `${pastelColor} hover:bg-gray-100 transition-colors`;
+        if (isVariant) {
+            row.dataset.group = groupKey;
+            row.classList.add('variant-row');
+            if (!expandedGroups.has(groupKey)) row.classList.add('hidden');
+        }
 
         const set1Cost = product.set1?.cost;
         const set1Stock = product.set1?.stock;
@@ -385,7 +856,7 @@ function renderTable() {
         const markup = calculateMarkup(product);
 
         // Identity column
-        const identitySelection = identitySelections[product.sku] || '';
+        const ruleName = product.pricing?.ruleName || '';
         const identityPrice = getIdentityPrice(product.sku, product);
         const hasOverride = identityOverrides[product.sku] !== undefined;
         const priceValue = identityPrice !== null ? identityPrice.toFixed(2) : '';
@@ -394,22 +865,28 @@ function renderTable() {
         const diffColor = diff === null ? 'text-gray-400' : diff >= 0 ? 'text-green-600' : 'text-red-600';
         const markupColor = markup === null ? 'text-gray-400' : markup >= 0 ? 'text-green-600' : 'text-red-600';
 
-        // Calculate profit
+        // Calculate true profit (net of VAT, landed cost and fees)
+        const vatRate = getVatRate(product.sku, product);
+        const exVatPrice = exVat(identityPrice, vatRate);
+        const landedCost = calculateLandedCost(gbpToEur(set1Cost));
         const profit = calculateProfit(product, identityPrice);
+        const trueMargin = calculateTrueMargin(product, identityPrice);
         const profitColor = profit === null ? 'text-gray-400' : profit >= 0 ? 'text-green-600' : 'text-red-600';
 
         // Get last Zoho update timestamp
         const lastZohoUpdate = zohoUpdateTimestamps[product.sku] || null;
+        const lastShopifyPriceUpdate = shopifyPriceTimestamps[product.sku] || null;
 
         const shopifyStock = shopifyStockData[product.sku];
         const zohoStock = zohoStockData[product.sku];
         const shopifyStatus = shopifyStatusData[product.sku];
+        const zohoItem = zohoItemData[product.sku];
 
         row.innerHTML = `
             <td class="px-2 py-1.5">
-                <input type="checkbox" class="row-check rounded border-gray-300" data-index="${globalIdx}">
+                <input type="checkbox" class="row-check rounded border-gray-300" data-index="${globalIdx}"${isVariant ? ` data-group="${escapeHtml(groupKey)}"` : ''}>
             </td>
-            <td class="px-2 py-1.5 text-gray-700">${product.sku}</td>
+            <td class="px-2 py-1.5 text-gray-700${isVariant ? ' pl-5' : ''}">${product.sku}${renderStockIssueMarker(product)}</td>
             <td class="px-2 py-1.5 text-gray-600">${formatStock(set1Stock)}</td>
             <td class="px-2 py-1.5">
                 <input type="text"
@@ -423,34 +900,46 @@ function renderTable() {
                 <input type="text"
                     class="shopify-stock-input w-14 px-1 py-0.5 text-sm text-gray-600 border border-gray-300 rounded focus:border-blue-500 focus:outline-none ${shopifyStockOverrides[product.sku] !== undefined ? 'bg-yellow-100' : 'bg-white'}"
                     data-sku="${product.sku}"
+                    title="${escapeHtml(describeLocationStock(product.sku))}"
                     value="${shopifyStockOverrides[product.sku] !== undefined ? shopifyStockOverrides[product.sku] : (shopifyStock ?? '')}"
                     placeholder="—"
                     inputmode="numeric">
             </td>
             <td class="px-2 py-1.5">
-                ${createStatusDropdown(product.sku, shopifyStatus)}
+                ${isVariant ? `<span class="text-xs text-gray-400" title="Status is set on the product">${shopifyStatus || '—'}</span>` : createStatusDropdown(product.sku, shopifyStatus)}
             </td>
-            <td class="px-2 py-1.5 text-gray-900" title="${fullName}">${productName}</td>
-            <td class="px-2 py-1.5 font-medium text-blue-700">${formatPrice(set1Cost)}</td>
-            <td class="px-2 py-1.5 font-medium text-green-700">${formatPrice(set2Cost)}</td>
+            <td class="px-2 py-1.5 text-gray-900" title="${fullName}">${isVariant ? `<span class="text-gray-600">↳ ${escapeHtml(variantLabel(product))}</span>` : productName}</td>
+            <td class="trade-extra-col px-2 py-1.5 text-xs whitespace-nowrap">${formatReleaseDate(product.set1?.releaseDate)}</td>
+            <td class="trade-extra-col px-2 py-1.5 text-xs">${product.set1?.discontinued ? '<span class="px-1 rounded bg-red-100 text-red-700">Disc.</span>' : ''}</td>
+            <td class="trade-extra-col px-2 py-1.5 text-gray-600 ${product.set1?.expectedStock > 0 ? 'font-medium text-blue-600' : ''}">${formatStock(product.set1?.expectedStock)}</td>
+            <td class="px-2 py-1.5 font-medium text-blue-700 whitespace-nowrap">${formatPrice(set1Cost)} ${formatPriceChange(getPriceChange(product, 'tradeId'))}</td>
+            <td class="px-2 py-1.5 font-medium text-green-700 whitespace-nowrap">${formatPrice(set2Cost)} ${formatPriceChange(getPriceChange(product, 'digitalId'))}${renderSparkline(product, 'digitalId')}</td>
             <td class="px-2 py-1.5 font-medium ${diffColor}">${formatDiff(diff)}</td>
             <td class="px-2 py-1.5 font-medium ${markupColor}">${formatMarkup(markup)}</td>
+            <td class="px-2 py-1.5 text-teal-700 bg-teal-50/30">${formatPriceEur(zohoItem?.purchaseRate)}</td>
+            <td class="px-2 py-1.5 font-medium text-teal-700 bg-teal-50/30">${formatPriceEur(zohoItem?.rate)}</td>
             <td class="px-2 py-1.5 bg-indigo-50/30">
                 <div class="flex items-center gap-1">
-                    ${createIdentityDropdown(product.sku, identitySelection)}
+                    <span class="rule-badge ${ruleName ? 'bg-indigo-100 text-indigo-700' : 'text-gray-400'}" title="${hasOverride ? 'Manual override' : ruleName ? `Priced by rule: ${escapeHtml(ruleName)}` : 'No rule matched'}">${hasOverride ? 'Manual' : escapeHtml(ruleName) || 'No rule'}</span>
                     <div class="flex items-center">
                         <span class="text-indigo-700">€</span>
                         <input type="text"
                             class="identity-input w-16 px-1 py-0.5 text-sm font-medium text-indigo-700 border border-gray-300 rounded focus:border-blue-500 focus:outline-none ${hasOverride ? 'bg-yellow-100' : 'bg-white'}"
                             data-sku="${product.sku}"
                             value="${priceValue}"
+                            title="${escapeHtml(describeDraft(product.sku))}"
                             placeholder="—"
                             inputmode="decimal">
                     </div>
                 </div>
             </td>
+            <td class="px-2 py-1.5 bg-indigo-50/30">${createVatDropdown(product.sku, product)}</td>
+            <td class="px-2 py-1.5 text-indigo-600 bg-indigo-50/30">${formatPriceEur(exVatPrice)}</td>
+            <td class="px-2 py-1.5 text-gray-600 bg-emerald-50/30" title="Trade cost + FX spread + duty + shipping">${formatPriceEur(landedCost)}</td>
             <td class="px-2 py-1.5 font-medium ${profitColor} bg-emerald-50/30">${formatProfit(profit)}</td>
+            <td class="px-2 py-1.5 ${profitColor} bg-emerald-50/30">${formatMarginPct(trueMargin)}</td>
             <td class="px-2 py-1.5 text-xs text-gray-500 bg-gray-50/50">${formatTimestamp(lastZohoUpdate)}</td>
+            <td class="px-2 py-1.5 text-xs text-gray-500 bg-gray-50/50">${formatTimestamp(lastShopifyPriceUpdate)}</td>
         `;
         tableBody.appendChild(row);
     });
@@ -460,7 +949,10 @@ function renderTable() {
 
     // Update stats
     const set2Count = filteredData.filter(p => p.set2?.cost).length;
-    statsEl.textContent = `${filteredData.length} products${filteredData.length !== productData.length ? ` (filtered from ${productData.length})` : ''} • ${set2Count} with Digital ID prices`;
+    const viewTotal = productData.filter(p => productView(p) === currentView).length;
+    const multiVariantCount = [...variantGroupSizes.values()].filter(size => size > 1).length;
+    statsEl.textContent = `${filteredData.length} ${VIEW_LABELS[currentView].toLowerCase()} products${filteredData.length !== viewTotal ? ` (filtered from ${viewTotal})` : ''} • ${set2Count} with Digital ID prices` +
+        (multiVariantCount > 0 ? ` • ${multiVariantCount} multi-variant` : '');
 }
 
 function updatePagination(start, end) {
@@ -512,34 +1004,19 @@ function handleShiftClick(clickedIndex, checked) {
 }
 
 function updateExchangeRateDisplay(data) {
+    exchangeRateInfo = data;
     if (data && data.rate) {
         exchangeRate = data.rate;
-        exchangeRateEl.innerHTML = `<span class="font-medium">EUR/GBP:</span> ${data.rate.toFixed(4)} <span class="text-gray-400 text-xs">(${data.date})</span>`;
+        const badge = data.source === 'locked'
+            ? ' <span class="px-1 rounded text-xs bg-indigo-100 text-indigo-700">locked</span>'
+            : data.stale ? ' <span class="px-1 rounded text-xs bg-amber-100 text-amber-800">stale</span>' : '';
+        exchangeRateEl.innerHTML = `<span class="font-medium">EUR/GBP:</span> ${data.rate.toFixed(4)} <span class="text-gray-400 text-xs">(${data.date || '—'})</span>${badge}`;
     } else {
+        exchangeRate = null;
         exchangeRateEl.textContent = 'Exchange rate unavailable';
     }
 }
 
-function updateIdentityFromDropdown(sku, selection) {
-    identitySelections[sku] = selection;
-    // Clear any manual override when dropdown changes
-    delete identityOverrides[sku];
-
-    const product = productData.find(p => p.sku === sku);
-    if (!product) return;
-
-    const identityPrice = calculateIdentityPrice(product, selection);
-    const row = tableBody.querySelector(`tr[data-sku="${sku}"]`);
-    if (row) {
-        const input = row.querySelector('.identity-input');
-        if (input) {
-            input.value = identityPrice !== null ? identityPrice.toFixed(2) : '';
-            input.classList.remove('bg-yellow-100');
-            input.classList.add('bg-white');
-        }
-    }
-}
-
 function updateIdentityFromInput(sku, value) {
     const numValue = parseFloat(value);
     if (!isNaN(numValue) && numValue >= 0) {
@@ -547,6 +1024,7 @@ function updateIdentityFromInput(sku, value) {
     } else if (value === '') {
         delete identityOverrides[sku];
     }
+    queueDraftSave([sku]);
 }
 
 async function updateShopifyStatus(sku, newStatus, selectElement) {
@@ -584,15 +1062,16 @@ async function updateShopifyStatus(sku, newStatus, selectElement) {
             throw new Error(data.error);
         }
 
-        // Update local state
-        shopifyStatusData[sku] = newStatus;
+        // Update local state (every variant of the product)
+        const variantCount = setProductStatus(productId, newStatus);
 
         // Update dropdown styling
         if (selectElement) {
             selectElement.className = `status-select w-full px-1 py-0.5 text-xs rounded border border-gray-300 ${getStatusColorClass(newStatus)}`;
         }
+        if (variantCount > 1) renderTable();
 
-        zohoStatusEl.textContent = `Status updated: ${sku} → ${newStatus}`;
+        zohoStatusEl.textContent = `Status updated: ${sku}${variantCount > 1 ? ` (${variantCount} variants)` : ''} → ${newStatus}`;
         zohoStatusEl.className = 'text-sm text-green-600';
     } catch (error) {
         zohoStatusEl.textContent = `Failed: ${error.message}`;
@@ -606,6 +1085,13 @@ async function updateShopifyStatus(sku, newStatus, selectElement) {
     }
 }
 
+// Status is product-level: apply it to every SKU on the product, returning how many there are
+function setProductStatus(productId, status) {
+    const skus = Object.keys(shopifyProductIds).filter(sku => shopifyProductIds[sku] === productId);
+    skus.forEach(sku => { shopifyStatusData[sku] = status; });
+    return skus.length;
+}
+
 function getStatusColorClass(status) {
     const statusColors = {
         'ACTIVE': 'bg-green-100 text-green-800',
@@ -615,51 +1101,61 @@ function getStatusColorClass(status) {
     return statusColors[status] || 'bg-white';
 }
 
-function fillAllIdentity(selection) {
-    productData.forEach(product => {
-        identitySelections[product.sku] = selection;
-        delete identityOverrides[product.sku];
-    });
-    renderTable();
-    identityFillAllEl.value = '';
-}
-
-function recalculateAllIdentityPrices() {
-    // Re-render to apply new rounding
-    renderTable();
-}
-
 // --- EVENT LISTENERS ---
 document.addEventListener('DOMContentLoaded', async () => {
+    askDraftUser();
+
     // Load saved timestamps
     zohoUpdateTimestamps = loadZohoTimestamps();
+    shopifyPriceTimestamps = loadShopifyPriceTimestamps();
+    setTradeColumnsVisible(localStorage.getItem(TRADE_COLUMNS_KEY) === '1');
 
-    const [rateData, products] = await Promise.all([
+    const [rateData, products, drafts, settings, tolerances, reorder] = await Promise.all([
         fetchExchangeRate(),
-        fetchProductData()
+        fetchProductData(),
+        fetchPricingDrafts(),
+        fetchPricingSettings(),
+        fetchStockTolerances(),
+        fetchReorderSettings()
     ]);
+    stockTolerances = { ...stockTolerances, ...tolerances };
+    reorderSettings = { ...reorderSettings, ...reorder };
 
     updateExchangeRateDisplay(rateData);
+    applyPricingDrafts(drafts);
+    pricingSettings = { ...pricingSettings, ...settings };
     productData = products;
-    filteredData = [...productData];
 
     if (productData.length > 0) {
         document.body.classList.add('loaded');
     }
-    sortData();
+    applyFilters();
 
     // Fetch stock levels in background (don't block initial render)
-    Promise.all([
+    loadStockData();
+});
+
+async function loadStockData() {
+    const [shopifyData, zohoData] = await Promise.all([
         fetchShopifyStock(),
         fetchZohoStock()
-    ]).then(([shopifyData, zohoStock]) => {
-        shopifyStockData = shopifyData.stock;
-        shopifyStatusData = shopifyData.status;
-        shopifyProductIds = shopifyData.productIds;
-        zohoStockData = zohoStock;
-        renderTable(); // Re-render with stock data
-    });
-});
+    ]);
+    shopifyStockData = shopifyData.stock;
+    shopifyStatusData = shopifyData.status;
+    shopifyProductIds = shopifyData.productIds;
+    shopifyVariantIds = shopifyData.variantIds;
+    shopifyVariantNames = shopifyData.names;
+    shopifyLocationStock = shopifyData.locationStock;
+    shopifyLocations = shopifyData.locations;
+    if (shopifyData.locationSettings) locationSettings = shopifyData.locationSettings;
+    renderLocationOptions();
+    zohoStockData = zohoData.stock;
+    zohoItemData = zohoData.items;
+    sortData(); // Re-group variants by Shopify product and re-render with stock data
+    updateFxAlert();
+    updateReconcileCount();
+    updateReorderCount();
+}
 
 // Sortable columns
 document.querySelectorAll('.sortable').forEach(th => {
@@ -678,6 +1174,11 @@ document.querySelectorAll('.sortable').forEach(th => {
 // Filters
 filterSkuEl.addEventListener('input', applyFilters);
 filterNameEl.addEventListener('input', applyFilters);
+filterCompetitorEl.addEventListener('change', applyFilters);
+filterReleaseEl.addEventListener('change', applyFilters);
+filterDiscontinuedEl.addEventListener('change', applyFilters);
+filterExpectedEl.addEventListener('change', applyFilters);
+showTradeColumnsEl.addEventListener('change', () => setTradeColumnsVisible(showTradeColumnsEl.checked));
 
 // Pagination
 prevPageBtn.addEventListener('click', () => {
@@ -695,28 +1196,8 @@ nextPageBtn.addEventListener('click', () => {
     }
 });
 
-// Rounding select
-roundingSelectEl.addEventListener('change', (e) => {
-    roundingValue = parseFloat(e.target.value) || 0;
-    // Clear overrides when rounding changes so recalculated values apply
-    identityOverrides = {};
-    recalculateAllIdentityPrices();
-});
-
-// Fill all identity dropdown
-identityFillAllEl.addEventListener('change', (e) => {
-    if (e.target.value) {
-        fillAllIdentity(e.target.value);
-    }
-});
-
 // Table event delegation
 tableBody.addEventListener('change', (e) => {
-    if (e.target.classList.contains('identity-select')) {
-        const sku = e.target.dataset.sku;
-        updateIdentityFromDropdown(sku, e.target.value);
-    }
-
     if (e.target.classList.contains('status-select')) {
         const sku = e.target.dataset.sku;
         const newStatus = e.target.value;
@@ -724,6 +1205,10 @@ tableBody.addEventListener('change', (e) => {
             updateShopifyStatus(sku, newStatus, e.target);
         }
     }
+
+    if (e.target.classList.contains('vat-select')) {
+        updateVatOverride(e.target.dataset.sku, e.target.value);
+    }
 });
 
 tableBody.addEventListener('input', (e) => {
@@ -764,6 +1249,7 @@ tableBody.addEventListener('input', (e) => {
             e.target.classList.remove('bg-yellow-100');
             e.target.classList.add('bg-white');
         }
+        queueDraftSave([sku]);
     }
 
     if (e.target.classList.contains('shopify-stock-input')) {
@@ -781,222 +1267,2598 @@ tableBody.addEventListener('input', (e) => {
             e.target.classList.remove('bg-yellow-100');
             e.target.classList.add('bg-white');
         }
+        queueDraftSave([sku]);
     }
 });
 
 // Row selection with shift-click
 tableBody.addEventListener('click', (e) => {
+    const toggle = e.target.closest('.group-toggle');
+    if (toggle) {
+        const groupKey = toggle.dataset.group;
+        if (expandedGroups.has(groupKey)) expandedGroups.delete(groupKey);
+        else expandedGroups.add(groupKey);
+        renderTable();
+        return;
+    }
+
+    // Selecting a product selects all of its variants, so price and stock pushes still go per variant
+    const groupCheck = e.target.closest('.group-check');
+    if (groupCheck) {
+        tableBody.querySelectorAll('.row-check').forEach(cb => {
+            if (cb.dataset.group === groupCheck.dataset.group) cb.checked = groupCheck.checked;
+        });
+        return;
+    }
+
     const checkbox = e.target.closest('.row-check');
     if (!checkbox) return;
 
-    const index = parseInt(checkbox.dataset.index);
+    const index = parseInt(checkbox.dataset.index);
+
+    if (e.shiftKey && lastClickedIndex !== null) {
+        handleShiftClick(index, checkbox.checked);
+    } else {
+        lastClickedIndex = index;
+    }
+
+    const allCheckboxes = tableBody.querySelectorAll('.row-check');
+    const allChecked = Array.from(allCheckboxes).every(cb => cb.checked);
+    const someChecked = Array.from(allCheckboxes).some(cb => cb.checked);
+    checkAllBox.checked = allChecked;
+    checkAllBox.indeterminate = someChecked && !allChecked;
+});
+
+// Check all
+checkAllBox.addEventListener('change', () => {
+    const allCheckboxes = tableBody.querySelectorAll('.row-check, .group-check');
+    allCheckboxes.forEach(box => box.checked = checkAllBox.checked);
+});
+
+// Push selected to Zoho - gather items, then confirm the diff before sending
+let pendingZohoPush = [];
+
+function renderZohoPushPreview(items) {
+    zohoPushTableBody.innerHTML = items.map((item, idx) => {
+        const current = zohoItemData[item.sku] || {};
+        const oldPrice = current.rate ?? null;
+        const change = oldPrice !== null ? item.sellingPrice - oldPrice : null;
+        const changePct = oldPrice ? (change / oldPrice) * 100 : null;
+        const oldMargin = zohoTrueMargin(current.purchaseRate ?? null, oldPrice, item.vatRatePct);
+        const newMargin = zohoTrueMargin(item.costPrice, item.sellingPrice, item.vatRatePct);
+        const changeColor = change === null ? 'text-gray-400' : change >= 0 ? 'text-green-600' : 'text-red-600';
+        const marginColor = newMargin === null ? 'text-gray-400' : newMargin >= 0 ? 'text-green-600' : 'text-red-600';
+        const floorViolation = checkItemMarginFloor(item);
+        const guardrailCell = floorViolation
+            ? `<span class="text-xs text-red-600">${escapeHtml(floorViolation)}</span>
+               <label class="ml-2 text-xs text-gray-600 whitespace-nowrap"><input type="checkbox" class="loss-leader-check rounded border-gray-300" data-index="${idx}"> Loss-leader</label>`
+            : '<span class="text-xs text-green-600">OK</span>';
+
+        return `
+            <tr class="border-b border-gray-100 hover:bg-gray-50 ${floorViolation ? 'bg-red-50/50' : ''}">
+                <td class="px-2 py-1.5"><input type="checkbox" class="zoho-push-check rounded border-gray-300" data-index="${idx}" checked></td>
+                <td class="px-2 py-1.5 text-gray-700">${escapeHtml(item.sku)}</td>
+                <td class="px-2 py-1.5 text-right text-gray-500">${formatPriceEur(current.purchaseRate ?? null)}</td>
+                <td class="px-2 py-1.5 text-right">${formatPriceEur(item.costPrice)}</td>
+                <td class="px-2 py-1.5 text-right text-gray-500">${formatPriceEur(oldPrice)}</td>
+                <td class="px-2 py-1.5 text-right font-medium text-indigo-700">${formatPriceEur(item.sellingPrice)}</td>
+                <td class="px-2 py-1.5 text-right font-medium ${changeColor}">${formatProfit(change)}</td>
+                <td class="px-2 py-1.5 text-right ${changeColor}">${formatMarkup(changePct)}</td>
+                <td class="px-2 py-1.5 text-right ${marginColor}">${formatMarginPct(oldMargin)} → ${formatMarginPct(newMargin)}</td>
+                <td class="px-2 py-1.5">${guardrailCell}</td>
+            </tr>
+        `;
+    }).join('');
+
+    const unchanged = items.filter(item => zohoItemData[item.sku]?.rate === item.sellingPrice).length;
+    const belowFloor = items.filter(checkItemMarginFloor).length;
+    zohoPushSummaryEl.textContent = `${items.length} items selected • prices ${pricingSettings.zohoRateIncludesVat ? 'inc' : 'ex'} VAT${unchanged ? ` • ${unchanged} unchanged` : ''}${belowFloor ? ` • ${belowFloor} below the margin floor (rejected unless marked loss-leader)` : ''} • untick rows to skip them`;
+    zohoPushCheckAllEl.checked = true;
+    zohoPushCheckAllEl.indeterminate = false;
+}
+
+function openZohoPushModal(items) {
+    pendingZohoPush = items;
+    renderZohoPushPreview(items);
+    zohoPushModal.classList.remove('hidden');
+    zohoPushModal.classList.add('active');
+}
+
+function closeZohoPushModal() {
+    pendingZohoPush = [];
+    zohoPushModal.classList.add('hidden');
+    zohoPushModal.classList.remove('active');
+}
+
+async function pushItemsToZoho(itemsToUpdate, rejectedItems = []) {
+    // Disable button and show progress
+    pushSelectedZohoBtn.disabled = true;
+    zohoStatusEl.textContent = `Updating ${itemsToUpdate.length} items...`;
+    zohoStatusEl.className = 'text-sm text-blue-500';
+
+    try {
+        // Items rejected by the guardrail before sending are reported like server rejections
+        let results = rejectedItems.map(item => ({ sku: item.sku, success: false, rejected: true, error: item.reason }));
+
+        if (itemsToUpdate.length > 0) {
+            const response = await fetch('/api/zoho/batch-update', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ items: itemsToUpdate, fxRate: exchangeRate })
+            });
+
+            const data = await response.json();
+
+            if (data.error) {
+                throw new Error(data.error);
+            }
+
+            results = [...data.results, ...results];
+        }
+
+        const allItems = [...itemsToUpdate, ...rejectedItems];
+        const successful = results.filter(r => r.success).length;
+        const failed = results.filter(r => !r.success).length;
+        const rejected = results.filter(r => r.rejected).length;
+        const timestamp = new Date().toISOString();
+
+        // Log all changes and update timestamps for successful items
+        const logEntries = results.map(result => {
+            const item = allItems.find(i => i.sku === result.sku);
+            const previous = zohoItemData[result.sku];
+            if (result.success) {
+                zohoUpdateTimestamps[result.sku] = timestamp;
+                if (previous && item) {
+                    zohoItemData[result.sku] = { ...previous, rate: item.sellingPrice, purchaseRate: item.costPrice };
+                }
+            }
+            return {
+                sku: result.sku,
+                costPrice: item?.costPrice,
+                sellingPrice: item?.sellingPrice,
+                previousCostPrice: previous?.purchaseRate ?? null,
+                previousSellingPrice: previous?.rate ?? null,
+                success: result.success,
+                lossLeader: !!result.lossLeader,
+                rejected: !!result.rejected,
+                fxRate: exchangeRate,
+                fxSource: exchangeRateInfo?.source || null,
+                error: result.error || null
+            };
+        });
+        saveLog(logEntries);
+        saveZohoTimestamps();
+        renderTable(); // Re-render to show updated timestamps
+
+        // The worker now measures FX moves from this push
+        if (successful > 0 && exchangeRateInfo) {
+            exchangeRateInfo = { ...exchangeRateInfo, lastPush: { rate: exchangeRate, pushedAt: timestamp, items: successful } };
+            updateFxAlert();
+        }
+
+        if (failed === 0) {
+            zohoStatusEl.textContent = `Updated ${successful} items successfully`;
+            zohoStatusEl.className = 'text-sm text-green-600';
+        } else {
+            zohoStatusEl.textContent = `Updated ${successful}, failed ${failed}${rejected ? ` (${rejected} below margin floor)` : ''}`;
+            zohoStatusEl.className = 'text-sm text-orange-500';
+            console.log('Failed items:', results.filter(r => !r.success));
+        }
+    } catch (error) {
+        zohoStatusEl.textContent = `Error: ${error.message}`;
+        zohoStatusEl.className = 'text-sm text-red-500';
+    } finally {
+        pushSelectedZohoBtn.disabled = false;
+    }
+}
+
+pushSelectedZohoBtn.addEventListener('click', () => {
+    const checkedBoxes = tableBody.querySelectorAll('.row-check:checked');
+    if (checkedBoxes.length === 0) {
+        zohoStatusEl.textContent = 'No items selected';
+        zohoStatusEl.className = 'text-sm text-orange-500';
+        return;
+    }
+
+    // Gather selected items with their identity prices
+    const itemsToUpdate = [];
+    checkedBoxes.forEach(checkbox => {
+        const row = checkbox.closest('tr');
+        const sku = row.dataset.sku;
+        const product = productData.find(p => p.sku === sku);
+        if (!product) return;
+
+        const identityPrice = getIdentityPrice(sku, product);
+        const costPriceGbp = product.set1?.cost; // Trade ID price in GBP
+        const costPriceEur = gbpToEur(costPriceGbp); // Convert to EUR
+
+        if (identityPrice !== null && costPriceEur !== null) {
+            const vatRatePct = getVatRate(sku, product);
+            itemsToUpdate.push({
+                sku,
+                itemId: zohoItemData[sku]?.itemId,
+                costPrice: parseFloat(costPriceEur.toFixed(2)),
+                sellingPrice: toZohoRate(identityPrice, vatRatePct),
+                vatRatePct
+            });
+        }
+    });
+
+    if (itemsToUpdate.length === 0) {
+        zohoStatusEl.textContent = 'No items with valid prices';
+        zohoStatusEl.className = 'text-sm text-orange-500';
+        return;
+    }
+
+    openZohoPushModal(itemsToUpdate);
+});
+
+confirmZohoPushBtn.addEventListener('click', () => {
+    const lossLeaders = new Set(
+        Array.from(zohoPushTableBody.querySelectorAll('.loss-leader-check:checked')).map(cb => parseInt(cb.dataset.index))
+    );
+    const toPush = [];
+    const rejected = [];
+
+    zohoPushTableBody.querySelectorAll('.zoho-push-check:checked').forEach(cb => {
+        const idx = parseInt(cb.dataset.index);
+        const item = pendingZohoPush[idx];
+        if (!item) return;
+
+        const floorViolation = checkItemMarginFloor(item);
+        if (!floorViolation) {
+            toPush.push(item);
+        } else if (lossLeaders.has(idx)) {
+            toPush.push({ ...item, allowLoss: true });
+        } else {
+            rejected.push({ ...item, reason: floorViolation });
+        }
+    });
+    closeZohoPushModal();
+
+    if (toPush.length === 0 && rejected.length === 0) {
+        zohoStatusEl.textContent = 'No items confirmed';
+        zohoStatusEl.className = 'text-sm text-orange-500';
+        return;
+    }
+
+    pushItemsToZoho(toPush, rejected);
+});
+
+zohoPushTableBody.addEventListener('change', (e) => {
+    if (!e.target.classList.contains('zoho-push-check')) return;
+    const boxes = Array.from(zohoPushTableBody.querySelectorAll('.zoho-push-check'));
+    const checkedCount = boxes.filter(cb => cb.checked).length;
+    zohoPushCheckAllEl.checked = checkedCount === boxes.length;
+    zohoPushCheckAllEl.indeterminate = checkedCount > 0 && checkedCount < boxes.length;
+});
+
+zohoPushCheckAllEl.addEventListener('change', () => {
+    zohoPushTableBody.querySelectorAll('.zoho-push-check').forEach(cb => cb.checked = zohoPushCheckAllEl.checked);
+});
+
+document.getElementById('close-zoho-push-modal').addEventListener('click', closeZohoPushModal);
+document.getElementById('cancel-zoho-push').addEventListener('click', closeZohoPushModal);
+zohoPushModal.addEventListener('click', (e) => {
+    if (e.target === zohoPushModal) closeZohoPushModal();
+});
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && zohoPushModal.classList.contains('active')) closeZohoPushModal();
+});
+
+// Push selected prices to Shopify - identity prices are already VAT-inclusive shelf prices
+let pendingShopifyPush = [];
+
+function getCompareAtPrice(price) {
+    switch (shopifyCompareAtModeEl.value) {
+        case 'clear': return null;
+        case 'markup': {
+            const pct = parseFloat(shopifyCompareAtPctEl.value);
+            return isNaN(pct) || pct <= 0 ? undefined : parseFloat((price * (1 + pct / 100)).toFixed(2));
+        }
+        default: return undefined; // Leave unchanged
+    }
+}
+
+// Shopify prices are VAT-inclusive, so the price is checked against the floor as-is
+function checkShopifyMarginFloor(item) {
+    const costPrice = item.costPrice ?? zohoItemData[item.sku]?.purchaseRate ?? null;
+    return checkMarginFloor(costPrice, item.price, item.vatRatePct);
+}
+
+function openShopifyPriceModal(items) {
+    pendingShopifyPush = items;
+    const belowFloor = items
+        .map((item, idx) => ({ item, idx, floorViolation: checkShopifyMarginFloor(item) }))
+        .filter(entry => entry.floorViolation);
+    shopifyPriceSummaryEl.textContent = `${items.length} variants will get their identity price as the Shopify price` +
+        (belowFloor.length ? ` • ${belowFloor.length} below the margin floor` : '');
+    shopifyPriceFloorListEl.innerHTML = belowFloor.map(({ item, idx, floorViolation }) => `
+        <div class="flex items-center gap-2 px-2 py-1 text-xs border-b border-gray-100">
+            <span class="text-gray-700">${escapeHtml(item.sku)}</span>
+            <span class="flex-1 text-red-600">${escapeHtml(floorViolation)}</span>
+            <label class="whitespace-nowrap text-gray-600"><input type="checkbox" class="shopify-loss-leader-check rounded border-gray-300" data-index="${idx}"> Loss-leader</label>
+        </div>
+    `).join('');
+    shopifyPriceFloorEl.classList.toggle('hidden', belowFloor.length === 0);
+    shopifyPriceModal.classList.remove('hidden');
+    shopifyPriceModal.classList.add('active');
+}
+
+function closeShopifyPriceModal() {
+    shopifyPriceModal.classList.add('hidden');
+    shopifyPriceModal.classList.remove('active');
+    pendingShopifyPush = [];
+}
+
+async function pushPricesToShopify(itemsToUpdate, accessToken, rejectedItems = []) {
+    pushPricesShopifyBtn.disabled = true;
+    zohoStatusEl.textContent = `Updating ${itemsToUpdate.length} prices in Shopify...`;
+    zohoStatusEl.className = 'text-sm text-blue-500';
+
+    try {
+        // Items rejected by the guardrail before sending are reported like server rejections
+        let results = rejectedItems.map(item => ({ sku: item.sku, success: false, rejected: true, error: item.reason }));
+
+        if (itemsToUpdate.length > 0) {
+            const response = await fetch('/api/shopify/update-prices', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ accessToken, items: itemsToUpdate })
+            });
+
+            const data = await response.json();
+
+            if (data.error) {
+                throw new Error(data.error);
+            }
+
+            results = [...data.results, ...results];
+        }
+
+        const allItems = [...itemsToUpdate, ...rejectedItems];
+        const successful = results.filter(r => r.success).length;
+        const failed = results.filter(r => !r.success).length;
+        const rejected = results.filter(r => r.rejected).length;
+        const timestamp = new Date().toISOString();
+
+        const logEntries = results.map(result => {
+            const item = allItems.find(i => i.sku === result.sku);
+            if (result.success) {
+                shopifyPriceTimestamps[result.sku] = timestamp;
+            }
+            return {
+                target: 'shopify',
+                sku: result.sku,
+                sellingPrice: result.price ?? item?.price,
+                previousSellingPrice: result.previousPrice ?? null,
+                compareAtPrice: result.success ? result.compareAtPrice : item?.compareAtPrice ?? null,
+                previousCompareAtPrice: result.previousCompareAtPrice ?? null,
+                fxRate: exchangeRate,
+                fxSource: exchangeRateInfo?.source || null,
+                success: result.success,
+                lossLeader: !!result.lossLeader,
+                rejected: !!result.rejected,
+                error: result.error || null
+            };
+        });
+        saveLog(logEntries);
+        saveShopifyPriceTimestamps();
+        renderTable();
+
+        if (failed === 0) {
+            zohoStatusEl.textContent = `Updated ${successful} prices in Shopify`;
+            zohoStatusEl.className = 'text-sm text-green-600';
+        } else {
+            zohoStatusEl.textContent = `Updated ${successful} Shopify prices, failed ${failed}${rejected ? ` (${rejected} below margin floor)` : ''}`;
+            zohoStatusEl.className = 'text-sm text-orange-500';
+            console.log('Failed items:', results.filter(r => !r.success));
+        }
+    } catch (error) {
+        zohoStatusEl.textContent = `Error: ${error.message}`;
+        zohoStatusEl.className = 'text-sm text-red-500';
+    } finally {
+        pushPricesShopifyBtn.disabled = false;
+    }
+}
+
+pushPricesShopifyBtn.addEventListener('click', () => {
+    const checkedBoxes = tableBody.querySelectorAll('.row-check:checked');
+
+    if (checkedBoxes.length === 0) {
+        zohoStatusEl.textContent = 'No items selected';
+        zohoStatusEl.className = 'text-sm text-orange-500';
+        return;
+    }
+
+    if (!localStorage.getItem('price_dashboard_shopify_token')) {
+        zohoStatusEl.textContent = 'Not connected to Shopify';
+        zohoStatusEl.className = 'text-sm text-orange-500';
+        return;
+    }
+
+    const itemsToUpdate = [];
+    checkedBoxes.forEach(checkbox => {
+        const sku = checkbox.closest('tr').dataset.sku;
+        const product = productData.find(p => p.sku === sku);
+        if (!product) return;
+
+        const identityPrice = getIdentityPrice(sku, product);
+        if (identityPrice !== null) {
+            // Cost and VAT rate let the worker check the margin floor
+            const costPriceEur = gbpToEur(product.set1?.cost);
+            itemsToUpdate.push({
+                sku,
+                price: identityPrice,
+                costPrice: costPriceEur !== null ? parseFloat(costPriceEur.toFixed(2)) : null,
+                vatRatePct: getVatRate(sku, product)
+            });
+        }
+    });
+
+    if (itemsToUpdate.length === 0) {
+        zohoStatusEl.textContent = 'No items with valid prices';
+        zohoStatusEl.className = 'text-sm text-orange-500';
+        return;
+    }
+
+    openShopifyPriceModal(itemsToUpdate);
+});
+
+shopifyCompareAtModeEl.addEventListener('change', () => {
+    shopifyCompareAtPctEl.classList.toggle('hidden', shopifyCompareAtModeEl.value !== 'markup');
+});
+
+document.getElementById('confirm-shopify-price').addEventListener('click', () => {
+    const lossLeaders = new Set(
+        Array.from(shopifyPriceFloorListEl.querySelectorAll('.shopify-loss-leader-check:checked')).map(cb => parseInt(cb.dataset.index))
+    );
+    const toPush = [];
+    const rejected = [];
+    pendingShopifyPush.forEach((item, idx) => {
+        const compareAtPrice = getCompareAtPrice(item.price);
+        const withCompareAt = compareAtPrice === undefined ? item : { ...item, compareAtPrice };
+        const floorViolation = checkShopifyMarginFloor(item);
+        if (!floorViolation) {
+            toPush.push(withCompareAt);
+        } else if (lossLeaders.has(idx)) {
+            toPush.push({ ...withCompareAt, allowLoss: true });
+        } else {
+            rejected.push({ ...withCompareAt, reason: floorViolation });
+        }
+    });
+    closeShopifyPriceModal();
+    pushPricesToShopify(toPush, localStorage.getItem('price_dashboard_shopify_token'), rejected);
+});
+document.getElementById('close-shopify-price-modal').addEventListener('click', closeShopifyPriceModal);
+document.getElementById('cancel-shopify-price').addEventListener('click', closeShopifyPriceModal);
+shopifyPriceModal.addEventListener('click', (e) => {
+    if (e.target === shopifyPriceModal) closeShopifyPriceModal();
+});
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && shopifyPriceModal.classList.contains('active')) closeShopifyPriceModal();
+});
+
+// --- PRICING RULES ---
+const RULE_BASE_OPTIONS = [
+    { value: 'digitalId', label: 'Digital ID' },
+    { value: 'tradeId', label: 'Trade ID cost' }
+];
+const RULE_TARGET_OPTIONS = [
+    { value: 'markup', label: 'Markup %' },
+    { value: 'margin', label: 'True margin %' }
+];
+const RULE_ROUNDING_OPTIONS = [
+    { value: 'none', label: 'None' },
+    { value: 'nearest', label: 'Nearest' },
+    { value: 'up', label: 'Up' },
+    { value: 'down', label: 'Down' },
+    { value: 'charm', label: '.99 ending' }
+];
+
+const RULE_VAT_OPTIONS = [{ value: '', label: 'Default' }, ...VAT_RATE_OPTIONS];
+
+async function fetchPricingRules() {
+    const response = await fetch('/api/pricing/rules');
+    const data = await response.json();
+    if (data.error) throw new Error(data.error);
+    return data.rules || [];
+}
+
+function ruleInput(field, value, width, placeholder = '') {
+    return `<input type="text" class="rule-field ${width} px-1 py-0.5 text-xs border border-gray-300 rounded" data-field="${field}" value="${value ?? ''}" placeholder="${placeholder}">`;
+}
+
+function ruleSelect(field, value, options) {
+    const optionsHtml = options.map(opt =>
+        `<option value="${opt.value}" ${opt.value === value ? 'selected' : ''}>${opt.label}</option>`
+    ).join('');
+    return `<select class="rule-field px-1 py-0.5 text-xs border border-gray-300 rounded" data-field="${field}">${optionsHtml}</select>`;
+}
+
+function renderPricingRules() {
+    if (pricingRules.length === 0) {
+        pricingRulesBody.innerHTML = '<tr><td colspan="12" class="px-2 py-6 text-center text-gray-500 text-sm">No rules yet. Rules are checked top to bottom; the first match prices the product.</td></tr>';
+        return;
+    }
+
+    pricingRulesBody.innerHTML = pricingRules.map((rule, idx) => `
+        <tr class="border-b border-gray-100" data-index="${idx}" data-id="${rule.id || ''}">
+            <td class="px-1 py-1"><input type="checkbox" class="rule-field rounded border-gray-300" data-field="enabled" ${rule.enabled !== false ? 'checked' : ''}></td>
+            <td class="px-1 py-1">${ruleInput('name', escapeHtml(rule.name), 'w-28', 'Name')}</td>
+            <td class="px-1 py-1">${ruleInput('match.skuPrefix', escapeHtml(rule.match?.skuPrefix), 'w-16', 'any')}</td>
+            <td class="px-1 py-1">${ruleInput('match.nameKeyword', escapeHtml(rule.match?.nameKeyword), 'w-20', 'any')}</td>
+            <td class="px-1 py-1">${ruleInput('match.costMin', rule.match?.costMin, 'w-12', '£ min')}${ruleInput('match.costMax', rule.match?.costMax, 'w-12 ml-1', '£ max')}</td>
+            <td class="px-1 py-1">${ruleInput('match.stockMin', rule.match?.stockMin, 'w-10', 'min')}${ruleInput('match.stockMax', rule.match?.stockMax, 'w-10 ml-1', 'max')}</td>
+            <td class="px-1 py-1">${ruleSelect('base', rule.base || 'digitalId', RULE_BASE_OPTIONS)}</td>
+            <td class="px-1 py-1">${ruleSelect('target', rule.target || 'markup', RULE_TARGET_OPTIONS)}${ruleInput('markup', rule.markup, 'w-12 ml-1', '%')}</td>
+            <td class="px-1 py-1">${ruleSelect('roundingMode', rule.roundingMode || 'none', RULE_ROUNDING_OPTIONS)}${ruleInput('roundingStep', rule.roundingStep, 'w-12 ml-1', 'step')}</td>
+            <td class="px-1 py-1">${ruleInput('minPrice', rule.minPrice, 'w-12', '€ min')}${ruleInput('maxPrice', rule.maxPrice, 'w-12 ml-1', '€ max')}</td>
+            <td class="px-1 py-1">${ruleSelect('vatRatePct', rule.vatRatePct != null ? String(rule.vatRatePct) : '', RULE_VAT_OPTIONS)}</td>
+            <td class="px-1 py-1 text-right">
+                <button class="rule-action px-1 text-gray-500 hover:text-gray-800" data-action="up" title="Move up">↑</button>
+                <button class="rule-action px-1 text-gray-500 hover:text-gray-800" data-action="down" title="Move down">↓</button>
+                <button class="rule-action px-1 text-red-500 hover:text-red-700" data-action="delete" title="Delete">✕</button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+function readPricingRulesForm() {
+    return readRuleRows(pricingRulesBody);
+}
+
+// Rule rows use .rule-field inputs keyed by data-field ("name", "match.skuPrefix", ...)
+function readRuleRows(body) {
+    return Array.from(body.querySelectorAll('tr[data-index]')).map(row => {
+        const rule = { id: row.dataset.id || undefined, match: {} };
+        row.querySelectorAll('.rule-field').forEach(input => {
+            const value = input.type === 'checkbox' ? input.checked : input.value.trim();
+            const [group, key] = input.dataset.field.split('.');
+            if (key) {
+                rule[group][key] = value;
+            } else {
+                rule[group] = value;
+            }
+        });
+        return rule;
+    });
+}
+
+async function openPricingRulesModal() {
+    pricingRulesStatusEl.textContent = '';
+    try {
+        pricingRules = await fetchPricingRules();
+    } catch (error) {
+        pricingRulesStatusEl.textContent = `Failed to load rules: ${error.message}`;
+        pricingRulesStatusEl.className = 'text-sm text-red-500';
+    }
+    renderPricingRules();
+    pricingRulesModal.classList.remove('hidden');
+    pricingRulesModal.classList.add('active');
+}
+
+function closePricingRulesModal() {
+    pricingRulesModal.classList.add('hidden');
+    pricingRulesModal.classList.remove('active');
+}
+
+async function savePricingRules() {
+    const rules = readPricingRulesForm();
+    pricingRulesStatusEl.textContent = 'Saving...';
+    pricingRulesStatusEl.className = 'text-sm text-blue-500';
+
+    try {
+        const response = await fetch('/api/pricing/rules', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ rules })
+        });
+        const data = await response.json();
+        if (data.error) throw new Error(data.error);
+
+        pricingRules = data.rules;
+        closePricingRulesModal();
+
+        // Re-fetch products so every row is re-priced by the server
+        zohoStatusEl.textContent = 'Re-pricing with updated rules...';
+        zohoStatusEl.className = 'text-sm text-blue-500';
+        productData = await fetchProductData();
+        applyFilters();
+        zohoStatusEl.textContent = `Saved ${pricingRules.length} pricing rules`;
+        zohoStatusEl.className = 'text-sm text-green-600';
+    } catch (error) {
+        pricingRulesStatusEl.textContent = error.message;
+        pricingRulesStatusEl.className = 'text-sm text-red-500';
+    }
+}
+
+pricingRulesBtn.addEventListener('click', openPricingRulesModal);
+document.getElementById('close-pricing-rules-modal').addEventListener('click', closePricingRulesModal);
+document.getElementById('cancel-pricing-rules').addEventListener('click', closePricingRulesModal);
+document.getElementById('save-pricing-rules').addEventListener('click', savePricingRules);
+document.getElementById('add-pricing-rule').addEventListener('click', () => {
+    pricingRules = readPricingRulesForm();
+    pricingRules.push({ name: '', enabled: true, base: 'digitalId', target: 'markup', markup: '', roundingMode: 'none', match: {} });
+    renderPricingRules();
+});
+pricingRulesBody.addEventListener('click', (e) => {
+    const button = e.target.closest('.rule-action');
+    if (!button) return;
+    const idx = parseInt(button.closest('tr').dataset.index);
+    pricingRules = readPricingRulesForm();
+
+    if (button.dataset.action === 'delete') {
+        pricingRules.splice(idx, 1);
+    } else {
+        const target = button.dataset.action === 'up' ? idx - 1 : idx + 1;
+        if (target < 0 || target >= pricingRules.length) return;
+        [pricingRules[idx], pricingRules[target]] = [pricingRules[target], pricingRules[idx]];
+    }
+    renderPricingRules();
+});
+pricingRulesModal.addEventListener('click', (e) => {
+    if (e.target === pricingRulesModal) closePricingRulesModal();
+});
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && pricingRulesModal.classList.contains('active')) closePricingRulesModal();
+});
+
+// --- EXCHANGE RATE ---
+function renderExchangeRateDetails() {
+    const info = exchangeRateInfo;
+    if (!info) {
+        fxDetailsEl.innerHTML = '<p class="text-sm text-red-500">Exchange rate unavailable</p>';
+        return;
+    }
+
+    const market = info.market;
+    const marketLine = market
+        ? `${market.rate.toFixed(4)} <span class="text-gray-400">(${market.date}, fetched ${formatTimestamp(market.fetchedAt)})</span>`
+        : '—';
+    const staleLine = market?.stale
+        ? `<p class="text-xs text-amber-700 bg-amber-50 rounded px-2 py-1">ECB unavailable - using the last known rate${market.error ? `: ${escapeHtml(market.error)}` : ''}</p>`
+        : '';
+    const lockLine = info.lock
+        ? `<p class="text-sm"><span class="font-medium">Locked:</span> ${info.lock.rate.toFixed(4)} <span class="text-gray-400">by ${escapeHtml(info.lock.lockedBy)}, ${formatTimestamp(info.lock.lockedAt)}</span></p>`
+        : '<p class="text-sm text-gray-500">Not locked - prices use the market rate</p>';
+
+    fxDetailsEl.innerHTML = `
+        <p class="text-sm"><span class="font-medium">ECB market rate:</span> ${marketLine}</p>
+        ${staleLine}
+        ${lockLine}
+    `;
+    document.getElementById('fx-unlock').classList.toggle('hidden', !info.lock);
+}
+
+// EUR/GBP move (%) since the rate used by the last Zoho push
+function getFxMovePct() {
+    const lastPush = exchangeRateInfo?.lastPush;
+    if (!lastPush?.rate || !exchangeRate) return null;
+    return ((exchangeRate - lastPush.rate) / lastPush.rate) * 100;
+}
+
+// SKUs whose EUR-converted Trade cost has drifted from the cost last pushed to Zoho
+function getRepricingCandidates() {
+    const threshold = pricingSettings.fxAlertPct;
+    if (threshold == null) return [];
+
+    return productData.map(product => {
+        const zohoCost = zohoItemData[product.sku]?.purchaseRate;
+        const costEur = gbpToEur(product.set1?.cost);
+        if (!zohoCost || costEur == null) return null;
+        const shiftPct = ((costEur - zohoCost) / zohoCost) * 100;
+        return Math.abs(shiftPct) >= threshold ? { sku: product.sku, zohoCost, costEur, shiftPct } : null;
+    }).filter(Boolean).sort((a, b) => Math.abs(b.shiftPct) - Math.abs(a.shiftPct));
+}
+
+function updateFxAlert() {
+    const movePct = getFxMovePct();
+    const threshold = pricingSettings.fxAlertPct;
+    const triggered = movePct !== null && threshold != null && Math.abs(movePct) > threshold;
+
+    fxAlertBannerEl.classList.toggle('hidden', !triggered);
+    if (!triggered) return;
+
+    const candidates = getRepricingCandidates();
+    document.getElementById('fx-alert-text').textContent =
+        `EUR/GBP has moved ${formatMarkup(movePct)} since the last Zoho push (${formatTimestamp(exchangeRateInfo.lastPush.pushedAt)}) • ${candidates.length} SKUs need repricing`;
+}
+
+function renderFxAlertDetails() {
+    const lastPush = exchangeRateInfo?.lastPush;
+    if (!lastPush) {
+        fxAlertDetailsEl.innerHTML = '<p class="text-gray-500">No Zoho push recorded yet</p>';
+        return;
+    }
+
+    const movePct = getFxMovePct();
+    const threshold = pricingSettings.fxAlertPct;
+    const candidates = getRepricingCandidates();
+    const rows = candidates.slice(0, 50).map(c => `
+        <tr class="border-b border-gray-100">
+            <td class="px-2 py-1 text-gray-700">${escapeHtml(c.sku)}</td>
+            <td class="px-2 py-1 text-right text-gray-500">${formatPriceEur(c.zohoCost)}</td>
+            <td class="px-2 py-1 text-right">${formatPriceEur(c.costEur)}</td>
+            <td class="px-2 py-1 text-right ${c.shiftPct >= 0 ? 'text-red-600' : 'text-green-600'}">${formatMarkup(c.shiftPct)}</td>
+        </tr>
+    `).join('');
+
+    fxAlertDetailsEl.innerHTML = `
+        <p>Last push at ${lastPush.rate.toFixed(4)} on ${formatTimestamp(lastPush.pushedAt)} • moved <span class="font-medium">${formatMarkup(movePct)}</span></p>
+        ${threshold == null
+            ? '<p class="text-xs text-gray-500 mt-1">Set an alert threshold in Settings to list SKUs that need repricing.</p>'
+            : candidates.length === 0
+                ? `<p class="text-xs text-gray-500 mt-1">No SKU cost has shifted ${threshold}% or more from its Zoho cost.</p>`
+                : `<p class="text-xs text-gray-500 mt-1">${candidates.length} SKUs with EUR cost ${threshold}% or more away from their Zoho cost${candidates.length > 50 ? ' (top 50 shown)' : ''}:</p>
+                   <div class="max-h-48 overflow-y-auto mt-1 border border-gray-200 rounded">
+                       <table class="w-full text-xs">
+                           <thead class="bg-gray-50 sticky top-0"><tr>
+                               <th class="px-2 py-1 text-left font-medium text-gray-600">SKU</th>
+                               <th class="px-2 py-1 text-right font-medium text-gray-600">Zoho cost</th>
+                               <th class="px-2 py-1 text-right font-medium text-gray-600">Cost now</th>
+                               <th class="px-2 py-1 text-right font-medium text-gray-600">Shift</th>
+                           </tr></thead>
+                           <tbody>${rows}</tbody>
+                       </table>
+                   </div>`}
+    `;
+}
+
+// Inline SVG line chart; the dashed line marks the last Zoho push rate
+function renderFxChart(series) {
+    if (series.length < 2) {
+        fxChartEl.textContent = 'Not enough data';
+        return;
+    }
+
+    const width = 460;
+    const height = 120;
+    const rates = series.map(p => p.rate);
+    const lastPushRate = exchangeRateInfo?.lastPush?.rate;
+    const min = Math.min(...rates, lastPushRate ?? Infinity);
+    const max = Math.max(...rates, lastPushRate ?? -Infinity);
+    const span = max - min || 1;
+    const x = i => (i / (series.length - 1)) * width;
+    const y = rate => height - ((rate - min) / span) * (height - 10) - 5;
+    const points = series.map((p, i) => `${x(i).toFixed(1)},${y(p.rate).toFixed(1)}`).join(' ');
+    const pushLine = lastPushRate
+        ? `<line x1="0" x2="${width}" y1="${y(lastPushRate)}" y2="${y(lastPushRate)}" stroke="#d97706" stroke-dasharray="4 3" stroke-width="1"><title>Last Zoho push: ${lastPushRate.toFixed(4)}</title></line>`
+        : '';
+
+    fxChartEl.innerHTML = `
+        <svg viewBox="0 0 ${width} ${height}" class="w-full h-24" preserveAspectRatio="none">
+            ${pushLine}
+            <polyline points="${points}" fill="none" stroke="#4f46e5" stroke-width="1.5"></polyline>
+        </svg>
+        <div class="flex justify-between mt-1">
+            <span>${series[0].date}</span>
+            <span>low ${min.toFixed(4)} • high ${max.toFixed(4)}</span>
+            <span>${series[series.length - 1].date}</span>
+        </div>
+    `;
+}
+
+async function loadFxHistory() {
+    fxChartEl.textContent = 'Loading...';
+    try {
+        const data = await fetchExchangeRateHistory(fxHistoryRangeEl.value);
+        renderFxChart(data.series);
+    } catch (error) {
+        fxChartEl.textContent = `Failed to load history: ${error.message}`;
+    }
+}
+
+function openExchangeRateModal() {
+    fxStatusEl.textContent = '';
+    fxLockRateEl.value = exchangeRate ? exchangeRate.toFixed(4) : '';
+    renderExchangeRateDetails();
+    renderFxAlertDetails();
+    loadFxHistory();
+    exchangeRateModal.classList.remove('hidden');
+    exchangeRateModal.classList.add('active');
+}
+
+function closeExchangeRateModal() {
+    exchangeRateModal.classList.add('hidden');
+    exchangeRateModal.classList.remove('active');
+}
+
+// Lock or unlock, then reload the rate and re-price everything with it
+async function setExchangeRateLock(rate) {
+    fxStatusEl.textContent = 'Saving...';
+    fxStatusEl.className = 'text-sm text-blue-500';
+
+    try {
+        const response = await fetch('/api/exchange-rate/lock', rate === null
+            ? { method: 'DELETE' }
+            : {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ rate, user: getDraftUser() })
+            });
+        const data = await response.json();
+        if (data.error) throw new Error(data.error);
+
+        const [rateData, products] = await Promise.all([fetchExchangeRate(), fetchProductData()]);
+        updateExchangeRateDisplay(rateData);
+        productData = products;
+        applyFilters();
+        renderExchangeRateDetails();
+        renderFxAlertDetails();
+        updateFxAlert();
+        fxStatusEl.textContent = rate === null ? 'Unlocked' : `Locked at ${rate}`;
+        fxStatusEl.className = 'text-sm text-green-600';
+    } catch (error) {
+        fxStatusEl.textContent = error.message;
+        fxStatusEl.className = 'text-sm text-red-500';
+    }
+}
+
+exchangeRateBtn.addEventListener('click', openExchangeRateModal);
+document.getElementById('fx-alert-review').addEventListener('click', openExchangeRateModal);
+fxHistoryRangeEl.addEventListener('change', loadFxHistory);
+document.getElementById('close-exchange-rate-modal').addEventListener('click', closeExchangeRateModal);
+document.getElementById('fx-lock').addEventListener('click', () => {
+    const rate = parseFloat(fxLockRateEl.value);
+    if (isNaN(rate) || rate <= 0) {
+        fxStatusEl.textContent = 'Enter a positive rate';
+        fxStatusEl.className = 'text-sm text-red-500';
+        return;
+    }
+    setExchangeRateLock(rate);
+});
+document.getElementById('fx-unlock').addEventListener('click', () => setExchangeRateLock(null));
+exchangeRateModal.addEventListener('click', (e) => {
+    if (e.target === exchangeRateModal) closeExchangeRateModal();
+});
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && exchangeRateModal.classList.contains('active')) closeExchangeRateModal();
+});
+
+// --- SCHEDULED JOBS ---
+const jobsModal = document.getElementById('jobs-modal');
+const jobsTableBody = document.getElementById('jobs-table-body');
+const jobsStatusEl = document.getElementById('jobs-status');
+let scheduledJobs = [];
+
+async function fetchJobs() {
+    const response = await fetch('/api/jobs');
+    const data = await response.json();
+    if (data.error) throw new Error(data.error);
+    return data.jobs || [];
+}
+
+function renderJobs() {
+    jobsTableBody.innerHTML = scheduledJobs.map(job => {
+        const run = job.lastRun;
+        const badge = !run
+            ? '<span class="text-xs text-gray-400">Never</span>'
+            : `<span class="px-2 py-0.5 rounded text-xs ${run.status === 'success' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}">${run.status === 'success' ? 'OK' : 'Failed'}</span>
+               <span class="text-xs text-gray-500">${formatTimestamp(run.startedAt)} • ${(run.durationMs / 1000).toFixed(1)}s • ${run.trigger}</span>`;
+        const output = run
+            ? `<details class="mt-1"><summary class="text-xs text-blue-600 cursor-pointer">Output</summary><pre class="mt-1 p-2 text-xs bg-gray-50 rounded max-h-48 overflow-auto whitespace-pre-wrap">${escapeHtml(run.error || JSON.stringify(run.output, null, 2))}</pre></details>`
+            : '';
+
+        return `
+            <tr class="border-b border-gray-100 align-top" data-job-id="${job.id}">
+                <td class="px-2 py-2"><input type="checkbox" class="job-enabled rounded border-gray-300" ${job.enabled ? 'checked' : ''}></td>
+                <td class="px-2 py-2">
+                    <div class="font-medium text-gray-800">${escapeHtml(job.name)}</div>
+                    <div class="text-xs text-gray-500">${escapeHtml(job.description)}</div>
+                </td>
+                <td class="px-2 py-2"><input type="text" class="job-hours w-28 px-1 py-0.5 text-xs border border-gray-300 rounded" value="${job.hours.join(',')}" placeholder="e.g. 2 or 0,12"></td>
+                <td class="px-2 py-2">${badge}${output}</td>
+                <td class="px-2 py-2 text-right"><button class="job-run px-2 py-1 text-xs border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50">Run now</button></td>
+            </tr>
+        `;
+    }).join('');
+}
+
+async function openJobsModal() {
+    jobsStatusEl.textContent = 'Loading...';
+    jobsStatusEl.className = 'text-sm text-blue-500';
+    jobsModal.classList.remove('hidden');
+    jobsModal.classList.add('active');
+    try {
+        scheduledJobs = await fetchJobs();
+        renderJobs();
+        jobsStatusEl.textContent = '';
+    } catch (error) {
+        jobsStatusEl.textContent = `Failed to load jobs: ${error.message}`;
+        jobsStatusEl.className = 'text-sm text-red-500';
+    }
+}
+
+function closeJobsModal() {
+    jobsModal.classList.add('hidden');
+    jobsModal.classList.remove('active');
+}
+
+async function saveJobs() {
+    const jobs = {};
+    jobsTableBody.querySelectorAll('tr[data-job-id]').forEach(row => {
+        jobs[row.dataset.jobId] = {
+            enabled: row.querySelector('.job-enabled').checked,
+            hours: row.querySelector('.job-hours').value
+        };
+    });
+
+    jobsStatusEl.textContent = 'Saving...';
+    jobsStatusEl.className = 'text-sm text-blue-500';
+    try {
+        const response = await fetch('/api/jobs', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ jobs })
+        });
+        const data = await response.json();
+        if (data.error) throw new Error(data.error);
+
+        scheduledJobs = data.jobs;
+        renderJobs();
+        jobsStatusEl.textContent = 'Schedule saved';
+        jobsStatusEl.className = 'text-sm text-green-600';
+    } catch (error) {
+        jobsStatusEl.textContent = error.message;
+        jobsStatusEl.className = 'text-sm text-red-500';
+    }
+}
+
+async function runJobNow(id, button) {
+    button.disabled = true;
+    jobsStatusEl.textContent = `Running ${scheduledJobs.find(j => j.id === id)?.name || id}...`;
+    jobsStatusEl.className = 'text-sm text-blue-500';
+    try {
+        const response = await fetch('/api/jobs/run', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ id })
+        });
+        const data = await response.json();
+        if (data.error) throw new Error(data.error);
+
+        scheduledJobs = scheduledJobs.map(job => job.id === id ? { ...job, lastRun: data.run } : job);
+        renderJobs();
+        jobsStatusEl.textContent = data.run.status === 'success' ? 'Job finished' : `Job failed: ${data.run.error}`;
+        jobsStatusEl.className = data.run.status === 'success' ? 'text-sm text-green-600' : 'text-sm text-red-500';
+    } catch (error) {
+        jobsStatusEl.textContent = error.message;
+        jobsStatusEl.className = 'text-sm text-red-500';
+        button.disabled = false;
+    }
+}
+
+document.getElementById('jobs-btn').addEventListener('click', openJobsModal);
+document.getElementById('close-jobs-modal').addEventListener('click', closeJobsModal);
+document.getElementById('cancel-jobs').addEventListener('click', closeJobsModal);
+document.getElementById('save-jobs').addEventListener('click', saveJobs);
+jobsTableBody.addEventListener('click', (e) => {
+    const button = e.target.closest('.job-run');
+    if (button) runJobNow(button.closest('tr').dataset.jobId, button);
+});
+jobsModal.addEventListener('click', (e) => {
+    if (e.target === jobsModal) closeJobsModal();
+});
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && jobsModal.classList.contains('active')) closeJobsModal();
+});
+
+// --- UNMATCHED VIEW ---
+const VIEW_LABELS = { matched: 'Matched', tradeOnly: 'Trade-only', digitalOnly: 'Digital-only' };
+
+// Unmatched products come back from /api/products flagged with `match`
+function productView(product) {
+    return product.match || 'matched';
+}
+
+function renderViewToggle() {
+    const counts = { matched: 0, tradeOnly: 0, digitalOnly: 0 };
+    productData.forEach(p => counts[productView(p)]++);
+
+    document.querySelectorAll('.view-btn').forEach(btn => {
+        const view = btn.dataset.view;
+        btn.textContent = `${VIEW_LABELS[view]} (${counts[view]})`;
+        btn.className = `view-btn px-3 py-1 ${view === currentView ? 'bg-blue-600 text-white' : 'bg-white text-gray-600 hover:bg-gray-50'}`;
+    });
+    tradeOnlyPricingEl.classList.toggle('hidden', currentView !== 'tradeOnly');
+}
+
+function setView(view) {
+    currentView = view;
+    checkAllBox.checked = false;
+    applyFilters();
+}
+
+// Trade-only items have no Digital ID price, so price them from the Trade cost alone
+function applyTradeOnlyMarkup() {
+    const markup = parseFloat(tradeOnlyMarkupEl.value);
+    if (isNaN(markup) || markup < 0) {
+        zohoStatusEl.textContent = 'Enter a markup of 0% or more';
+        zohoStatusEl.className = 'text-sm text-orange-500';
+        return;
+    }
+    if (!exchangeRate) {
+        zohoStatusEl.textContent = 'Exchange rate unavailable';
+        zohoStatusEl.className = 'text-sm text-red-500';
+        return;
+    }
+
+    // Selected rows, or every row in the (filtered) view when nothing is selected
+    const checkedBoxes = tableBody.querySelectorAll('.row-check:checked');
+    const skus = checkedBoxes.length > 0
+        ? Array.from(checkedBoxes).map(cb => cb.closest('tr').dataset.sku)
+        : filteredData.map(p => p.sku);
+
+    const priced = [];
+    skus.forEach(sku => {
+        const product = productData.find(p => p.sku === sku);
+        const costEur = gbpToEur(product?.set1?.cost);
+        if (productView(product || {}) !== 'tradeOnly' || costEur === null) return;
+        identityOverrides[sku] = Math.round(costEur * (1 + markup / 100) * 100) / 100;
+        priced.push(sku);
+    });
+
+    queueDraftSave(priced);
+    renderTable();
+    zohoStatusEl.textContent = `Priced ${priced.length} Trade-only items at ${markup}% over Trade cost`;
+    zohoStatusEl.className = 'text-sm text-green-600';
+}
+
+document.querySelectorAll('.view-btn').forEach(btn => {
+    btn.addEventListener('click', () => setView(btn.dataset.view));
+});
+document.getElementById('apply-trade-only-markup').addEventListener('click', applyTradeOnlyMarkup);
+
+// --- SKU ALIASES ---
+const SKU_ALIAS_FIELDS = ['sku', 'digitalId', 'zoho', 'shopify'];
+const SKU_SYSTEM_LABELS = { digitalId: 'Digital ID', zoho: 'Zoho', shopify: 'Shopify' };
+const SKU_SUGGESTION_MIN_SCORE = 0.5;
+const SKU_SUGGESTION_LIMIT = 100;
+const skuAliasesModal = document.getElementById('sku-aliases-modal');
+const skuAliasesBody = document.getElementById('sku-aliases-body');
+const skuSuggestionsBody = document.getElementById('sku-suggestions-body');
+const skuAliasesStatusEl = document.getElementById('sku-aliases-status');
+let skuSuggestions = [];
+
+async function fetchSkuAliases() {
+    const response = await fetch('/api/skus/aliases');
+    const data = await response.json();
+    if (data.error) throw new Error(data.error);
+    return data;
+}
+
+// Character bigrams of a lower-cased, punctuation-free name
+function nameBigrams(name) {
+    const text = (name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    const bigrams = new Set();
+    for (let i = 0; i < text.length - 1; i++) bigrams.add(text.slice(i, i + 2));
+    return bigrams;
+}
+
+// Dice coefficient of two bigram sets (0 = nothing shared, 1 = identical)
+function nameSimilarity(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    a.forEach(bigram => { if (b.has(bigram)) shared++; });
+    return (2 * shared) / (a.size + b.size);
+}
+
+// Best-scoring candidate per product: [{ sku, name, system, candidateSku, candidateName, score }]
+function findSkuSuggestions() {
+    const productSkus = new Set(productData.map(p => p.sku));
+    const withBigrams = list => list.map(c => ({ ...c, bigrams: nameBigrams(c.name) })).filter(c => c.bigrams.size > 0);
+
+    // Unmatched SKUs on the other side of each link, with their names
+    const candidates = {
+        digitalId: withBigrams(productData.filter(p => p.match === 'digitalOnly').map(p => ({ sku: p.sku, name: p.set1?.name }))),
+        zoho: withBigrams(Object.entries(zohoItemData).filter(([sku]) => !productSkus.has(sku)).map(([, item]) => ({ sku: item.zohoSku, name: item.name }))),
+        shopify: withBigrams(Object.entries(shopifyVariantNames).filter(([sku]) => !productSkus.has(sku)).map(([, variant]) => ({ sku: variant.sku, name: variant.name })))
+    };
+    const needsLink = {
+        digitalId: p => p.match === 'tradeOnly',
+        zoho: p => p.match !== 'digitalOnly' && !zohoItemData[p.sku],
+        shopify: p => p.match !== 'digitalOnly' && !shopifyProductIds[p.sku]
+    };
+
+    const suggestions = [];
+    productData.forEach(product => {
+        const bigrams = nameBigrams(product.set1?.name);
+        if (bigrams.size === 0) return;
+        Object.keys(candidates).forEach(system => {
+            if (!needsLink[system](product)) return;
+            let best = null;
+            candidates[system].forEach(candidate => {
+                const score = nameSimilarity(bigrams, candidate.bigrams);
+                if (score >= SKU_SUGGESTION_MIN_SCORE && (!best || score > best.score)) best = { candidate, score };
+            });
+            if (best) {
+                suggestions.push({
+                    sku: product.sku,
+                    name: product.set1?.name || '',
+                    system,
+                    candidateSku: best.candidate.sku,
+                    candidateName: best.candidate.name,
+                    score: best.score
+                });
+            }
+        });
+    });
+    return suggestions.sort((a, b) => b.score - a.score).slice(0, SKU_SUGGESTION_LIMIT);
+}
+
+function renderSkuAliases() {
+    if (skuAliases.length === 0) {
+        skuAliasesBody.innerHTML = '<tr><td colspan="5" class="px-2 py-6 text-center text-gray-500 text-sm">No aliases yet. Add one, or use a suggested match below.</td></tr>';
+    } else {
+        skuAliasesBody.innerHTML = skuAliases.map((alias, idx) => `
+            <tr class="border-b border-gray-100" data-index="${idx}">
+                ${SKU_ALIAS_FIELDS.map(field => `<td class="px-1 py-1"><input type="text" class="alias-field w-full px-1 py-0.5 text-xs border border-gray-300 rounded" data-field="${field}" value="${escapeHtml(alias[field])}" placeholder="${field === 'sku' ? 'Supplier SKU' : '—'}"></td>`).join('')}
+                <td class="px-1 py-1 text-right">
+                    <button class="alias-delete px-1 text-red-500 hover:text-red-700" title="Delete">✕</button>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    if (skuSuggestions.length === 0) {
+        skuSuggestionsBody.innerHTML = '<tr><td class="px-2 py-4 text-center text-gray-500 text-xs">No likely matches found</td></tr>';
+        return;
+    }
+    skuSuggestionsBody.innerHTML = skuSuggestions.map((s, idx) => `
+        <tr class="border-b border-gray-100 text-xs" data-index="${idx}">
+            <td class="px-2 py-1 text-gray-700">${escapeHtml(s.sku)}</td>
+            <td class="px-2 py-1 text-gray-600" title="${escapeHtml(s.name)}">${escapeHtml(s.name)}</td>
+            <td class="px-2 py-1 text-gray-500 whitespace-nowrap">${SKU_SYSTEM_LABELS[s.system]}</td>
+            <td class="px-2 py-1 text-gray-700">${escapeHtml(s.candidateSku)}</td>
+            <td class="px-2 py-1 text-gray-600" title="${escapeHtml(s.candidateName)}">${escapeHtml(s.candidateName)}</td>
+            <td class="px-2 py-1 text-gray-500">${Math.round(s.score * 100)}%</td>
+            <td class="px-2 py-1 text-right"><button class="suggestion-use px-2 py-0.5 border border-gray-300 rounded hover:bg-gray-50">Use</button></td>
+        </tr>
+    `).join('');
+}
+
+function readSkuAliasesForm() {
+    return Array.from(skuAliasesBody.querySelectorAll('tr[data-index]')).map(row => {
+        const alias = {};
+        row.querySelectorAll('.alias-field').forEach(input => {
+            alias[input.dataset.field] = input.value.trim();
+        });
+        return alias;
+    });
+}
+
+function renderSkuRules() {
+    document.getElementById('sku-rule-ignore-case').checked = skuRules.ignoreCase;
+    document.getElementById('sku-rule-strip-whitespace').checked = skuRules.stripWhitespace;
+    document.getElementById('sku-rule-strip-prefixes').value = skuRules.stripPrefixes.join(', ');
+}
+
+function readSkuRulesForm() {
+    return {
+        ignoreCase: document.getElementById('sku-rule-ignore-case').checked,
+        stripWhitespace: document.getElementById('sku-rule-strip-whitespace').checked,
+        stripPrefixes: document.getElementById('sku-rule-strip-prefixes').value.split(',').map(p => p.trim()).filter(Boolean)
+    };
+}
+
+async function openSkuAliasesModal() {
+    skuAliasesStatusEl.textContent = '';
+    try {
+        const data = await fetchSkuAliases();
+        skuRules = data.rules;
+        skuAliases = data.aliases;
+    } catch (error) {
+        skuAliasesStatusEl.textContent = `Failed to load aliases: ${error.message}`;
+        skuAliasesStatusEl.className = 'text-sm text-red-500';
+    }
+    skuSuggestions = findSkuSuggestions();
+    renderSkuRules();
+    renderSkuAliases();
+    skuAliasesModal.classList.remove('hidden');
+    skuAliasesModal.classList.add('active');
+}
+
+function closeSkuAliasesModal() {
+    skuAliasesModal.classList.add('hidden');
+    skuAliasesModal.classList.remove('active');
+}
+
+// Link a suggested SKU to the product, reusing the product's alias row if it has one
+function useSkuSuggestion(idx) {
+    const suggestion = skuSuggestions[idx];
+    skuAliases = readSkuAliasesForm();
+    let alias = skuAliases.find(a => a.sku === suggestion.sku);
+    if (!alias) {
+        alias = { sku: suggestion.sku };
+        skuAliases.push(alias);
+    }
+    alias[suggestion.system] = suggestion.candidateSku;
+    skuSuggestions.splice(idx, 1);
+    renderSkuAliases();
+}
+
+async function saveSkuAliases() {
+    const body = { rules: readSkuRulesForm(), aliases: readSkuAliasesForm() };
+    skuAliasesStatusEl.textContent = 'Saving...';
+    skuAliasesStatusEl.className = 'text-sm text-blue-500';
+
+    try {
+        const response = await fetch('/api/skus/aliases', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+        if (data.error) throw new Error(data.error);
+
+        skuRules = data.rules;
+        skuAliases = data.aliases;
+        closeSkuAliasesModal();
+
+        // Every SKU-keyed source is re-matched by the server
+        zohoStatusEl.textContent = 'Re-matching SKUs...';
+        zohoStatusEl.className = 'text-sm text-blue-500';
+        productData = await fetchProductData();
+        applyFilters();
+        await loadStockData();
+        zohoStatusEl.textContent = `Saved ${skuAliases.length} SKU aliases`;
+        zohoStatusEl.className = 'text-sm text-green-600';
+    } catch (error) {
+        skuAliasesStatusEl.textContent = error.message;
+        skuAliasesStatusEl.className = 'text-sm text-red-500';
+    }
+}
+
+document.getElementById('sku-aliases-btn').addEventListener('click', openSkuAliasesModal);
+document.getElementById('close-sku-aliases-modal').addEventListener('click', closeSkuAliasesModal);
+document.getElementById('cancel-sku-aliases').addEventListener('click', closeSkuAliasesModal);
+document.getElementById('save-sku-aliases').addEventListener('click', saveSkuAliases);
+document.getElementById('add-sku-alias').addEventListener('click', () => {
+    skuAliases = readSkuAliasesForm();
+    skuAliases.push({ sku: '' });
+    renderSkuAliases();
+});
+skuAliasesBody.addEventListener('click', (e) => {
+    const button = e.target.closest('.alias-delete');
+    if (!button) return;
+    skuAliases = readSkuAliasesForm();
+    skuAliases.splice(parseInt(button.closest('tr').dataset.index), 1);
+    renderSkuAliases();
+});
+skuSuggestionsBody.addEventListener('click', (e) => {
+    const button = e.target.closest('.suggestion-use');
+    if (button) useSkuSuggestion(parseInt(button.closest('tr').dataset.index));
+});
+skuAliasesModal.addEventListener('click', (e) => {
+    if (e.target === skuAliasesModal) closeSkuAliasesModal();
+});
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && skuAliasesModal.classList.contains('active')) closeSkuAliasesModal();
+});
+
+// --- DISCONTINUED PRODUCTS ---
+const discontinuedBtn = document.getElementById('discontinued-btn');
+const discontinuedModal = document.getElementById('discontinued-modal');
+const discontinuedTableBody = document.getElementById('discontinued-table-body');
+const discontinuedSummaryEl = document.getElementById('discontinued-summary');
+const discontinuedStatusEl = document.getElementById('discontinued-status');
+const discontinuedCheckAllEl = document.getElementById('discontinued-check-all');
+let pendingDiscontinued = [];
+
+// Discontinued by the supplier, no Zoho or Shopify stock left, and still live somewhere
+function getDiscontinuedCandidates() {
+    return productData.filter(p =>
+        p.set1?.discontinued &&
+        (zohoStockData[p.sku] ?? 0) <= 0 &&
+        (shopifyStockData[p.sku] ?? 0) <= 0 &&
+        ((shopifyProductIds[p.sku] && shopifyStatusData[p.sku] !== 'ARCHIVED') || zohoItemData[p.sku]?.status === 'active')
+    );
+}
+
+// Status is product-level, so a product is only retired with all of its variants
+function hasLiveVariants(sku, retiring = pendingDiscontinued) {
+    const productId = shopifyProductIds[sku];
+    return Object.keys(shopifyProductIds).some(other =>
+        shopifyProductIds[other] === productId && !retiring.some(p => p.sku === other));
+}
+
+function renderDiscontinuedPreview() {
+    const targetStatus = discontinuedStatusEl.value;
+    const hasShopifyToken = !!localStorage.getItem('price_dashboard_shopify_token');
+
+    discontinuedTableBody.innerHTML = pendingDiscontinued.map((product, idx) => {
+        const sku = product.sku;
+        const shopifyStatus = shopifyStatusData[sku];
+        const zohoStatus = zohoItemData[sku]?.status;
+        const shopifyChange = !shopifyProductIds[sku] ? '<span class="text-gray-400">Not in Shopify</span>'
+            : hasLiveVariants(sku) ? '<span class="text-gray-400" title="The product keeps its status while other variants are still sold">Other variants live</span>'
+            : shopifyStatus === targetStatus ? `<span class="text-gray-400">${shopifyStatus}</span>`
+            : `<span class="text-gray-400">${shopifyStatus || '—'} →</span> <span class="font-medium">${targetStatus}</span>`;
+        const zohoChange = !zohoItemData[sku] ? '<span class="text-gray-400">Not in Zoho</span>'
+            : zohoStatus !== 'active' ? `<span class="text-gray-400">${zohoStatus || '—'}</span>`
+            : '<span class="text-gray-400">active →</span> <span class="font-medium">inactive</span>';
+
+        return `
+            <tr class="border-b border-gray-100">
+                <td class="px-2 py-1.5"><input type="checkbox" class="discontinued-check rounded border-gray-300" data-index="${idx}" checked></td>
+                <td class="px-2 py-1.5 text-gray-700">${escapeHtml(sku)}</td>
+                <td class="px-2 py-1.5 text-gray-600">${escapeHtml(product.set1?.name)}</td>
+                <td class="px-2 py-1.5 text-right text-gray-600">${formatStock(zohoStockData[sku])}</td>
+                <td class="px-2 py-1.5 text-right text-gray-600">${formatStock(shopifyStockData[sku])}</td>
+                <td class="px-2 py-1.5 text-xs">${shopifyChange}</td>
+                <td class="px-2 py-1.5 text-xs">${zohoChange}</td>
+            </tr>
+        `;
+    }).join('');
+
+    discontinuedSummaryEl.textContent = `${pendingDiscontinued.length} discontinued SKUs with no Zoho or Shopify stock` +
+        (hasShopifyToken ? '' : ' • Not connected to Shopify, so only Zoho will be updated');
+}
+
+function openDiscontinuedModal() {
+    pendingDiscontinued = getDiscontinuedCandidates();
+    if (pendingDiscontinued.length === 0) {
+        zohoStatusEl.textContent = 'No discontinued SKUs left to retire';
+        zohoStatusEl.className = 'text-sm text-gray-500';
+        return;
+    }
+    discontinuedCheckAllEl.checked = true;
+    renderDiscontinuedPreview();
+    discontinuedModal.classList.remove('hidden');
+    discontinuedModal.classList.add('active');
+}
+
+function closeDiscontinuedModal() {
+    discontinuedModal.classList.add('hidden');
+    discontinuedModal.classList.remove('active');
+}
+
+async function retireDiscontinued() {
+    const targetStatus = discontinuedStatusEl.value;
+    const selected = Array.from(discontinuedTableBody.querySelectorAll('.discontinued-check:checked'))
+        .map(cb => pendingDiscontinued[parseInt(cb.dataset.index)]);
+    closeDiscontinuedModal();
+    if (selected.length === 0) return;
+
+    discontinuedBtn.disabled = true;
+    zohoStatusEl.textContent = `Retiring ${selected.length} discontinued SKUs...`;
+    zohoStatusEl.className = 'text-sm text-blue-500';
+
+    const logEntries = [];
+    const shopifyToken = localStorage.getItem('price_dashboard_shopify_token');
+    try {
+        // Shopify: one status change per product, through the regular status endpoint
+        const updatedProducts = new Set();
+        for (const { sku } of selected) {
+            const productId = shopifyProductIds[sku];
+            const previousStatus = shopifyStatusData[sku] || null;
+            if (!shopifyToken || !productId || previousStatus === targetStatus) continue;
+            if (updatedProducts.has(productId) || hasLiveVariants(sku, selected)) continue;
+            updatedProducts.add(productId);
+
+            const entry = { target: 'shopify', action: 'discontinue', sku, previousStatus, status: targetStatus };
+            try {
+                const response = await fetch('/api/shopify/update-status', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ accessToken: shopifyToken, productId, status: targetStatus })
+                });
+                const data = await response.json();
+                if (data.error) throw new Error(data.error);
+                setProductStatus(productId, targetStatus);
+                logEntries.push({ ...entry, success: true, error: null });
+            } catch (error) {
+                logEntries.push({ ...entry, success: false, error: error.message });
+            }
+        }
+
+        // Zoho: mark the still-active items inactive in one call
+        const zohoItems = selected
+            .filter(({ sku }) => zohoItemData[sku]?.status === 'active')
+            .map(({ sku }) => ({ sku, itemId: zohoItemData[sku].itemId }));
+        if (zohoItems.length > 0) {
+            const response = await fetch('/api/zoho/deactivate', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ items: zohoItems })
+            });
+            const data = await response.json();
+            if (data.error) throw new Error(data.error);
+
+            data.results.forEach(result => {
+                if (result.success) zohoItemData[result.sku] = { ...zohoItemData[result.sku], status: 'inactive' };
+                logEntries.push({
+                    target: 'zoho',
+                    action: 'discontinue',
+                    sku: result.sku,
+                    previousStatus: 'active',
+                    status: 'inactive',
+                    success: result.success,
+                    error: result.error || null
+                });
+            });
+        }
+
+        const failed = logEntries.filter(e => !e.success).length;
+        zohoStatusEl.textContent = `Retired ${selected.length} discontinued SKUs (${logEntries.length - failed} changes${failed ? `, ${failed} failed` : ''})`;
+        zohoStatusEl.className = `text-sm ${failed ? 'text-orange-500' : 'text-green-600'}`;
+    } catch (error) {
+        zohoStatusEl.textContent = `Error: ${error.message}`;
+        zohoStatusEl.className = 'text-sm text-red-500';
+    } finally {
+        saveLog(logEntries);
+        renderTable();
+        discontinuedBtn.disabled = false;
+    }
+}
+
+discontinuedBtn.addEventListener('click', openDiscontinuedModal);
+document.getElementById('close-discontinued-modal').addEventListener('click', closeDiscontinuedModal);
+document.getElementById('cancel-discontinued').addEventListener('click', closeDiscontinuedModal);
+document.getElementById('confirm-discontinued').addEventListener('click', retireDiscontinued);
+discontinuedStatusEl.addEventListener('change', renderDiscontinuedPreview);
+discontinuedCheckAllEl.addEventListener('change', () => {
+    discontinuedTableBody.querySelectorAll('.discontinued-check').forEach(cb => { cb.checked = discontinuedCheckAllEl.checked; });
+});
+discontinuedModal.addEventListener('click', (e) => {
+    if (e.target === discontinuedModal) closeDiscontinuedModal();
+});
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && discontinuedModal.classList.contains('active')) closeDiscontinuedModal();
+});
+
+// --- DUPLICATE SKUS ---
+// Columns shown per sheet; the first row of each SKU is the one used for matching
+const DUPLICATE_COLUMNS = {
+    tradeId: [
+        { field: 'productId', label: 'Product ID' },
+        { field: 'name', label: 'Name' },
+        { field: 'price', label: 'Price', format: formatPrice },
+        { field: 'stock', label: 'Stock', format: formatStock }
+    ],
+    digitalId: [
+        { field: 'name', label: 'Name' },
+        { field: 'price', label: 'Price', format: formatPrice },
+        { field: 'description', label: 'Description' }
+    ],
+    description: [
+        { field: 'productUses', label: 'Product uses' }
+    ]
+};
+const duplicatesModal = document.getElementById('duplicates-modal');
+const duplicatesContentEl = document.getElementById('duplicates-content');
+const duplicatesStatusEl = document.getElementById('duplicates-status');
+
+function renderDuplicateSheet(sheetName, columns, groups) {
+    const header = `<div class="px-2 py-2 bg-gray-50 border-y border-gray-200 text-xs font-medium text-gray-600">${escapeHtml(sheetName)} <span class="font-normal text-gray-400">(${groups.length} duplicated SKUs)</span></div>`;
+    if (groups.length === 0) {
+        return header + '<div class="px-2 py-3 text-xs text-gray-500">No duplicates</div>';
+    }
+
+    const rows = groups.map(group => group.rows.map((row, idx) => `
+        <tr class="border-b border-gray-100 text-xs ${idx === 0 ? 'border-t border-gray-300' : ''}">
+            <td class="px-2 py-1 text-gray-700 whitespace-nowrap">${idx === 0 ? escapeHtml(group.sku) : ''}</td>
+            <td class="px-2 py-1 text-gray-500 whitespace-nowrap" title="${idx === 0 ? 'Used for matching' : 'Ignored'}">Row ${row.row}${idx === 0 ? ' ✓' : ''}</td>
+            <td class="px-2 py-1 text-gray-500">${escapeHtml(row.sku)}</td>
+            ${columns.map(col => {
+                const value = col.format ? col.format(row[col.field]) : escapeHtml(row[col.field]) || '—';
+                const conflict = group.conflicts.includes(col.field);
+                return `<td class="px-2 py-1 ${conflict ? 'bg-red-50 text-red-700' : 'text-gray-600'} max-w-xs truncate" title="${escapeHtml(row[col.field])}">${value}</td>`;
+            }).join('')}
+        </tr>
+    `).join('')).join('');
+
+    return `${header}
+        <table class="text-sm w-full">
+            <thead>
+                <tr class="text-xs text-gray-500">
+                    <th class="px-2 py-1 text-left font-medium">SKU</th>
+                    <th class="px-2 py-1 text-left font-medium">Row</th>
+                    <th class="px-2 py-1 text-left font-medium">As written</th>
+                    ${columns.map(col => `<th class="px-2 py-1 text-left font-medium">${col.label}</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+}
+
+async function loadDuplicates() {
+    duplicatesStatusEl.textContent = 'Checking sheets...';
+    duplicatesStatusEl.className = 'text-sm text-blue-500';
+    try {
+        const response = await fetch('/api/skus/duplicates');
+        const data = await response.json();
+        if (data.error) throw new Error(data.error);
+
+        duplicatesContentEl.innerHTML = Object.entries(DUPLICATE_COLUMNS)
+            .map(([sheet, columns]) => renderDuplicateSheet(data.sheets[sheet], columns, data.duplicates[sheet] || []))
+            .join('');
+        const total = Object.values(data.duplicates).reduce((sum, groups) => sum + groups.length, 0);
+        const conflicting = Object.values(data.duplicates).flat().filter(group => group.conflicts.length > 0).length;
+        duplicatesStatusEl.textContent = `${total} duplicated SKUs, ${conflicting} with conflicting values`;
+        duplicatesStatusEl.className = `text-sm ${conflicting > 0 ? 'text-red-500' : 'text-gray-500'}`;
+    } catch (error) {
+        duplicatesStatusEl.textContent = `Failed to check duplicates: ${error.message}`;
+        duplicatesStatusEl.className = 'text-sm text-red-500';
+    }
+}
+
+function openDuplicatesModal() {
+    duplicatesContentEl.innerHTML = '';
+    duplicatesModal.classList.remove('hidden');
+    duplicatesModal.classList.add('active');
+    loadDuplicates();
+}
+
+function closeDuplicatesModal() {
+    duplicatesModal.classList.add('hidden');
+    duplicatesModal.classList.remove('active');
+}
+
+document.getElementById('duplicates-btn').addEventListener('click', openDuplicatesModal);
+document.getElementById('close-duplicates-modal').addEventListener('click', closeDuplicatesModal);
+document.getElementById('refresh-duplicates').addEventListener('click', loadDuplicates);
+duplicatesModal.addEventListener('click', (e) => {
+    if (e.target === duplicatesModal) closeDuplicatesModal();
+});
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && duplicatesModal.classList.contains('active')) closeDuplicatesModal();
+});
+
+// --- PRICING SETTINGS ---
+function openPricingSettingsModal() {
+    pricingSettingsStatusEl.textContent = '';
+    settingMinProfitEl.value = pricingSettings.minProfit ?? '';
+    settingMinMarginEl.value = pricingSettings.minMarginPct ?? '';
+    settingFxAlertEl.value = pricingSettings.fxAlertPct ?? '';
+    settingVatRateEl.value = String(pricingSettings.vatRatePct);
+    settingZohoIncludesVatEl.checked = !!pricingSettings.zohoRateIncludesVat;
+    Object.entries(LANDED_COST_FIELDS).forEach(([key, id]) => {
+        document.getElementById(id).value = pricingSettings[key] || '';
+    });
+    pricingSettingsModal.classList.remove('hidden');
+    pricingSettingsModal.classList.add('active');
+}
+
+function closePricingSettingsModal() {
+    pricingSettingsModal.classList.add('hidden');
+    pricingSettingsModal.classList.remove('active');
+}
+
+async function savePricingSettings() {
+    pricingSettingsStatusEl.textContent = 'Saving...';
+    pricingSettingsStatusEl.className = 'text-sm text-blue-500';
+
+    const settings = {
+        minProfit: settingMinProfitEl.value.trim(),
+        minMarginPct: settingMinMarginEl.value.trim(),
+        fxAlertPct: settingFxAlertEl.value.trim(),
+        vatRatePct: settingVatRateEl.value,
+        zohoRateIncludesVat: settingZohoIncludesVatEl.checked
+    };
+    Object.entries(LANDED_COST_FIELDS).forEach(([key, id]) => {
+        settings[key] = document.getElementById(id).value.trim();
+    });
+
+    try {
+        const response = await fetch('/api/pricing/settings', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ settings })
+        });
+        const data = await response.json();
+        if (data.error) throw new Error(data.error);
+
+        pricingSettings = data.settings;
+        closePricingSettingsModal();
+
+        // VAT and landed cost feed true-margin rules, so re-price on the server
+        productData = await fetchProductData();
+        applyFilters();
+        updateFxAlert();
+    } catch (error) {
+        pricingSettingsStatusEl.textContent = error.message;
+        pricingSettingsStatusEl.className = 'text-sm text-red-500';
+    }
+}
+
+pricingSettingsBtn.addEventListener('click', openPricingSettingsModal);
+document.getElementById('close-pricing-settings-modal').addEventListener('click', closePricingSettingsModal);
+document.getElementById('cancel-pricing-settings').addEventListener('click', closePricingSettingsModal);
+document.getElementById('save-pricing-settings').addEventListener('click', savePricingSettings);
+pricingSettingsModal.addEventListener('click', (e) => {
+    if (e.target === pricingSettingsModal) closePricingSettingsModal();
+});
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && pricingSettingsModal.classList.contains('active')) closePricingSettingsModal();
+});
+
+// Match Stock to Shopify (copy Zoho stock → Shopify)
+if (matchStockBtn) {
+    matchStockBtn.addEventListener('click', async () => {
+        console.log('Match Stock button clicked');
+    const checkedBoxes = tableBody.querySelectorAll('.row-check:checked');
+    if (checkedBoxes.length === 0) {
+        zohoStatusEl.textContent = 'No items selected';
+        zohoStatusEl.className = 'text-sm text-orange-500';
+        return;
+    }
+
+    // Check for Shopify token
+    const shopifyToken = localStorage.getItem('price_dashboard_shopify_token');
+    if (!shopifyToken) {
+        zohoStatusEl.textContent = 'Not connected to Shopify - go to Descriptions tab to connect';
+        zohoStatusEl.className = 'text-sm text-orange-500';
+        return;
+    }
+
+    // Gather selected items with Zoho stock (use override if available)
+    const itemsToUpdate = [];
+    checkedBoxes.forEach(checkbox => {
+        const row = checkbox.closest('tr');
+        const sku = row.dataset.sku;
+        // Use override if set, otherwise use fetched Zoho stock
+        const quantity = zohoStockOverrides[sku] !== undefined
+            ? zohoStockOverrides[sku]
+            : zohoStockData[sku];
+
+        if (quantity !== undefined && quantity !== null) {
+            itemsToUpdate.push({ sku, quantity });
+        }
+    });
+
+    if (itemsToUpdate.length === 0) {
+        zohoStatusEl.textContent = 'No items with Zoho stock data';
+        zohoStatusEl.className = 'text-sm text-orange-500';
+        return;
+    }
+
+    const target = getMatchStockTarget();
+    if (target.replaceOthers && !confirm(`Every other Shopify location holding these ${itemsToUpdate.length} items will be set to 0. Continue?`)) return;
+
+    // Disable button and show progress
+    matchStockBtn.disabled = true;
+    zohoStatusEl.textContent = `Updating ${itemsToUpdate.length} items in Shopify...`;
+    zohoStatusEl.className = 'text-sm text-blue-500';
+
+    const progress = { success: 0, failed: 0, errors: [] };
+    try {
+        await pushShopifyStock(shopifyToken, itemsToUpdate, target, progress, () => {
+            zohoStatusEl.textContent = `Updated ${progress.success + progress.failed}/${itemsToUpdate.length}${progress.failed ? ` (${progress.failed} failed)` : ''}...`;
+        });
+        const { success, failed } = progress;
+
+        // Show results
+        if (failed === 0) {
+            zohoStatusEl.textContent = `Updated ${success} items in Shopify`;
+            zohoStatusEl.className = 'text-sm text-green-600';
+        } else {
+            zohoStatusEl.textContent = `Updated ${success}, failed ${failed}`;
+            zohoStatusEl.className = 'text-sm text-orange-500';
+        }
+    } catch (error) {
+        zohoStatusEl.textContent = `Updated ${progress.success}, then failed: ${error.message}`;
+        zohoStatusEl.className = 'text-sm text-red-500';
+    }
+    zohoStatusEl.title = progress.errors.map(e => `${e.sku}: ${e.error}`).join('\n');
+
+    // Re-render table to show updated stock
+    renderTable();
+
+    matchStockBtn.disabled = false;
+});
+} else {
+    console.error('matchStockBtn not found in DOM');
+}
+
+/**
+ * Set Shopify stock for [{ sku, quantity }] through the batch endpoint, updating local stock
+ * and the progress counts ({ success, failed, errors }) as each SKU's result streams in.
+ * target: { location, replaceOthers } as chosen next to Match Stock
+ */
+async function pushShopifyStock(shopifyToken, items, { location, replaceOthers }, progress, onProgress = () => {}) {
+    // One batch request; the worker streams a result line per SKU as each chunk is written
+    const response = await fetch('/api/shopify/batch-update-stock', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            accessToken: shopifyToken,
+            items: items.map(item => ({ ...item, variantId: shopifyVariantIds[item.sku] })),
+            location,
+            replaceOthers
+        })
+    });
+
+    const reported = new Set();
+    let finished = false;
+    try {
+        const malformed = await readNdjsonStream(response, event => {
+            if (event.type === 'error') throw new Error(event.error);
+            if (event.type === 'done') finished = true;
+            if (event.type !== 'result') return;
+
+            reported.add(event.sku);
+            if (event.success) {
+                // Update local Shopify stock data (locations not in the result keep their stock)
+                const levels = { ...shopifyLocationStock[event.sku] };
+                event.quantities.forEach(({ locationId, quantity }) => { levels[locationId] = quantity; });
+                shopifyLocationStock[event.sku] = levels;
+                shopifyStockData[event.sku] = Object.values(levels).reduce((sum, qty) => sum + qty, 0);
+                progress.success++;
+            } else {
+                progress.failed++;
+                progress.errors.push({ sku: event.sku, error: event.error });
+            }
+            onProgress(event);
+        });
+        // A stream cut off before the worker's "done" line (or mid-line) leaves some SKUs unwritten or unconfirmed
+        if (!finished || malformed > 0) throw new Error('The update stream ended before it finished');
+    } catch (error) {
+        const missing = items.filter(item => !reported.has(item.sku));
+        missing.forEach(item => {
+            progress.failed++;
+            progress.errors.push({ sku: item.sku, error: `No result: ${error.message}` });
+        });
+        throw new Error(missing.length > 0 ? `${error.message} (${missing.length} SKUs with no result)` : error.message);
+    }
+}
+
+/**
+ * Read a newline-delimited JSON response, calling onEvent for each line as it arrives.
+ * Lines that are not valid JSON (a connection dropped mid-line) are skipped; returns how many were.
+ */
+async function readNdjsonStream(response, onEvent) {
+    // Validation errors come back as a plain JSON error before any streaming starts
+    if (!(response.headers.get('Content-Type') || '').includes('ndjson')) {
+        const data = await response.json();
+        throw new Error(data.error || `HTTP ${response.status}`);
+    }
+
+    let malformed = 0;
+    const handleLine = line => {
+        if (!line.trim()) return;
+        let event;
+        try {
+            event = JSON.parse(line);
+        } catch {
+            malformed++;
+            return;
+        }
+        onEvent(event);
+    };
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    while (true) {
+        const { done, value } = await reader.read();
+        buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+        if (done) break;
+    }
+    handleLine(buffer);
+    return malformed;
+}
+
+// --- STOCK RECONCILIATION ---
+const reconcileModal = document.getElementById('reconcile-modal');
+const reconcileTableBody = document.getElementById('reconcile-table-body');
+const reconcileSummaryEl = document.getElementById('reconcile-summary');
+const reconcileStatusEl = document.getElementById('reconcile-status');
+const reconcileCountEl = document.getElementById('reconcile-count');
+const toleranceZohoShopifyEl = document.getElementById('tolerance-zoho-shopify');
+const toleranceShopifyTradeEl = document.getElementById('tolerance-shopify-trade');
+
+// Most severe first; mirrors the worker's findStockIssues so the view matches the reconciliation job
+const STOCK_ISSUES = {
+    shopifyOverTrade: { severity: 3, label: 'Shopify > Trade' },
+    zohoShopify: { severity: 2, label: 'Zoho ≠ Shopify' },
+    activeNoStock: { severity: 1, label: 'Active, no stock' }
+};
+const SEVERITY_LABELS = {
+    3: '<span class="px-1.5 rounded text-xs bg-red-100 text-red-700">High</span>',
+    2: '<span class="px-1.5 rounded text-xs bg-orange-100 text-orange-700">Medium</span>',
+    1: '<span class="px-1.5 rounded text-xs bg-yellow-100 text-yellow-800">Low</span>'
+};
+
+function getStockIssues(product) {
+    const sku = product.sku;
+    const trade = product.set1?.stock;
+    const zoho = zohoStockData[sku];
+    const shopify = shopifyStockData[sku];
+    const issues = [];
+    if (shopify != null && trade != null && shopify - trade > stockTolerances.shopifyTrade) {
+        issues.push({ type: 'shopifyOverTrade', difference: shopify - trade });
+    }
+    if (zoho != null && shopify != null && Math.abs(zoho - shopify) > stockTolerances.zohoShopify) {
+        issues.push({ type: 'zohoShopify', difference: shopify - zoho });
+    }
+    if (shopifyStatusData[sku] === 'ACTIVE' && shopify != null && shopify <= 0) {
+        issues.push({ type: 'activeNoStock', difference: shopify });
+    }
+    return issues.sort((a, b) => STOCK_ISSUES[b.type].severity - STOCK_ISSUES[a.type].severity);
+}
+
+function renderStockIssueMarker(product) {
+    const issues = getStockIssues(product);
+    if (issues.length === 0) return '';
+    const color = issues[0].type === 'activeNoStock' ? 'bg-yellow-400' : 'bg-red-500';
+    return ` <span class="inline-block w-2 h-2 rounded-full ${color}" title="${issues.map(i => STOCK_ISSUES[i.type].label).join(', ')}"></span>`;
+}
+
+// Every flagged SKU, by severity then by the size of the largest difference
+function getReconciliationRows() {
+    return productData
+        .map(product => ({ product, issues: getStockIssues(product) }))
+        .filter(row => row.issues.length > 0)
+        .sort((a, b) =>
+            STOCK_ISSUES[b.issues[0].type].severity - STOCK_ISSUES[a.issues[0].type].severity ||
+            Math.max(...b.issues.map(i => Math.abs(i.difference))) - Math.max(...a.issues.map(i => Math.abs(i.difference))));
+}
+
+function updateReconcileCount() {
+    const count = getReconciliationRows().length;
+    reconcileCountEl.textContent = count;
+    reconcileCountEl.classList.toggle('hidden', count === 0);
+}
+
+function reconcileActions(product, issues) {
+    const sku = escapeHtml(product.sku);
+    const button = (action, label) =>
+        `<button class="reconcile-action px-2 py-0.5 text-xs border border-gray-300 rounded hover:bg-gray-50" data-sku="${sku}" data-action="${action}">${label}</button>`;
+    const actions = [];
+    if (issues.some(i => i.type === 'shopifyOverTrade')) actions.push(button('shopifyToTrade', 'Shopify = Trade'));
+    if (issues.some(i => i.type === 'zohoShopify')) {
+        actions.push(button('shopifyToZoho', 'Shopify = Zoho'));
+        if (zohoItemData[product.sku]?.itemId) actions.push(button('zohoToShopify', 'Zoho = Shopify'));
+    }
+    if (issues.some(i => i.type === 'activeNoStock') && shopifyProductIds[product.sku]) actions.push(button('draft', 'Set Draft'));
+    return `<div class="flex flex-wrap gap-1">${actions.join('')}</div>`;
+}
+
+function renderReconciliation() {
+    const rows = getReconciliationRows();
+    reconcileTableBody.innerHTML = rows.map(({ product, issues }) => `
+        <tr class="border-b border-gray-100">
+            <td class="px-2 py-1.5">${SEVERITY_LABELS[STOCK_ISSUES[issues[0].type].severity]}</td>
+            <td class="px-2 py-1.5 text-gray-700">${escapeHtml(product.sku)}</td>
+            <td class="px-2 py-1.5 text-gray-600 truncate max-w-xs">${escapeHtml(product.set1?.name)}</td>
+            <td class="px-2 py-1.5 text-right text-gray-600">${formatStock(product.set1?.stock)}</td>
+            <td class="px-2 py-1.5 text-right text-gray-600">${formatStock(zohoStockData[product.sku])}</td>
+            <td class="px-2 py-1.5 text-right font-medium">${formatStock(shopifyStockData[product.sku])}</td>
+            <td class="px-2 py-1.5 text-xs text-gray-500">${shopifyStatusData[product.sku] || '—'}</td>
+            <td class="px-2 py-1.5 text-xs">${issues.map(i => `${STOCK_ISSUES[i.type].label}${i.type === 'activeNoStock' ? '' : ` (${i.difference > 0 ? '+' : ''}${i.difference})`}`).join('<br>')}</td>
+            <td class="px-2 py-1.5">${reconcileActions(product, issues)}</td>
+        </tr>
+    `).join('') || '<tr><td colspan="9" class="px-2 py-4 text-center text-gray-500">Trade, Zoho and Shopify stock agree within the tolerances</td></tr>';
+
+    const counts = Object.keys(STOCK_ISSUES)
+        .map(type => [type, rows.filter(row => row.issues.some(i => i.type === type)).length])
+        .filter(([, count]) => count > 0)
+        .map(([type, count]) => `${count} ${STOCK_ISSUES[type].label}`);
+    reconcileSummaryEl.textContent = `${rows.length} SKUs flagged${counts.length ? ` • ${counts.join(' • ')}` : ''}`;
+    updateReconcileCount();
+}
+
+function openReconcileModal() {
+    toleranceZohoShopifyEl.value = stockTolerances.zohoShopify;
+    toleranceShopifyTradeEl.value = stockTolerances.shopifyTrade;
+    reconcileStatusEl.textContent = localStorage.getItem('price_dashboard_shopify_token') ? '' : 'Not connected to Shopify: Shopify stock and status are missing';
+    reconcileStatusEl.className = 'text-sm text-orange-500';
+    renderReconciliation();
+    reconcileModal.classList.remove('hidden');
+    reconcileModal.classList.add('active');
+}
+
+function closeReconcileModal() {
+    reconcileModal.classList.add('hidden');
+    reconcileModal.classList.remove('active');
+}
+
+async function saveStockTolerances() {
+    try {
+        const response = await fetch('/api/stock/tolerances', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                zohoShopify: parseInt(toleranceZohoShopifyEl.value) || 0,
+                shopifyTrade: parseInt(toleranceShopifyTradeEl.value) || 0
+            })
+        });
+        const data = await response.json();
+        if (data.error) throw new Error(data.error);
+        stockTolerances = data.tolerances;
+        reconcileStatusEl.textContent = 'Tolerances saved';
+        reconcileStatusEl.className = 'text-sm text-green-600';
+        renderReconciliation();
+        renderTable();
+    } catch (error) {
+        reconcileStatusEl.textContent = `Error: ${error.message}`;
+        reconcileStatusEl.className = 'text-sm text-red-500';
+    }
+}
+
+// One-click fixes through the existing stock and status endpoints
+async function resolveStockIssue(sku, action, button) {
+    const product = productData.find(p => p.sku === sku);
+    const shopifyToken = localStorage.getItem('price_dashboard_shopify_token');
+    button.disabled = true;
+    reconcileStatusEl.textContent = `Resolving ${sku}...`;
+    reconcileStatusEl.className = 'text-sm text-blue-500';
+
+    const logEntries = [];
+    try {
+        if (action === 'draft') {
+            await updateShopifyStatus(sku, 'DRAFT', null);
+            // updateShopifyStatus reports its own failures; surface them here too
+            if (shopifyStatusData[sku] !== 'DRAFT') throw new Error(zohoStatusEl.textContent);
+        } else if (action === 'zohoToShopify') {
+            const previousStock = zohoStockData[sku];
+            const quantity = shopifyStockData[sku];
+            const response = await fetch('/api/zoho/adjust-stock', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    reason: 'Stocktaking results',
+                    description: 'Reconciled to Shopify stock',
+                    items: [{ sku, itemId: zohoItemData[sku]?.itemId, quantity }]
+                })
+            });
+            const data = await response.json();
+            if (data.error) throw new Error(data.error);
+            const result = data.results[0];
+            if (result.success) zohoStockData[sku] = result.stock;
+            logEntries.push({ target: 'zoho', action: 'stock', sku, previousStock, stock: quantity, reason: 'Reconciliation', success: result.success, error: result.error || null });
+            if (!result.success) throw new Error(result.error);
+        } else {
+            if (!shopifyToken) throw new Error('Not connected to Shopify');
+            const previousStock = shopifyStockData[sku];
+            const quantity = action === 'shopifyToTrade' ? product.set1?.stock : zohoStockData[sku];
+            const progress = { success: 0, failed: 0, errors: [] };
+            let pushError = null;
+            try {
+                await pushShopifyStock(shopifyToken, [{ sku, quantity }], getMatchStockTarget(), progress);
+            } catch (error) {
+                pushError = error.message;
+            }
+            // A confirmed result stands even if the stream was cut off after it
+            const error = progress.errors[0]?.error || (progress.success === 0 ? pushError : null);
+            logEntries.push({ target: 'shopify', action: 'stock', sku, previousStock, stock: quantity, reason: 'Reconciliation', success: !error, error });
+            if (error) throw new Error(error);
+        }
+        reconcileStatusEl.textContent = `Resolved ${sku}`;
+        reconcileStatusEl.className = 'text-sm text-green-600';
+    } catch (error) {
+        reconcileStatusEl.textContent = `${sku}: ${error.message}`;
+        reconcileStatusEl.className = 'text-sm text-red-500';
+    } finally {
+        saveLog(logEntries);
+        renderReconciliation();
+        renderTable();
+    }
+}
+
+document.getElementById('reconcile-btn').addEventListener('click', openReconcileModal);
+document.getElementById('close-reconcile-modal').addEventListener('click', closeReconcileModal);
+document.getElementById('save-tolerances').addEventListener('click', saveStockTolerances);
+reconcileTableBody.addEventListener('click', (e) => {
+    const button = e.target.closest('.reconcile-action');
+    if (button) resolveStockIssue(button.dataset.sku, button.dataset.action, button);
+});
+reconcileModal.addEventListener('click', (e) => {
+    if (e.target === reconcileModal) closeReconcileModal();
+});
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && reconcileModal.classList.contains('active')) closeReconcileModal();
+});
+
+// --- REORDER ---
+const reorderModal = document.getElementById('reorder-modal');
+const reorderTableBody = document.getElementById('reorder-table-body');
+const reorderSummaryEl = document.getElementById('reorder-summary');
+const reorderStatusEl = document.getElementById('reorder-status');
+const reorderCountEl = document.getElementById('reorder-count');
+const reorderVendorEl = document.getElementById('reorder-vendor');
+const reorderCheckAllEl = document.getElementById('reorder-check-all');
+const reorderLevelsEl = document.getElementById('reorder-levels');
+const reorderRulesBody = document.getElementById('reorder-rules-body');
+const reorderOverridesBody = document.getElementById('reorder-overrides-body');
+const createPurchaseOrderBtn = document.getElementById('create-purchase-order');
+let reorderVendors = null; // Loaded from Zoho the first time the view opens
+let pendingReorder = [];
+
+// Same criteria as the worker's pricingRuleMatches
+function reorderRuleMatches(rule, product) {
+    const { skuPrefix, nameKeyword, costMin, costMax, stockMin, stockMax } = rule.match || {};
+    const cost = product.set1?.cost;
+    const stock = product.set1?.stock ?? 0;
+
+    if (skuPrefix && !product.sku.toLowerCase().startsWith(skuPrefix.toLowerCase())) return false;
+    if (nameKeyword && !(product.set1?.name || '').toLowerCase().includes(nameKeyword.toLowerCase())) return false;
+    if (costMin != null && (cost == null || cost < costMin)) return false;
+    if (costMax != null && (cost == null || cost > costMax)) return false;
+    if (stockMin != null && stock < stockMin) return false;
+    if (stockMax != null && stock > stockMax) return false;
+    return true;
+}
+
+// Reorder point/quantity for a SKU: its own setting, then the first enabled matching rule
+function getReorderLevel(product) {
+    const override = reorderSettings.overrides?.[product.sku];
+    if (override) return { ...override, source: 'SKU' };
+    const rule = reorderSettings.rules.find(r => r.enabled && reorderRuleMatches(r, product));
+    return rule ? { reorderPoint: rule.reorderPoint, reorderQty: rule.reorderQty, source: rule.name } : null;
+}
+
+// SKUs at or below their reorder point in Zoho, furthest below first
+function getReorderSuggestions() {
+    return productData
+        .map(product => {
+            const stock = zohoStockData[product.sku];
+            const level = getReorderLevel(product);
+            if (stock == null || !level || stock > level.reorderPoint) return null;
+            const expectedStock = product.set1?.expectedStock;
+            const supplierStock = product.set1?.stock;
+            const { needed, quantity } = suggestReorderQuantity({ stock, ...level, expectedStock, supplierStock });
+            return {
+                sku: product.sku,
+                name: product.set1?.name || product.set2?.name || '',
+                itemId: zohoItemData[product.sku]?.itemId,
+                stock,
+                level,
+                supplierStock,
+                expectedStock,
+                needed,
+                quantity,
+                cost: product.set1?.cost ?? null
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => (a.stock - a.level.reorderPoint) - (b.stock - b.level.reorderPoint));
+}
+
+function updateReorderCount() {
+    const count = getReorderSuggestions().length;
+    reorderCountEl.textContent = count;
+    reorderCountEl.classList.toggle('hidden', count === 0);
+}
+
+function renderReorder() {
+    pendingReorder = getReorderSuggestions();
+    reorderTableBody.innerHTML = pendingReorder.map((item, idx) => {
+        const capped = item.quantity < item.needed;
+        const supplierNote = capped
+            ? `Needs ${item.needed}; the supplier has ${item.supplierStock ?? 0}`
+            : '';
+        return `
+            <tr class="border-b border-gray-100">
+                <td class="px-2 py-1.5"><input type="checkbox" class="reorder-check rounded border-gray-300" data-index="${idx}" ${item.quantity > 0 ? 'checked' : ''}></td>
+                <td class="px-2 py-1.5 text-gray-700">${escapeHtml(item.sku)}</td>
+                <td class="px-2 py-1.5 text-gray-600 truncate max-w-xs">${escapeHtml(item.name)}</td>
+                <td class="px-2 py-1.5 text-right font-medium ${item.stock <= 0 ? 'text-red-600' : 'text-gray-700'}">${formatStock(item.stock)}</td>
+                <td class="px-2 py-1.5 text-right text-gray-600" title="Reorder quantity ${item.level.reorderQty} • ${escapeHtml(item.level.source === 'SKU' ? 'SKU setting' : `Rule: ${item.level.source}`)}">${item.level.reorderPoint}</td>
+                <td class="px-2 py-1.5 text-right ${capped ? 'text-orange-600' : 'text-gray-600'}"${supplierNote ? ` title="${escapeHtml(supplierNote)}"` : ''}>${formatStock(item.supplierStock)}</td>
+                <td class="px-2 py-1.5 text-right ${item.expectedStock > 0 ? 'text-blue-600' : 'text-gray-600'}"${item.expectedStock > 0 ? ' title="Already on order: taken off the order quantity"' : ''}>${formatStock(item.expectedStock)}</td>
+                <td class="px-2 py-1.5 text-right"><input type="text" inputmode="numeric" class="reorder-qty w-14 px-1 py-0.5 text-sm text-right border border-gray-300 rounded" data-index="${idx}" value="${item.quantity}"></td>
+                <td class="px-2 py-1.5 text-right text-gray-600 reorder-unit-cost" data-index="${idx}"></td>
+                <td class="px-2 py-1.5 text-right font-medium reorder-line-total" data-index="${idx}"></td>
+            </tr>
+        `;
+    }).join('') || '<tr><td colspan="10" class="px-2 py-4 text-center text-gray-500">No SKUs at or below their reorder point</td></tr>';
+
+    reorderCheckAllEl.checked = pendingReorder.length > 0 && pendingReorder.every(item => item.quantity > 0);
+    updateReorderTotals();
+    updateReorderCount();
+}
+
+function getReorderQuantity(idx) {
+    const quantity = parseInt(reorderTableBody.querySelector(`.reorder-qty[data-index="${idx}"]`).value);
+    return Number.isNaN(quantity) ? 0 : quantity;
+}
+
+// Ticked rows with the order quantity as currently edited
+function getSelectedReorderLines() {
+    return Array.from(reorderTableBody.querySelectorAll('.reorder-check:checked'))
+        .map(cb => ({ ...pendingReorder[parseInt(cb.dataset.index)], quantity: getReorderQuantity(cb.dataset.index) }))
+        .filter(item => item.quantity > 0);
+}
+
+function getReorderCurrency() {
+    return reorderVendors?.find(vendor => vendor.vendorId === reorderVendorEl.value)?.currency || null;
+}
+
+// Purchase order rate in the vendor's currency: the GBP Trade cost as-is, or converted for a EUR vendor.
+// Other currencies get no rate, so Zoho uses the item's purchase rate.
+function getReorderRate(cost, currency) {
+    const rate = currency === 'GBP' ? cost : currency === 'EUR' ? gbpToEur(cost) : null;
+    return rate != null ? Math.round(rate * 100) / 100 : null;
+}
+
+function updateReorderTotals() {
+    // Amounts are shown in the currency the purchase order is sent in (GBP Trade cost otherwise)
+    const currency = getReorderCurrency();
+    const displayCurrency = currency === 'EUR' ? 'EUR' : 'GBP';
+    const format = displayCurrency === 'EUR' ? formatPriceEur : formatPrice;
+    const unitCost = item => getReorderRate(item.cost, displayCurrency);
+
+    reorderTableBody.querySelectorAll('.reorder-unit-cost').forEach(cell => {
+        cell.textContent = format(unitCost(pendingReorder[parseInt(cell.dataset.index)]));
+    });
+    reorderTableBody.querySelectorAll('.reorder-line-total').forEach(cell => {
+        const cost = unitCost(pendingReorder[parseInt(cell.dataset.index)]);
+        cell.textContent = cost != null ? format(cost * getReorderQuantity(cell.dataset.index)) : '—';
+    });
+
+    const lines = getSelectedReorderLines();
+    const units = lines.reduce((sum, item) => sum + item.quantity, 0);
+    const total = lines.reduce((sum, item) => sum + (unitCost(item) ?? 0) * item.quantity, 0);
+    const missingCost = lines.filter(item => unitCost(item) == null).length;
+    reorderSummaryEl.textContent = `${pendingReorder.length} SKUs at or below reorder point • ${lines.length} to order, ${units} units • ` +
+        (currency === displayCurrency
+            ? `PO total ${format(total)} ${currency}`
+            : `Trade cost ${format(total)} GBP` + (currency ? ` • no rates sent to a ${currency} vendor: Zoho uses each item's purchase rate` : '')) +
+        (missingCost > 0 ? ` • ${missingCost} without a Trade cost` : '');
+    createPurchaseOrderBtn.disabled = lines.length === 0;
+}
+
+function renderReorderLevels() {
+    reorderRulesBody.innerHTML = reorderSettings.rules.map((rule, idx) => `
+        <tr class="border-b border-gray-100" data-index="${idx}" data-id="${rule.id || ''}">
+            <td class="px-1 py-1"><input type="checkbox" class="rule-field rounded border-gray-300" data-field="enabled" ${rule.enabled !== false ? 'checked' : ''}></td>
+            <td class="px-1 py-1">${ruleInput('name', escapeHtml(rule.name), 'w-28', 'Name')}</td>
+            <td class="px-1 py-1">${ruleInput('match.skuPrefix', escapeHtml(rule.match?.skuPrefix), 'w-20', 'any')}</td>
+            <td class="px-1 py-1">${ruleInput('match.nameKeyword', escapeHtml(rule.match?.nameKeyword), 'w-24', 'any')}</td>
+            <td class="px-1 py-1">${ruleInput('reorderPoint', rule.reorderPoint, 'w-14')}</td>
+            <td class="px-1 py-1">${ruleInput('reorderQty', rule.reorderQty, 'w-14')}</td>
+            <td class="px-1 py-1 text-right"><button class="reorder-remove px-1 text-red-500 hover:text-red-700" title="Delete">✕</button></td>
+        </tr>
+    `).join('') || '<tr><td colspan="7" class="px-1 py-2 text-xs text-gray-500">No rules yet</td></tr>';
+
+    reorderOverridesBody.innerHTML = Object.entries(reorderSettings.overrides || {})
+        .map(([sku, level]) => reorderOverrideRow(sku, level))
+        .join('');
+}
+
+function reorderOverrideRow(sku = '', level = {}) {
+    return `
+        <tr class="border-b border-gray-100 reorder-override">
+            <td class="px-1 py-1"><input type="text" class="w-32 px-1 py-0.5 text-xs border border-gray-300 rounded" data-field="sku" value="${escapeHtml(sku)}" placeholder="SKU"></td>
+            <td class="px-1 py-1"><input type="text" class="w-14 px-1 py-0.5 text-xs border border-gray-300 rounded" data-field="reorderPoint" value="${level.reorderPoint ?? ''}"></td>
+            <td class="px-1 py-1"><input type="text" class="w-14 px-1 py-0.5 text-xs border border-gray-300 rounded" data-field="reorderQty" value="${level.reorderQty ?? ''}"></td>
+            <td class="px-1 py-1 text-right"><button class="reorder-remove px-1 text-red-500 hover:text-red-700" title="Delete">✕</button></td>
+        </tr>
+    `;
+}
+
+// Overrides are sent as a patch of the SKUs changed here (removed ones as null),
+// so levels a colleague saved for other SKUs meanwhile are left alone
+function readReorderOverridesForm() {
+    const stored = reorderSettings.overrides || {};
+    const form = {};
+    reorderOverridesBody.querySelectorAll('.reorder-override').forEach(row => {
+        const field = name => row.querySelector(`[data-field="${name}"]`).value.trim();
+        const sku = field('sku');
+        if (sku) form[sku] = { reorderPoint: field('reorderPoint'), reorderQty: field('reorderQty') };
+    });
+
+    const overrides = {};
+    Object.keys(stored).forEach(sku => { if (!form[sku]) overrides[sku] = null; });
+    Object.entries(form).forEach(([sku, level]) => {
+        const current = stored[sku];
+        if (!current || String(current.reorderPoint) !== level.reorderPoint || String(current.reorderQty) !== level.reorderQty) {
+            overrides[sku] = level;
+        }
+    });
+    return overrides;
+}
+
+async function saveReorderSettings(changes) {
+    const response = await fetch('/api/stock/reorder', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+    });
+    const data = await response.json();
+    if (data.error) throw new Error(data.error);
+    reorderSettings = data.settings;
+}
+
+async function saveReorderLevels() {
+    reorderStatusEl.textContent = 'Saving...';
+    reorderStatusEl.className = 'text-sm text-blue-500';
+    try {
+        await saveReorderSettings({ rules: readRuleRows(reorderRulesBody), overrides: readReorderOverridesForm() });
+        renderReorderLevels();
+        renderReorder();
+        reorderStatusEl.textContent = 'Reorder levels saved';
+        reorderStatusEl.className = 'text-sm text-green-600';
+    } catch (error) {
+        reorderStatusEl.textContent = error.message;
+        reorderStatusEl.className = 'text-sm text-red-500';
+    }
+}
 
-    if (e.shiftKey && lastClickedIndex !== null) {
-        handleShiftClick(index, checkbox.checked);
-    } else {
-        lastClickedIndex = index;
+async function loadReorderVendors() {
+    if (!reorderVendors) {
+        const response = await fetch('/api/zoho/vendors');
+        const data = await response.json();
+        if (data.error) throw new Error(data.error);
+        reorderVendors = data.vendors;
     }
+    reorderVendorEl.innerHTML = '<option value="">Select vendor...</option>' + reorderVendors.map(vendor =>
+        `<option value="${escapeHtml(vendor.vendorId)}" ${vendor.vendorId === reorderSettings.vendorId ? 'selected' : ''}>${escapeHtml(vendor.name)}${vendor.currency ? ` (${escapeHtml(vendor.currency)})` : ''}</option>`
+    ).join('');
+}
 
-    const allCheckboxes = tableBody.querySelectorAll('.row-check');
-    const allChecked = Array.from(allCheckboxes).every(cb => cb.checked);
-    const someChecked = Array.from(allCheckboxes).some(cb => cb.checked);
-    checkAllBox.checked = allChecked;
-    checkAllBox.indeterminate = someChecked && !allChecked;
-});
+async function openReorderModal() {
+    const zohoLoaded = Object.keys(zohoStockData).length > 0;
+    reorderStatusEl.textContent = zohoLoaded ? '' : 'Zoho stock is not loaded: reorder points are checked against Zoho stock';
+    reorderStatusEl.className = 'text-sm text-orange-500';
+    renderReorderLevels();
+    renderReorder();
+    reorderModal.classList.remove('hidden');
+    reorderModal.classList.add('active');
 
-// Check all
-checkAllBox.addEventListener('change', () => {
-    const allCheckboxes = tableBody.querySelectorAll('.row-check');
-    allCheckboxes.forEach(box => box.checked = checkAllBox.checked);
-});
+    try {
+        await loadReorderVendors();
+        updateReorderTotals();
+    } catch (error) {
+        reorderStatusEl.textContent = `Failed to load Zoho vendors: ${error.message}`;
+        reorderStatusEl.className = 'text-sm text-red-500';
+    }
+}
 
-// Push selected to Zoho
-pushSelectedZohoBtn.addEventListener('click', async () => {
-    const checkedBoxes = tableBody.querySelectorAll('.row-check:checked');
-    if (checkedBoxes.length === 0) {
-        zohoStatusEl.textContent = 'No items selected';
-        zohoStatusEl.className = 'text-sm text-orange-500';
+function closeReorderModal() {
+    reorderModal.classList.add('hidden');
+    reorderModal.classList.remove('active');
+}
+
+async function createPurchaseOrder() {
+    const lines = getSelectedReorderLines();
+    const vendorId = reorderVendorEl.value;
+    if (!vendorId) {
+        reorderStatusEl.textContent = 'Select a Zoho vendor first';
+        reorderStatusEl.className = 'text-sm text-orange-500';
         return;
     }
+    if (lines.length === 0) return;
 
-    // Gather selected items with their identity prices
-    const itemsToUpdate = [];
-    checkedBoxes.forEach(checkbox => {
-        const row = checkbox.closest('tr');
-        const sku = row.dataset.sku;
-        const product = productData.find(p => p.sku === sku);
-        if (!product) return;
+    createPurchaseOrderBtn.disabled = true;
+    reorderStatusEl.textContent = `Creating purchase order for ${lines.length} items...`;
+    reorderStatusEl.className = 'text-sm text-blue-500';
 
-        const identityPrice = getIdentityPrice(sku, product);
-        const costPriceGbp = product.set1?.cost; // Trade ID price in GBP
-        const costPriceEur = gbpToEur(costPriceGbp); // Convert to EUR
+    const currency = getReorderCurrency();
+    const logEntries = [];
+    try {
+        const response = await fetch('/api/zoho/purchase-order', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                vendorId,
+                reference: `Reorder ${new Date().toISOString().slice(0, 10)}`,
+                // Trade cost in the vendor's currency; without one Zoho uses the item's purchase rate
+                items: lines.map(({ sku, itemId, quantity, cost }) => ({ sku, itemId, quantity, rate: getReorderRate(cost, currency) }))
+            })
+        });
+        const data = await response.json();
+        if (data.error) throw new Error(data.error);
 
-        if (identityPrice !== null && costPriceEur !== null) {
-            itemsToUpdate.push({
-                sku,
-                costPrice: parseFloat(costPriceEur.toFixed(2)),
-                sellingPrice: identityPrice
+        data.results.forEach(result => {
+            logEntries.push({
+                target: 'zoho',
+                action: 'purchase-order',
+                sku: result.sku,
+                quantity: result.quantity ?? null,
+                rate: result.rate ?? null,
+                currency,
+                purchaseOrderNumber: data.purchaseOrderNumber,
+                success: result.success,
+                error: result.error || null
             });
+        });
+
+        const failed = data.results.filter(r => !r.success).length;
+        if (data.purchaseOrderNumber) {
+            reorderStatusEl.textContent = `Draft purchase order ${data.purchaseOrderNumber} created with ${data.results.length - failed} lines${failed ? `, ${failed} failed` : ''}`;
+            reorderStatusEl.className = `text-sm ${failed ? 'text-orange-500' : 'text-green-600'}`;
+        } else {
+            reorderStatusEl.textContent = `No purchase order created: ${data.results.find(r => r.error)?.error || 'no valid lines'}`;
+            reorderStatusEl.className = 'text-sm text-red-500';
         }
-    });
 
-    if (itemsToUpdate.length === 0) {
-        zohoStatusEl.textContent = 'No items with valid prices';
+        // Remember the vendor for next time
+        if (vendorId !== reorderSettings.vendorId) await saveReorderSettings({ vendorId });
+    } catch (error) {
+        reorderStatusEl.textContent = `Error: ${error.message}`;
+        reorderStatusEl.className = 'text-sm text-red-500';
+    } finally {
+        saveLog(logEntries);
+        createPurchaseOrderBtn.disabled = false;
+    }
+}
+
+document.getElementById('reorder-btn').addEventListener('click', openReorderModal);
+document.getElementById('close-reorder-modal').addEventListener('click', closeReorderModal);
+document.getElementById('toggle-reorder-levels').addEventListener('click', () => reorderLevelsEl.classList.toggle('hidden'));
+document.getElementById('save-reorder-levels').addEventListener('click', saveReorderLevels);
+document.getElementById('add-reorder-rule').addEventListener('click', () => {
+    reorderSettings.rules = readRuleRows(reorderRulesBody);
+    reorderSettings.rules.push({ name: '', enabled: true, match: {}, reorderPoint: '', reorderQty: '' });
+    renderReorderLevels();
+});
+document.getElementById('add-reorder-override').addEventListener('click', () => {
+    reorderOverridesBody.insertAdjacentHTML('beforeend', reorderOverrideRow());
+});
+reorderLevelsEl.addEventListener('click', (e) => {
+    const button = e.target.closest('.reorder-remove');
+    if (button) button.closest('tr').remove();
+});
+reorderTableBody.addEventListener('input', (e) => {
+    if (e.target.classList.contains('reorder-qty')) updateReorderTotals();
+});
+reorderTableBody.addEventListener('change', (e) => {
+    if (e.target.classList.contains('reorder-check')) updateReorderTotals();
+});
+reorderVendorEl.addEventListener('change', updateReorderTotals);
+reorderCheckAllEl.addEventListener('change', () => {
+    reorderTableBody.querySelectorAll('.reorder-check').forEach(cb => { cb.checked = reorderCheckAllEl.checked; });
+    updateReorderTotals();
+});
+createPurchaseOrderBtn.addEventListener('click', createPurchaseOrder);
+reorderModal.addEventListener('click', (e) => {
+    if (e.target === reorderModal) closeReorderModal();
+});
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && reorderModal.classList.contains('active')) closeReorderModal();
+});
+
+// --- ZOHO STOCK ADJUSTMENTS ---
+const pushStockZohoBtn = document.getElementById('push-stock-zoho');
+const zohoStockModal = document.getElementById('zoho-stock-modal');
+const zohoStockTableBody = document.getElementById('zoho-stock-table-body');
+const zohoStockSummaryEl = document.getElementById('zoho-stock-summary');
+const zohoStockSourceEl = document.getElementById('zoho-stock-source');
+const zohoStockReasonEl = document.getElementById('zoho-stock-reason');
+const zohoStockCheckAllEl = document.getElementById('zoho-stock-check-all');
+const confirmZohoStockBtn = document.getElementById('confirm-zoho-stock');
+let zohoStockSkus = [];
+let pendingZohoStock = [];
+
+// Target stock per SKU from the chosen source; SKUs already at that level are left out
+function getZohoStockChanges(source) {
+    return zohoStockSkus
+        .map(sku => {
+            const product = productData.find(p => p.sku === sku);
+            const target = source === 'trade' ? product?.set1?.stock : zohoStockOverrides[sku];
+            const current = zohoStockData[sku];
+            return { sku, name: product?.set1?.name || '', itemId: zohoItemData[sku]?.itemId, current, quantity: target };
+        })
+        // A Trade stock of 0 is a real target; only a blank (null) cell is skipped
+        .filter(item => item.itemId && item.quantity != null && item.quantity !== item.current);
+}
+
+function renderZohoStockPreview() {
+    pendingZohoStock = getZohoStockChanges(zohoStockSourceEl.value);
+    zohoStockTableBody.innerHTML = pendingZohoStock.map((item, idx) => {
+        const delta = item.quantity - (item.current ?? 0);
+        return `
+            <tr class="border-b border-gray-100">
+                <td class="px-2 py-1.5"><input type="checkbox" class="zoho-stock-check rounded border-gray-300" data-index="${idx}" checked></td>
+                <td class="px-2 py-1.5 text-gray-700">${escapeHtml(item.sku)}</td>
+                <td class="px-2 py-1.5 text-gray-600">${escapeHtml(item.name)}</td>
+                <td class="px-2 py-1.5 text-right text-gray-600">${formatStock(item.current)}</td>
+                <td class="px-2 py-1.5 text-right font-medium">${item.quantity}</td>
+                <td class="px-2 py-1.5 text-right font-medium ${delta >= 0 ? 'text-green-600' : 'text-red-600'}">${delta > 0 ? '+' : ''}${delta}</td>
+            </tr>
+        `;
+    }).join('') || '<tr><td colspan="6" class="px-2 py-4 text-center text-gray-500">No stock changes from this source for the selected items</td></tr>';
+
+    const skippedCount = zohoStockSkus.length - pendingZohoStock.length;
+    zohoStockSummaryEl.textContent = `${pendingZohoStock.length} stock changes` +
+        (skippedCount > 0 ? ` • ${skippedCount} selected items unchanged, not in Zoho or with no ${zohoStockSourceEl.value === 'trade' ? 'Trade stock' : 'edited stock'}` : '');
+    zohoStockCheckAllEl.checked = true;
+    confirmZohoStockBtn.disabled = pendingZohoStock.length === 0;
+}
+
+function openZohoStockModal() {
+    zohoStockSkus = Array.from(tableBody.querySelectorAll('.row-check:checked')).map(cb => cb.closest('tr').dataset.sku);
+    if (zohoStockSkus.length === 0) {
+        zohoStatusEl.textContent = 'No items selected';
         zohoStatusEl.className = 'text-sm text-orange-500';
         return;
     }
+    // Edited cells are the usual source; fall back to Trade stock when nothing was edited
+    zohoStockSourceEl.value = zohoStockSkus.some(sku => zohoStockOverrides[sku] !== undefined) ? 'overrides' : 'trade';
+    renderZohoStockPreview();
+    zohoStockModal.classList.remove('hidden');
+    zohoStockModal.classList.add('active');
+}
 
-    // Disable button and show progress
-    pushSelectedZohoBtn.disabled = true;
-    zohoStatusEl.textContent = `Updating ${itemsToUpdate.length} items...`;
+function closeZohoStockModal() {
+    zohoStockModal.classList.add('hidden');
+    zohoStockModal.classList.remove('active');
+}
+
+async function pushStockToZoho() {
+    const selected = Array.from(zohoStockTableBody.querySelectorAll('.zoho-stock-check:checked'))
+        .map(cb => pendingZohoStock[parseInt(cb.dataset.index)]);
+    const reason = zohoStockReasonEl.value;
+    closeZohoStockModal();
+    if (selected.length === 0) return;
+
+    pushStockZohoBtn.disabled = true;
+    zohoStatusEl.textContent = `Adjusting Zoho stock for ${selected.length} items...`;
     zohoStatusEl.className = 'text-sm text-blue-500';
 
+    const logEntries = [];
     try {
-        const response = await fetch('/api/zoho/batch-update', {
+        const response = await fetch('/api/zoho/adjust-stock', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ items: itemsToUpdate })
+            body: JSON.stringify({
+                reason,
+                items: selected.map(({ sku, itemId, quantity }) => ({ sku, itemId, quantity }))
+            })
         });
-
         const data = await response.json();
+        if (data.error) throw new Error(data.error);
 
-        if (data.error) {
-            throw new Error(data.error);
-        }
-
-        const successful = data.results.filter(r => r.success).length;
-        const failed = data.results.filter(r => !r.success).length;
-        const timestamp = new Date().toISOString();
-
-        // Log all changes and update timestamps for successful items
-        const logEntries = data.results.map(result => {
-            const item = itemsToUpdate.find(i => i.sku === result.sku);
+        const clearedOverrides = [];
+        data.results.forEach(result => {
             if (result.success) {
-                zohoUpdateTimestamps[result.sku] = timestamp;
+                zohoStockData[result.sku] = result.stock;
+                if (zohoStockOverrides[result.sku] !== undefined) {
+                    delete zohoStockOverrides[result.sku];
+                    clearedOverrides.push(result.sku);
+                }
             }
-            return {
+            if (result.skipped) return;
+            logEntries.push({
+                target: 'zoho',
+                action: 'stock',
                 sku: result.sku,
-                costPrice: item?.costPrice,
-                sellingPrice: item?.sellingPrice,
+                previousStock: result.previousStock ?? null,
+                stock: result.stock ?? null,
+                reason,
+                adjustmentId: result.adjustmentId || null,
                 success: result.success,
                 error: result.error || null
-            };
+            });
         });
-        saveLog(logEntries);
-        saveZohoTimestamps();
-        renderTable(); // Re-render to show updated timestamps
+        if (clearedOverrides.length > 0) queueDraftSave(clearedOverrides);
 
-        if (failed === 0) {
-            zohoStatusEl.textContent = `Updated ${successful} items successfully`;
-            zohoStatusEl.className = 'text-sm text-green-600';
-        } else {
-            zohoStatusEl.textContent = `Updated ${successful}, failed ${failed}`;
-            zohoStatusEl.className = 'text-sm text-orange-500';
-            console.log('Failed items:', data.results.filter(r => !r.success));
-        }
+        const failed = data.results.filter(r => !r.success).length;
+        zohoStatusEl.textContent = `Adjusted Zoho stock for ${data.results.length - failed} items${failed ? `, ${failed} failed` : ''}`;
+        zohoStatusEl.className = `text-sm ${failed ? 'text-orange-500' : 'text-green-600'}`;
     } catch (error) {
         zohoStatusEl.textContent = `Error: ${error.message}`;
         zohoStatusEl.className = 'text-sm text-red-500';
     } finally {
-        pushSelectedZohoBtn.disabled = false;
+        saveLog(logEntries);
+        renderTable();
+        pushStockZohoBtn.disabled = false;
     }
-});
+}
 
-// Match Stock to Shopify (copy Zoho stock → Shopify)
-if (matchStockBtn) {
-    matchStockBtn.addEventListener('click', async () => {
-        console.log('Match Stock button clicked');
-    const checkedBoxes = tableBody.querySelectorAll('.row-check:checked');
-    if (checkedBoxes.length === 0) {
-        zohoStatusEl.textContent = 'No items selected';
-        zohoStatusEl.className = 'text-sm text-orange-500';
-        return;
-    }
+pushStockZohoBtn.addEventListener('click', openZohoStockModal);
+document.getElementById('close-zoho-stock-modal').addEventListener('click', closeZohoStockModal);
+document.getElementById('cancel-zoho-stock').addEventListener('click', closeZohoStockModal);
+confirmZohoStockBtn.addEventListener('click', pushStockToZoho);
+zohoStockSourceEl.addEventListener('change', renderZohoStockPreview);
+zohoStockCheckAllEl.addEventListener('change', () => {
+    zohoStockTableBody.querySelectorAll('.zoho-stock-check').forEach(cb => { cb.checked = zohoStockCheckAllEl.checked; });
+});
+zohoStockModal.addEventListener('click', (e) => {
+    if (e.target === zohoStockModal) closeZohoStockModal();
+});
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && zohoStockModal.classList.contains('active')) closeZohoStockModal();
+});
 
-    // Check for Shopify token
-    const shopifyToken = localStorage.getItem('price_dashboard_shopify_token');
-    if (!shopifyToken) {
-        zohoStatusEl.textContent = 'Not connected to Shopify - go to Descriptions tab to connect';
-        zohoStatusEl.className = 'text-sm text-orange-500';
-        return;
-    }
+// --- SHOPIFY LOCATIONS ---
+const matchStockLocationEl = document.getElementById('match-stock-location');
+const locationsModal = document.getElementById('locations-modal');
+const locationsTableBody = document.getElementById('locations-table-body');
+const matchStockReplaceEl = document.getElementById('match-stock-replace');
+const locationsJobModeEl = document.getElementById('locations-job-mode');
+const locationsJobReplaceEl = document.getElementById('locations-job-replace');
+const locationsStatusEl = document.getElementById('locations-status');
+
+function describeLocationStock(sku) {
+    const levels = shopifyLocationStock[sku];
+    if (!levels || Object.keys(levels).length < 2) return '';
+    return Object.entries(levels)
+        .map(([locationId, qty]) => `${shopifyLocations[locationId] || locationId}: ${qty}`)
+        .join('\n');
+}
 
-    // Gather selected items with Zoho stock (use override if available)
-    const itemsToUpdate = [];
-    checkedBoxes.forEach(checkbox => {
-        const row = checkbox.closest('tr');
-        const sku = row.dataset.sku;
-        // Use override if set, otherwise use fetched Zoho stock
-        const quantity = zohoStockOverrides[sku] !== undefined
-            ? zohoStockOverrides[sku]
-            : zohoStockData[sku];
+function getMatchStockTarget() {
+    return { location: matchStockLocationEl.value, replaceOthers: matchStockReplaceEl.checked };
+}
 
-        if (quantity !== undefined && quantity !== null) {
-            itemsToUpdate.push({ sku, quantity });
-        }
-    });
+function renderLocationOptions() {
+    const selected = matchStockLocationEl.value;
+    const defaultName = shopifyLocations[locationSettings.defaultLocationId];
+    matchStockLocationEl.innerHTML = `
+        <option value="default">Default location${defaultName ? ` (${escapeHtml(defaultName)})` : ''}</option>
+        ${Object.entries(shopifyLocations).map(([id, name]) => `<option value="${escapeHtml(id)}">${escapeHtml(name)} only</option>`).join('')}
+        ${locationSettings.split.length > 0 ? '<option value="split">Split by rule</option>' : ''}
+    `;
+    if ([...matchStockLocationEl.options].some(o => o.value === selected)) matchStockLocationEl.value = selected;
+}
 
-    if (itemsToUpdate.length === 0) {
-        zohoStatusEl.textContent = 'No items with Zoho stock data';
+function openLocationsModal() {
+    const locationIds = [...new Set([...Object.keys(shopifyLocations), ...locationSettings.split.map(s => s.locationId)])];
+    if (locationIds.length === 0) {
+        zohoStatusEl.textContent = 'No Shopify locations loaded - connect Shopify first';
         zohoStatusEl.className = 'text-sm text-orange-500';
         return;
     }
+    locationsTableBody.innerHTML = locationIds.map(id => {
+        const share = locationSettings.split.find(s => s.locationId === id);
+        return `
+            <tr class="border-b border-gray-100" data-location="${escapeHtml(id)}">
+                <td class="px-2 py-1.5 text-gray-700">${escapeHtml(shopifyLocations[id] || id)}</td>
+                <td class="px-2 py-1.5 text-center"><input type="radio" name="default-location" class="location-default" ${locationSettings.defaultLocationId === id ? 'checked' : ''}></td>
+                <td class="px-2 py-1.5 text-right"><input type="text" class="location-percent w-16 px-1 py-0.5 text-sm text-right border border-gray-300 rounded" inputmode="decimal" placeholder="—" value="${share ? share.percent : ''}"></td>
+            </tr>
+        `;
+    }).join('');
+    locationsJobModeEl.value = locationSettings.jobMode;
+    locationsJobReplaceEl.checked = locationSettings.jobReplaceOthers === true;
+    locationsStatusEl.textContent = '';
+    locationsModal.classList.remove('hidden');
+    locationsModal.classList.add('active');
+}
 
-    // Disable button and show progress
-    matchStockBtn.disabled = true;
-    zohoStatusEl.textContent = `Updating ${itemsToUpdate.length} items in Shopify...`;
-    zohoStatusEl.className = 'text-sm text-blue-500';
-
-    let success = 0;
-    let failed = 0;
-    const errors = [];
-
-    for (const item of itemsToUpdate) {
-        try {
-            zohoStatusEl.textContent = `Updating ${success + failed + 1}/${itemsToUpdate.length}...`;
-
-            const response = await fetch('/api/shopify/update-stock', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    accessToken: shopifyToken,
-                    sku: item.sku,
-                    quantity: item.quantity
-                })
-            });
-
-            const data = await response.json();
-
-            if (data.error) {
-                throw new Error(data.error);
-            }
-
-            // Update local Shopify stock data
-            shopifyStockData[item.sku] = item.quantity;
-            success++;
-        } catch (error) {
-            failed++;
-            errors.push({ sku: item.sku, error: error.message });
-        }
-    }
+function closeLocationsModal() {
+    locationsModal.classList.add('hidden');
+    locationsModal.classList.remove('active');
+}
 
-    // Re-render table to show updated stock
-    renderTable();
+async function saveLocations() {
+    const rows = Array.from(locationsTableBody.querySelectorAll('tr'));
+    const payload = {
+        defaultLocationId: rows.find(row => row.querySelector('.location-default').checked)?.dataset.location || null,
+        split: rows
+            .filter(row => row.querySelector('.location-percent').value.trim() !== '')
+            .map(row => ({ locationId: row.dataset.location, percent: parseFloat(row.querySelector('.location-percent').value) })),
+        jobMode: locationsJobModeEl.value,
+        jobReplaceOthers: locationsJobReplaceEl.checked
+    };
 
-    // Show results
-    if (failed === 0) {
-        zohoStatusEl.textContent = `Updated ${success} items in Shopify`;
-        zohoStatusEl.className = 'text-sm text-green-600';
-    } else {
-        zohoStatusEl.textContent = `Updated ${success}, failed ${failed}`;
-        zohoStatusEl.className = 'text-sm text-orange-500';
+    locationsStatusEl.textContent = 'Saving...';
+    locationsStatusEl.className = 'text-sm text-blue-500';
+    try {
+        const response = await fetch('/api/shopify/locations', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload)
+        });
+        const data = await response.json();
+        if (data.error) throw new Error(data.error);
+        locationSettings = data.settings;
+        renderLocationOptions();
+        closeLocationsModal();
+    } catch (error) {
+        locationsStatusEl.textContent = `Error: ${error.message}`;
+        locationsStatusEl.className = 'text-sm text-red-500';
     }
+}
 
-    matchStockBtn.disabled = false;
+document.getElementById('locations-btn').addEventListener('click', openLocationsModal);
+document.getElementById('close-locations-modal').addEventListener('click', closeLocationsModal);
+document.getElementById('cancel-locations').addEventListener('click', closeLocationsModal);
+document.getElementById('save-locations').addEventListener('click', saveLocations);
+locationsModal.addEventListener('click', (e) => {
+    if (e.target === locationsModal) closeLocationsModal();
+});
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && locationsModal.classList.contains('active')) closeLocationsModal();
 });
-} else {
-    console.error('matchStockBtn not found in DOM');
-}
 
 // Batch status selector
 const batchStatusSelect = document.getElementById('batch-status-select');
@@ -1021,13 +3883,13 @@ if (batchStatusSelect) {
             return;
         }
 
-        // Gather SKUs with product IDs
+        // Gather product IDs; status is product-level, so selected variants of one product update it once
         const itemsToUpdate = [];
         checkedBoxes.forEach(checkbox => {
             const row = checkbox.closest('tr');
             const sku = row.dataset.sku;
             const productId = shopifyProductIds[sku];
-            if (productId) {
+            if (productId && !itemsToUpdate.some(item => item.productId === productId)) {
                 itemsToUpdate.push({ sku, productId });
             }
         });
@@ -1061,7 +3923,7 @@ if (batchStatusSelect) {
                 const data = await response.json();
                 if (data.error) throw new Error(data.error);
 
-                shopifyStatusData[item.sku] = newStatus;
+                setProductStatus(item.productId, newStatus);
                 success++;
             } catch (error) {
                 failed++;
@@ -1072,7 +3934,7 @@ if (batchStatusSelect) {
         renderTable();
 
         if (failed === 0) {
-            zohoStatusEl.textContent = `Set ${success} items to ${newStatus}`;
+            zohoStatusEl.textContent = `Set ${success} products to ${newStatus}`;
             zohoStatusEl.className = 'text-sm text-green-600';
         } else {
             zohoStatusEl.textContent = `Updated ${success}, failed ${failed}`;
@@ -2301,6 +5163,145 @@ if (syncToShopifyBtn) {
     syncToShopifyBtn.addEventListener('click', syncSelectedToShopify);
 }
 
+// --- GALLERY IMAGE SYNC ---
+const syncImagesBtn = document.getElementById('sync-images-btn');
+const imageSyncModal = document.getElementById('image-sync-modal');
+const imageSyncTableBody = document.getElementById('image-sync-table-body');
+const imageSyncSummaryEl = document.getElementById('image-sync-summary');
+const imageSyncAltTextEl = document.getElementById('image-sync-alt-text');
+const confirmImageSyncBtn = document.getElementById('confirm-image-sync');
+let imageSyncSkus = [];
+
+const IMAGE_STATUS_LABELS = {
+    existing: '<span class="text-gray-400">Already in Shopify</span>',
+    missing: '<span class="text-blue-600">Will be attached</span>',
+    added: '<span class="text-green-600">Attached</span>',
+    failed: '<span class="text-red-600">Failed</span>'
+};
+
+async function requestImageSync(dryRun) {
+    const response = await fetch('/api/shopify/sync-images', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            accessToken: getShopifyToken(),
+            skus: imageSyncSkus,
+            generateAltText: imageSyncAltTextEl.checked,
+            dryRun
+        })
+    });
+    const data = await response.json();
+    if (data.error) throw new Error(data.error);
+    return data.results;
+}
+
+function renderImageSyncResults(results) {
+    imageSyncTableBody.innerHTML = results.map(result => {
+        if (result.images.length === 0) {
+            const note = result.error
+                ? `<span class="text-red-600">${escapeHtml(result.error)}</span>`
+                : `<span class="text-gray-400">${escapeHtml(result.skipped || 'No images')}</span>`;
+            return `
+                <tr class="border-b border-gray-100">
+                    <td class="px-2 py-1.5 text-gray-700">${escapeHtml(result.sku)}</td>
+                    <td class="px-2 py-1.5"></td>
+                    <td class="px-2 py-1.5 text-xs" colspan="2">${note}</td>
+                </tr>
+            `;
+        }
+        return result.images.map((image, idx) => `
+            <tr class="border-b border-gray-100">
+                <td class="px-2 py-1.5 text-gray-700">${idx === 0 ? escapeHtml(result.sku) : ''}</td>
+                <td class="px-2 py-1.5 text-gray-500">${image.position + 1}</td>
+                <td class="px-2 py-1.5 text-xs truncate max-w-md"><a href="${escapeHtml(image.url)}" target="_blank" rel="noopener" class="text-blue-600 hover:underline">${escapeHtml(image.url.split('/').pop())}</a></td>
+                <td class="px-2 py-1.5 text-xs"${image.error ? ` title="${escapeHtml(image.error)}"` : ''}>${IMAGE_STATUS_LABELS[image.status] || escapeHtml(image.status)}${image.error ? ` <span class="text-gray-500">${escapeHtml(image.error)}</span>` : ''}</td>
+            </tr>
+        `).join('');
+    }).join('');
+}
+
+async function openImageSyncModal() {
+    if (!getShopifyToken()) {
+        shopifyStatusEl.textContent = 'Connect Shopify first';
+        shopifyStatusEl.className = 'text-sm text-orange-500';
+        return;
+    }
+    imageSyncSkus = getSelectedSkus();
+    if (imageSyncSkus.length === 0) {
+        shopifyStatusEl.textContent = 'No items selected';
+        shopifyStatusEl.className = 'text-sm text-orange-500';
+        return;
+    }
+
+    imageSyncTableBody.innerHTML = '<tr><td colspan="4" class="px-2 py-4 text-center text-gray-500">Comparing sheet galleries with Shopify media...</td></tr>';
+    imageSyncSummaryEl.textContent = `${imageSyncSkus.length} selected products`;
+    confirmImageSyncBtn.disabled = true;
+    imageSyncModal.classList.remove('hidden');
+    imageSyncModal.classList.add('active');
+
+    try {
+        const results = await requestImageSync(true);
+        renderImageSyncResults(results);
+        const missing = results.reduce((sum, r) => sum + r.images.filter(i => i.status === 'missing').length, 0);
+        imageSyncSummaryEl.textContent = `${missing} images missing from ${imageSyncSkus.length} selected products`;
+        confirmImageSyncBtn.disabled = missing === 0;
+    } catch (error) {
+        imageSyncTableBody.innerHTML = `<tr><td colspan="4" class="px-2 py-4 text-center text-red-500">Error: ${escapeHtml(error.message)}</td></tr>`;
+    }
+}
+
+function closeImageSyncModal() {
+    imageSyncModal.classList.add('hidden');
+    imageSyncModal.classList.remove('active');
+}
+
+async function syncGalleryImages() {
+    confirmImageSyncBtn.disabled = true;
+    syncImagesBtn.disabled = true;
+    imageSyncSummaryEl.textContent = 'Attaching images...';
+
+    const logEntries = [];
+    try {
+        const results = await requestImageSync(false);
+        renderImageSyncResults(results);
+
+        results.forEach(result => {
+            result.images
+                .filter(image => image.status === 'added' || image.status === 'failed')
+                .forEach(image => logEntries.push({
+                    target: 'shopify',
+                    action: 'images',
+                    sku: result.sku,
+                    url: image.url,
+                    position: image.position + 1,
+                    success: image.status === 'added',
+                    error: image.error || null
+                }));
+        });
+
+        const failed = logEntries.filter(e => !e.success).length;
+        imageSyncSummaryEl.textContent = `Attached ${logEntries.length - failed} images${failed ? `, ${failed} failed` : ''}`;
+        debugLog(failed ? 'error' : 'success', 'shopify', `Image sync: ${logEntries.length - failed} attached, ${failed} failed`);
+    } catch (error) {
+        imageSyncSummaryEl.textContent = `Error: ${error.message}`;
+        debugLog('error', 'shopify', `Image sync failed: ${error.message}`);
+    } finally {
+        saveLog(logEntries);
+        syncImagesBtn.disabled = false;
+    }
+}
+
+syncImagesBtn.addEventListener('click', openImageSyncModal);
+document.getElementById('close-image-sync-modal').addEventListener('click', closeImageSyncModal);
+document.getElementById('cancel-image-sync').addEventListener('click', closeImageSyncModal);
+confirmImageSyncBtn.addEventListener('click', syncGalleryImages);
+imageSyncModal.addEventListener('click', (e) => {
+    if (e.target === imageSyncModal) closeImageSyncModal();
+});
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && imageSyncModal.classList.contains('active')) closeImageSyncModal();
+});
+
 // Initialize descriptions tab
 async function initDescriptionsTab() {
     debugLog('info', 'init', 'Initializing descriptions tab', { alreadyLoaded: descDataLoaded });
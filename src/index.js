@@ -12,6 +12,107 @@ const DEBUG_CACHE_KEY = 'https://dashboard.popid.ie/debug-logs-cache';
 // Shopify configuration - set these in wrangler.toml or Cloudflare dashboard
 const SHOPIFY_SCOPES = 'write_products,read_products,read_inventory,write_inventory';
 const SHOPIFY_API_VERSION = '2024-10';
+const SHOPIFY_PAGE_SIZE = 250;
+const SHOPIFY_MAX_RETRIES = 5;
+const SHOPIFY_SKU_QUERY_CHUNK = 50; // SKUs per "sku:A OR sku:B" search query
+// Per-location stock reads nest inventoryLevels in every variant, so they page in smaller
+// batches to stay under Shopify's 1000-point single query cost. Items stocked at more locations
+// than the nested page holds get the rest in follow-up queries (shopifyFetchInventoryLevels)
+const SHOPIFY_LOCATION_LIMIT = 5;
+const SHOPIFY_STOCK_PAGE_SIZE = 50;
+
+// Where Match Stock writes: the default location (else an item's first location),
+// and percentage shares for "split" (rounded down, remainder to the default location)
+const DEFAULT_LOCATION_SETTINGS = {
+  defaultLocationId: null,
+  split: [],
+  jobMode: 'default', // 'default' | 'split', used by the stock-match job
+  jobReplaceOthers: false // stock-match job also sets an item's other locations to 0
+};
+
+// Zoho Inventory list endpoints cap per_page at 200
+const ZOHO_PAGE_SIZE = 200;
+
+// Reasons offered for stock adjustments pushed from the dashboard
+const ZOHO_ADJUSTMENT_REASONS = ['Stocktaking results', 'Supplier stock update', 'Damaged goods', 'Stolen goods', 'Stock written off'];
+
+// Workers KV per-item key prefixes: one key per item, so concurrent saves of different items never overwrite each other
+const KV_PREFIXES = {
+  drafts: 'draft:',
+  vatOverrides: 'vat:',
+  jobsStatus: 'jobs:status:',
+  changeLog: 'log:',
+  reorderOverrides: 'reorder:',
+  mediaSources: 'media:' // per Shopify product: { imageKey: mediaId } of the gallery images it was sent
+};
+
+// Server-side change log entries (written by scheduled jobs) expire after this long
+const CHANGE_LOG_TTL_SECONDS = 90 * 24 * 60 * 60;
+
+// Workers KV keys (binding: DASHBOARD_KV)
+const KV_KEYS = {
+  drafts: 'pricing:drafts', // Legacy single-value drafts, migrated to KV_PREFIXES.drafts on read
+  rules: 'pricing:rules',
+  settings: 'pricing:settings',
+  fxRate: 'fx:rate',
+  fxLock: 'fx:lock',
+  fxHistory: 'fx:history',
+  fxLastPush: 'fx:last-push',
+  priceHistory: 'prices:history',
+  jobsConfig: 'jobs:config',
+  jobsStatus: 'jobs:status', // Legacy single-value status, superseded by KV_PREFIXES.jobsStatus
+  shopifyToken: 'shopify:token', // Legacy OAuth token copy, deleted on the next OAuth callback
+  skuRules: 'skus:rules',
+  skuAliases: 'skus:aliases',
+  shopifyLocations: 'shopify:locations',
+  stockTolerances: 'stock:tolerances',
+  reorder: 'stock:reorder'
+};
+
+// Change points kept per SKU in the Trade ID / Digital ID price history
+const PRICE_HISTORY_MAX_POINTS = 30;
+
+// Exchange rate source (European Central Bank, daily EUR/GBP series)
+const ECB_RATE_URL = 'https://data.ecb.europa.eu/data-detail-api/EXR.D.GBP.EUR.SP00.A';
+
+// ECB publishes once per working day, so a cached rate is reused for a few hours
+const FX_CACHE_TTL_MS = 6 * 60 * 60 * 1000;
+
+const PRICING_BASES = ['tradeId', 'digitalId'];
+const PRICING_TARGETS = ['markup', 'margin']; // margin = true margin after landed cost, fees and VAT
+const ROUNDING_MODES = ['none', 'nearest', 'up', 'down', 'charm'];
+
+// Irish VAT rates (standard, reduced, zero)
+const VAT_RATES = [23, 13.5, 0];
+
+// Pricing settings defaults (null disables a guardrail)
+const DEFAULT_PRICING_SETTINGS = {
+  minProfit: null,
+  minMarginPct: null,
+  fxAlertPct: null, // alert when EUR/GBP moves more than this since the last Zoho push
+  vatRatePct: 23,
+  zohoRateIncludesVat: false,
+  vatOverrides: {}, // { sku: vatRatePct }
+  // Landed cost model (EUR per unit / % of Trade cost or selling price)
+  shippingPerUnit: 0,
+  dutyPct: 0,
+  fxSpreadPct: 0,
+  paymentFeePct: 0,
+  paymentFeeFixed: 0
+};
+
+const LANDED_COST_KEYS = ['shippingPerUnit', 'dutyPct', 'fxSpreadPct', 'paymentFeePct', 'paymentFeeFixed'];
+
+// SKU normalization applied before any SKUs are compared.
+// Off by default: drafts, VAT overrides and price history are keyed by the SKU as normalized when saved
+const DEFAULT_SKU_RULES = {
+  ignoreCase: false, // compare (and show) SKUs in upper case
+  stripWhitespace: false,
+  stripPrefixes: [] // e.g. supplier prefixes such as "TID-"
+};
+
+// Systems an alias can point at; the alias `sku` itself is the supplier (Trade-Id) SKU
+const SKU_ALIAS_SYSTEMS = ['digitalId', 'zoho', 'shopify'];
 
 /**
  * Create a JWT token for Google Sheets API authentication
@@ -104,6 +205,26 @@ async function fetchSheet(accessToken, sheetName) {
   return data.values || [];
 }
 
+/**
+ * Parse a sheet whole number; blank or non-numeric cells are null, 0 stays 0
+ */
+function parseSheetInt(value) {
+  const n = parseInt(value);
+  return Number.isNaN(n) ? null : n;
+}
+
+/**
+ * Normalize a sheet date (ISO or day-first dd/mm/yyyy) to YYYY-MM-DD; other text is kept as-is
+ */
+function parseSheetDate(value) {
+  const text = (value || '').trim();
+  if (!text) return null;
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) return text.slice(0, 10);
+  const dayFirst = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (dayFirst) return `${dayFirst[3]}-${dayFirst[2].padStart(2, '0')}-${dayFirst[1].padStart(2, '0')}`;
+  return text;
+}
+
 /**
  * Parse trade-id sheet data
  * Columns: Product ID, Product Name, Price, SKU, Stock, Release Date, Discontinued, Expected Stock, Variations, Gallery URLs
@@ -120,13 +241,24 @@ function parseTradeIdSheet(rows) {
   const priceIdx = headers.findIndex(h => h.toLowerCase() === 'price');
   const skuIdx = headers.findIndex(h => h.toLowerCase() === 'sku');
   const stockIdx = headers.findIndex(h => h.toLowerCase() === 'stock');
+  const releaseIdx = headers.findIndex(h => h.toLowerCase() === 'release date');
+  const discontinuedIdx = headers.findIndex(h => h.toLowerCase() === 'discontinued');
+  const expectedIdx = headers.findIndex(h => h.toLowerCase() === 'expected stock');
+  const variationsIdx = headers.findIndex(h => h.toLowerCase() === 'variations');
+  const galleryIdx = headers.findIndex(h => h.toLowerCase() === 'gallery urls');
 
-  return dataRows.map(row => ({
+  return dataRows.map((row, index) => ({
     productId: row[idIdx] || '',
     name: row[nameIdx] || '',
     price: parseFloat(row[priceIdx]) || null,
     sku: row[skuIdx] || '',
-    stock: parseInt(row[stockIdx]) || null
+    stock: parseSheetInt(row[stockIdx]),
+    releaseDate: parseSheetDate(row[releaseIdx]),
+    discontinued: /^(yes|y|true|1|x|discontinued)$/i.test((row[discontinuedIdx] || '').trim()),
+    expectedStock: parseSheetInt(row[expectedIdx]),
+    variations: (row[variationsIdx] || '').trim(),
+    galleryUrls: (row[galleryIdx] || '').split(/[\s,]+/).filter(u => /^https?:\/\//.test(u)),
+    row: index + 2 // sheet row number (row 1 is the header)
   })).filter(item => item.sku && item.price !== -1); // Exclude rows without SKU or with price -1
 }
 
@@ -145,13 +277,16 @@ function parseDigitalIdSheet(rows, includeDescription = false) {
   const skuIdx = headers.findIndex(h => h.toLowerCase() === 'sku');
   const descIdx = headers.findIndex(h => h.toLowerCase() === 'description');
   const nameIdx = headers.findIndex(h => h.toLowerCase() === 'name');
+  const imageIdx = headers.findIndex(h => h.toLowerCase().startsWith('image'));
 
-  return dataRows.map(row => {
+  return dataRows.map((row, index) => {
     // Strip currency symbol and parse price
     const priceStr = (row[priceIdx] || '').replace(/[£$€,]/g, '').trim();
     const result = {
       sku: row[skuIdx] || '',
-      price: parseFloat(priceStr) || null
+      price: parseFloat(priceStr) || null,
+      image: /^https?:\/\//.test((row[imageIdx] || '').trim()) ? row[imageIdx].trim() : null,
+      row: index + 2
     };
     if (includeDescription) {
       result.name = row[nameIdx] || '';
@@ -175,12 +310,51 @@ function parseDescriptionSheet(rows) {
   const skuIdx = headers.findIndex(h => h.toLowerCase() === 'sku');
   const descIdx = headers.findIndex(h => h.toLowerCase() === 'description');
 
-  return dataRows.map(row => ({
+  return dataRows.map((row, index) => ({
     sku: row[skuIdx] || '',
-    productUses: row[descIdx] || ''
+    productUses: row[descIdx] || '',
+    row: index + 2
   })).filter(item => item.sku);
 }
 
+/**
+ * Group sheet rows that resolve to the same SKU. Returns [{ sku, rows, conflicts }]
+ * where conflicts lists the fields whose values differ between the rows.
+ */
+function findDuplicateSkus(items, toSku, fields) {
+  const bySku = new Map();
+  items.forEach(item => {
+    const sku = toSku(item.sku);
+    if (!bySku.has(sku)) bySku.set(sku, []);
+    bySku.get(sku).push(item);
+  });
+
+  return [...bySku]
+    .filter(([, rows]) => rows.length > 1)
+    .map(([sku, rows]) => ({
+      sku,
+      rows,
+      conflicts: fields.filter(field => new Set(rows.map(row => row[field] ?? null)).size > 1)
+    }))
+    .sort((a, b) => a.sku.localeCompare(b.sku));
+}
+
+/**
+ * Trade-Id fields carried into a combined product's set1
+ */
+function tradeIdDetails(item) {
+  return {
+    name: item.name,
+    cost: item.price,
+    stock: item.stock,
+    releaseDate: item.releaseDate,
+    discontinued: item.discontinued,
+    expectedStock: item.expectedStock,
+    variations: item.variations,
+    galleryUrls: item.galleryUrls
+  };
+}
+
 /**
  * Combine data from all sheets, matching by SKU (deduplicated)
  */
@@ -208,11 +382,7 @@ function combineData(tradeIdData, digitalIdData) {
     .map(item => ({
       sku: item.sku,
       productId: item.productId,
-      set1: {
-        name: item.name,
-        cost: item.price,
-        stock: item.stock
-      },
+      set1: tradeIdDetails(item),
       set2: {
         cost: digitalIdMap.get(item.sku) || null
       }
@@ -220,241 +390,2668 @@ function combineData(tradeIdData, digitalIdData) {
     .filter(item => item.set1.cost !== null && item.set2.cost !== null);
 }
 
-// HTTP Basic Auth credentials
-const BASIC_AUTH_USER = 'admin';
-const BASIC_AUTH_PASS = '1q2w3e4r';
+/**
+ * Products that combineData drops: Trade-Id rows with a cost but no Digital ID price
+ * ('tradeOnly') and priced Digital ID rows with no costed Trade-Id row ('digitalOnly').
+ * Returned in the combined product shape, flagged with `match`.
+ */
+function findUnmatchedProducts(tradeIdData, digitalIdData) {
+  const digitalIdMap = new Map();
+  digitalIdData.forEach(item => {
+    if (!digitalIdMap.has(item.sku)) {
+      digitalIdMap.set(item.sku, item);
+    }
+  });
 
-function checkBasicAuth(request) {
-  const authHeader = request.headers.get('Authorization');
-  if (!authHeader || !authHeader.startsWith('Basic ')) {
-    return false;
-  }
-  const base64Credentials = authHeader.slice(6);
-  const credentials = atob(base64Credentials);
-  const [username, password] = credentials.split(':');
-  return username === BASIC_AUTH_USER && password === BASIC_AUTH_PASS;
+  const tradeIdMap = new Map();
+  tradeIdData.forEach(item => {
+    if (!tradeIdMap.has(item.sku)) {
+      tradeIdMap.set(item.sku, item);
+    }
+  });
+
+  const tradeOnly = [...tradeIdMap.values()]
+    .filter(item => item.price !== null && !digitalIdMap.get(item.sku)?.price)
+    .map(item => ({
+      sku: item.sku,
+      productId: item.productId,
+      match: 'tradeOnly',
+      set1: tradeIdDetails(item),
+      set2: { cost: null }
+    }));
+
+  const digitalOnly = [...digitalIdMap.values()]
+    .filter(item => item.price !== null && !tradeIdMap.get(item.sku)?.price)
+    .map(item => ({
+      sku: item.sku,
+      productId: '',
+      match: 'digitalOnly',
+      set1: { name: item.name || '', cost: null, stock: null },
+      set2: { cost: item.price }
+    }));
+
+  return [...tradeOnly, ...digitalOnly];
 }
 
-export default {
-  async fetch(request, env, ctx) {
-    const url = new URL(request.url);
+/**
+ * Apply the normalization rules to a SKU
+ */
+function normalizeSku(sku, rules) {
+  let value = String(sku ?? '').trim();
+  if (rules.stripWhitespace) value = value.replace(/\s+/g, '');
+  const prefix = rules.stripPrefixes.find(p => value.toLowerCase().startsWith(p.toLowerCase()));
+  if (prefix && value.length > prefix.length) value = value.slice(prefix.length);
+  return rules.ignoreCase ? value.toUpperCase() : value;
+}
 
-    // Handle CORS
-    const corsHeaders = {
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, POST, PUT, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
-    };
+/**
+ * Validate SKU normalization rules, filling in defaults
+ */
+function normalizeSkuRules(rules = {}) {
+  const prefixes = rules.stripPrefixes ?? DEFAULT_SKU_RULES.stripPrefixes;
+  if (!Array.isArray(prefixes)) throw new Error('stripPrefixes must be an array');
+
+  return {
+    ignoreCase: Boolean(rules.ignoreCase ?? DEFAULT_SKU_RULES.ignoreCase),
+    stripWhitespace: Boolean(rules.stripWhitespace ?? DEFAULT_SKU_RULES.stripWhitespace),
+    stripPrefixes: [...new Set(prefixes.map(p => String(p).trim()).filter(Boolean))]
+  };
+}
 
-    if (request.method === 'OPTIONS') {
-      return new Response(null, { headers: corsHeaders });
+/**
+ * Validate the alias table: [{ sku, digitalId?, zoho?, shopify? }], keyed by normalized supplier SKU
+ */
+function normalizeSkuAliases(aliases, rules) {
+  if (!Array.isArray(aliases)) throw new Error('Aliases must be an array');
+
+  const seen = { sku: new Set(), ...Object.fromEntries(SKU_ALIAS_SYSTEMS.map(system => [system, new Set()])) };
+  return aliases.map((alias, index) => {
+    const sku = normalizeSku(alias.sku, rules);
+    if (!sku) throw new Error(`Alias ${index + 1} needs a supplier SKU`);
+    if (seen.sku.has(sku)) throw new Error(`Duplicate alias for SKU ${sku}`);
+    seen.sku.add(sku);
+
+    const normalized = { sku };
+    for (const system of SKU_ALIAS_SYSTEMS) {
+      const value = String(alias[system] ?? '').trim();
+      normalized[system] = value || null;
+      if (!value) continue;
+      const key = normalizeSku(value, rules);
+      if (seen[system].has(key)) throw new Error(`${system} SKU ${value} is aliased more than once`);
+      seen[system].add(key);
     }
+    if (SKU_ALIAS_SYSTEMS.every(system => !normalized[system])) {
+      throw new Error(`Alias for ${sku} needs at least one Digital ID, Zoho or Shopify SKU`);
+    }
+    return normalized;
+  });
+}
 
-    // Check Basic Auth for all requests
-    if (!checkBasicAuth(request)) {
-      return new Response('Unauthorized', {
-        status: 401,
-        headers: {
-          'WWW-Authenticate': 'Basic realm="Product Dashboard"',
-          ...corsHeaders
-        }
-      });
+/**
+ * Build SKU lookups from the rules and alias table. Dashboard SKUs are normalized supplier SKUs;
+ * toCanonical maps a Digital ID / Zoho / Shopify SKU onto one and toExternal maps back.
+ */
+function createSkuResolver(rules, aliases) {
+  const normalize = sku => normalizeSku(sku, rules);
+  const bySku = new Map();
+  const reverse = Object.fromEntries(SKU_ALIAS_SYSTEMS.map(system => [system, new Map()]));
+
+  for (const alias of aliases) {
+    bySku.set(alias.sku, alias);
+    for (const system of SKU_ALIAS_SYSTEMS) {
+      if (alias[system]) reverse[system].set(normalize(alias[system]), alias.sku);
     }
+  }
 
-    // Debug logs endpoint - POST to store logs from client (using Cache API for persistence)
-    if (url.pathname === '/api/debug/client-logs' && request.method === 'POST') {
-      try {
-        const body = await request.json();
-        const debugData = {
-          logs: body.logs || [],
-          settings: body.settings || {},
-          lastUpdated: new Date().toISOString()
-        };
+  return {
+    normalize,
+    toCanonical(sku, system) {
+      const key = normalize(sku);
+      return reverse[system]?.get(key) ?? key;
+    },
+    toExternal(sku, system) {
+      const key = normalize(sku);
+      return bySku.get(key)?.[system] || key;
+    }
+  };
+}
 
-        // Store in cache (persists across worker restarts for ~1 hour)
-        const cache = caches.default;
-        const cacheResponse = new Response(JSON.stringify(debugData), {
-          headers: { 'Content-Type': 'application/json', 'Cache-Control': 'max-age=3600' }
-        });
-        await cache.put(DEBUG_CACHE_KEY, cacheResponse);
+async function getSkuMapping(env) {
+  const [rules, aliases] = await Promise.all([
+    kvGetJson(env, KV_KEYS.skuRules, {}),
+    kvGetJson(env, KV_KEYS.skuAliases, [])
+  ]);
+  return { rules: normalizeSkuRules(rules), aliases };
+}
 
-        return new Response(JSON.stringify({ success: true, received: debugData.logs.length }), {
-          headers: { 'Content-Type': 'application/json', ...corsHeaders }
-        });
-      } catch (error) {
-        return new Response(JSON.stringify({ error: error.message }), {
-          status: 500,
-          headers: { 'Content-Type': 'application/json', ...corsHeaders }
-        });
-      }
-    }
+async function getSkuResolver(env) {
+  const { rules, aliases } = await getSkuMapping(env);
+  return createSkuResolver(rules, aliases);
+}
 
-    // Debug logs endpoint - GET to retrieve logs (for Claude to fetch)
-    if (url.pathname === '/api/debug/client-logs' && request.method === 'GET') {
-      try {
-        const cache = caches.default;
-        const cachedResponse = await cache.match(DEBUG_CACHE_KEY);
+/**
+ * Fetch both pricing sheets and combine them by SKU (optionally appending unmatched SKUs)
+ */
+async function fetchCombinedData(env, { includeUnmatched = false } = {}) {
+  const serviceAccount = JSON.parse(atob(env.GOOGLE_SERVICE_ACCOUNT_B64));
+  const accessToken = await getAccessToken(serviceAccount);
+
+  const [tradeIdRows, digitalIdRows, resolver] = await Promise.all([
+    fetchSheet(accessToken, SHEETS.tradeId),
+    fetchSheet(accessToken, SHEETS.digitalId),
+    getSkuResolver(env)
+  ]);
+
+  // Match on normalized SKUs, with Digital ID SKUs resolved through the alias table
+  const tradeIdData = parseTradeIdSheet(tradeIdRows)
+    .map(item => ({ ...item, sku: resolver.normalize(item.sku) }));
+  // Names are only needed to label Digital-only rows
+  const digitalIdData = parseDigitalIdSheet(digitalIdRows, includeUnmatched)
+    .map(item => ({ ...item, sku: resolver.toCanonical(item.sku, 'digitalId') }));
+  const combined = combineData(tradeIdData, digitalIdData);
+
+  return includeUnmatched
+    ? [...combined, ...findUnmatchedProducts(tradeIdData, digitalIdData)]
+    : combined;
+}
 
-        if (cachedResponse) {
-          const debugData = await cachedResponse.json();
-          return new Response(JSON.stringify(debugData, null, 2), {
-            headers: { 'Content-Type': 'application/json', ...corsHeaders }
-          });
-        }
+/**
+ * Append a [date, tradeId, digitalId] point for every SKU whose prices changed
+ * Only change points are stored; same-day changes replace that day's point
+ * Only the sheet-snapshot job calls this, so the history value has a single writer
+ */
+async function recordPriceSnapshot(env, products) {
+  const history = await kvGetJson(env, KV_KEYS.priceHistory, {});
+  const today = new Date().toISOString().slice(0, 10);
+  let changed = 0;
+
+  for (const product of products) {
+    const tradeId = product.set1?.cost ?? null;
+    const digitalId = product.set2?.cost ?? null;
+    const points = history[product.sku] || (history[product.sku] = []);
+    const last = points[points.length - 1];
+
+    if (last && last[1] === tradeId && last[2] === digitalId) continue;
+    if (last && last[0] === today) points.pop();
+    points.push([today, tradeId, digitalId]);
+    if (points.length > PRICE_HISTORY_MAX_POINTS) points.splice(0, points.length - PRICE_HISTORY_MAX_POINTS);
+    changed++;
+  }
 
-        return new Response(JSON.stringify({ logs: [], settings: {}, lastUpdated: null }, null, 2), {
-          headers: { 'Content-Type': 'application/json', ...corsHeaders }
-        });
-      } catch (error) {
-        return new Response(JSON.stringify({ error: error.message }), {
-          status: 500,
-          headers: { 'Content-Type': 'application/json', ...corsHeaders }
-        });
-      }
-    }
+  if (changed > 0) await kvPutJson(env, KV_KEYS.priceHistory, history);
+  return { history, changed };
+}
 
-    // Zoho Inventory: Get access token
-    async function getZohoAccessToken(env) {
-      const response = await fetch('https://accounts.zoho.eu/oauth/v2/token', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-        body: new URLSearchParams({
-          grant_type: 'refresh_token',
-          client_id: env.ZOHO_CLIENT_ID,
-          client_secret: env.ZOHO_CLIENT_SECRET,
-          refresh_token: env.ZOHO_REFRESH_TOKEN
-        })
-      });
-      const data = await response.json();
-      if (data.error) throw new Error(data.error);
-      return data.access_token;
-    }
-
-    // Zoho Inventory: Search item by SKU
-    async function zohoSearchItemBySku(accessToken, orgId, sku) {
-      const response = await fetch(
-        `https://www.zohoapis.eu/inventory/v1/items?organization_id=${orgId}&sku=${encodeURIComponent(sku)}`,
-        {
-          headers: { 'Authorization': `Zoho-oauthtoken ${accessToken}` }
-        }
-      );
-      const data = await response.json();
-      if (data.code !== 0) throw new Error(data.message || 'Failed to search item');
-      return data.items && data.items.length > 0 ? data.items[0] : null;
-    }
-
-    // Zoho Inventory: Update item prices
-    async function zohoUpdateItemPrices(accessToken, orgId, itemId, costPrice, sellingPrice) {
-      const response = await fetch(
-        `https://www.zohoapis.eu/inventory/v1/items/${itemId}?organization_id=${orgId}`,
-        {
-          method: 'PUT',
-          headers: {
-            'Authorization': `Zoho-oauthtoken ${accessToken}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            purchase_rate: costPrice,
-            rate: sellingPrice
-          })
-        }
-      );
-      const data = await response.json();
-      if (data.code !== 0) throw new Error(data.message || 'Failed to update item');
-      return data.item;
-    }
+/**
+ * Read a JSON value from Workers KV
+ * Without the binding every read returns its fallback, so the dashboard still loads (writes fail)
+ */
+async function kvGetJson(env, key, fallback) {
+  if (!env.DASHBOARD_KV) return fallback;
+  const value = await env.DASHBOARD_KV.get(key, 'json');
+  return value ?? fallback;
+}
 
-    // API endpoint to push prices to Zoho Inventory
-    if (url.pathname === '/api/zoho/update' && request.method === 'POST') {
-      try {
-        const body = await request.json();
-        const { sku, costPrice, sellingPrice } = body;
+/**
+ * Write a JSON value to Workers KV
+ */
+async function kvPutJson(env, key, value) {
+  if (!env.DASHBOARD_KV) throw new Error('DASHBOARD_KV binding is not configured');
+  await env.DASHBOARD_KV.put(key, JSON.stringify(value));
+}
 
-        if (!sku) {
-          return new Response(JSON.stringify({ error: 'SKU is required' }), {
-            status: 400,
-            headers: { 'Content-Type': 'application/json', ...corsHeaders }
-          });
-        }
+/**
+ * Read every per-item entry under a prefix: { id: value }
+ * Values are mirrored into key metadata (under 1 KB each), so one list call reads up to 1000 entries
+ */
+async function kvListEntries(env, prefix) {
+  const entries = {};
+  if (!env.DASHBOARD_KV) return entries;
+  let cursor = null;
+  do {
+    const page = await env.DASHBOARD_KV.list({ prefix, ...(cursor && { cursor }) });
+    page.keys.forEach(key => {
+      if (key.metadata != null) entries[key.name.slice(prefix.length)] = key.metadata;
+    });
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  return entries;
+}
 
-        // Get access token
-        const accessToken = await getZohoAccessToken(env);
+/**
+ * Write one per-item entry (a null value deletes it)
+ */
+async function kvPutEntry(env, prefix, id, value, options = {}) {
+  if (!env.DASHBOARD_KV) throw new Error('DASHBOARD_KV binding is not configured');
+  if (value === null) {
+    await env.DASHBOARD_KV.delete(prefix + id);
+  } else {
+    await env.DASHBOARD_KV.put(prefix + id, JSON.stringify(value), { ...options, metadata: value });
+  }
+}
 
-        // Find item by SKU
-        const item = await zohoSearchItemBySku(accessToken, env.ZOHO_ORG_ID, sku);
-        if (!item) {
-          return new Response(JSON.stringify({ error: `Item not found with SKU: ${sku}` }), {
-            status: 404,
-            headers: { 'Content-Type': 'application/json', ...corsHeaders }
-          });
-        }
+/**
+ * Append entries to the server-side change log, one key per entry (`log:<timestamp>:<n>`).
+ * Errors are truncated so each entry fits in key metadata.
+ */
+async function appendChangeLog(env, entries, source) {
+  const timestamp = new Date().toISOString();
+  await Promise.all(entries.map((entry, index) => kvPutEntry(env, KV_PREFIXES.changeLog, `${timestamp}:${index}`, {
+    timestamp,
+    source,
+    ...entry,
+    error: entry.error ? String(entry.error).slice(0, 200) : null
+  }, { expirationTtl: CHANGE_LOG_TTL_SECONDS })));
+}
 
-        // Update prices
-        const updatedItem = await zohoUpdateItemPrices(
-          accessToken,
-          env.ZOHO_ORG_ID,
-          item.item_id,
-          costPrice,
-          sellingPrice
-        );
+/**
+ * Server-side change log, newest first
+ */
+async function getChangeLog(env) {
+  const entries = await kvListEntries(env, KV_PREFIXES.changeLog);
+  return Object.values(entries).sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+}
 
-        return new Response(JSON.stringify({
-          success: true,
-          sku,
-          itemId: item.item_id,
-          itemName: updatedItem.name,
-          costPrice,
-          sellingPrice
-        }), {
-          headers: { 'Content-Type': 'application/json', ...corsHeaders }
-        });
-      } catch (error) {
-        return new Response(JSON.stringify({ error: error.message }), {
-          status: 500,
-          headers: { 'Content-Type': 'application/json', ...corsHeaders }
-        });
-      }
+/**
+ * Apply one SKU's draft change to its stored draft.
+ * A null field clears it; returns null once no fields are left.
+ */
+function mergePricingDraft(draft, change, user) {
+  const fields = ['override', 'zohoStock', 'shopifyStock'];
+  const merged = { ...(draft || {}) };
+  for (const field of fields) {
+    if (!(field in change)) continue;
+    if (change[field] === null || change[field] === '') {
+      delete merged[field];
+    } else {
+      merged[field] = change[field];
     }
+  }
 
-    // API endpoint to batch update prices to Zoho Inventory
-    if (url.pathname === '/api/zoho/batch-update' && request.method === 'POST') {
-      try {
-        const body = await request.json();
-        const { items } = body; // Array of { sku, costPrice, sellingPrice }
+  if (!fields.some(field => field in merged)) return null;
+  return { ...merged, updatedBy: user, updatedAt: new Date().toISOString() };
+}
 
-        if (!items || !Array.isArray(items) || items.length === 0) {
-          return new Response(JSON.stringify({ error: 'Items array is required' }), {
-            status: 400,
-            headers: { 'Content-Type': 'application/json', ...corsHeaders }
-          });
-        }
+/**
+ * Every pricing draft by SKU, moving drafts from the legacy single value to per-SKU keys first
+ */
+async function getPricingDrafts(env) {
+  const legacy = await kvGetJson(env, KV_KEYS.drafts, null);
+  if (legacy) {
+    await Promise.all(Object.entries(legacy).map(([sku, draft]) => kvPutEntry(env, KV_PREFIXES.drafts, sku, draft)));
+    await env.DASHBOARD_KV.delete(KV_KEYS.drafts);
+  }
+  return { ...(legacy || {}), ...(await kvListEntries(env, KV_PREFIXES.drafts)) };
+}
 
-        const accessToken = await getZohoAccessToken(env);
-        const results = [];
+/**
+ * Fetch the daily EUR/GBP series from the ECB, oldest first
+ */
+async function fetchEcbSeries() {
+  const response = await fetch(ECB_RATE_URL);
+  if (!response.ok) throw new Error('Failed to fetch exchange rate');
+  const data = await response.json();
+  return data
+    .filter(d => d.OBS !== null)
+    .map(d => ({ date: d.PERIOD, rate: parseFloat(d.OBS) }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
 
-        for (const item of items) {
-          try {
-            const zohoItem = await zohoSearchItemBySku(accessToken, env.ZOHO_ORG_ID, item.sku);
-            if (!zohoItem) {
-              results.push({ sku: item.sku, success: false, error: 'Item not found' });
-              continue;
-            }
+/**
+ * Fetch the latest EUR/GBP observation from the ECB
+ */
+async function fetchEcbRate() {
+  const series = await fetchEcbSeries();
+  if (series.length === 0) throw new Error('No exchange rate observations');
+  return series[series.length - 1];
+}
+
+/**
+ * Daily EUR/GBP series, cached like the latest rate (stale copy returned when ECB is down)
+ */
+async function getExchangeRateHistory(env) {
+  const hasKv = !!env.DASHBOARD_KV;
+  const cached = hasKv ? await kvGetJson(env, KV_KEYS.fxHistory, null) : null;
+  if (cached && Date.now() - new Date(cached.fetchedAt).getTime() < FX_CACHE_TTL_MS) {
+    return { ...cached, stale: false };
+  }
+
+  try {
+    const history = { series: await fetchEcbSeries(), fetchedAt: new Date().toISOString() };
+    if (hasKv) await kvPutJson(env, KV_KEYS.fxHistory, history);
+    return { ...history, stale: false };
+  } catch (error) {
+    if (!cached) throw error;
+    return { ...cached, stale: true };
+  }
+}
+
+/**
+ * EUR/GBP rate used for pricing: a manual lock wins, otherwise the cached ECB rate
+ * When ECB is unavailable the last known rate is returned and flagged as stale
+ */
+async function getExchangeRate(env) {
+  const hasKv = !!env.DASHBOARD_KV;
+  const [cached, lock] = hasKv
+    ? await Promise.all([kvGetJson(env, KV_KEYS.fxRate, null), kvGetJson(env, KV_KEYS.fxLock, null)])
+    : [null, null];
+
+  let market = null;
+  if (cached && Date.now() - new Date(cached.fetchedAt).getTime() < FX_CACHE_TTL_MS) {
+    market = { ...cached, source: 'cache', stale: false };
+  } else {
+    try {
+      const latest = await fetchEcbRate();
+      market = { ...latest, fetchedAt: new Date().toISOString(), source: 'ecb', stale: false };
+      if (hasKv) await kvPutJson(env, KV_KEYS.fxRate, { rate: market.rate, date: market.date, fetchedAt: market.fetchedAt });
+    } catch (error) {
+      if (!cached && !lock) throw error;
+      if (cached) market = { ...cached, source: 'fallback', stale: true, error: error.message };
+    }
+  }
+
+  if (lock) {
+    return { rate: lock.rate, date: market?.date ?? null, source: 'locked', stale: false, lock, market };
+  }
+  return { rate: market.rate, date: market.date, source: market.source, stale: market.stale, lock: null, market };
+}
+
+/**
+ * Reject pushes priced with a different rate than the locked one
+ */
+function checkFxLock(lock, fxRate) {
+  if (!lock || fxRate === lock.rate) return null;
+  return `Exchange rate is locked at ${lock.rate}; reload the dashboard before pushing`;
+}
+
+/**
+ * Remember the rate behind the last successful Zoho push (for FX-move alerts).
+ * Zoho is already updated by then, so a missing binding or failed write never fails the push.
+ */
+async function recordFxPush(env, rate, items) {
+  if (!env.DASHBOARD_KV || !rate) return;
+  await kvPutJson(env, KV_KEYS.fxLastPush, { rate, pushedAt: new Date().toISOString(), items }).catch(() => {});
+}
+
+function toNumberOrNull(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const num = parseFloat(value);
+  return isNaN(num) ? null : num;
+}
+
+/**
+ * Validate and normalise a pricing rule from the client
+ */
+function normalizePricingRule(rule, index) {
+  const name = String(rule.name || '').trim();
+  if (!name) throw new Error(`Rule ${index + 1} needs a name`);
+
+  const base = rule.base || 'digitalId';
+  if (!PRICING_BASES.includes(base)) {
+    throw new Error(`Rule "${name}": base must be one of ${PRICING_BASES.join(', ')}`);
+  }
+
+  const roundingMode = rule.roundingMode || 'none';
+  if (!ROUNDING_MODES.includes(roundingMode)) {
+    throw new Error(`Rule "${name}": rounding must be one of ${ROUNDING_MODES.join(', ')}`);
+  }
+
+  const target = rule.target || 'markup';
+  if (!PRICING_TARGETS.includes(target)) {
+    throw new Error(`Rule "${name}": target must be one of ${PRICING_TARGETS.join(', ')}`);
+  }
+
+  const markup = toNumberOrNull(rule.markup);
+  if (markup === null) throw new Error(`Rule "${name}": markup % is required`);
+  if (target === 'margin' && markup >= 100) throw new Error(`Rule "${name}": target margin must be below 100%`);
+
+  const vatRatePct = toNumberOrNull(rule.vatRatePct);
+  if (vatRatePct !== null && !VAT_RATES.includes(vatRatePct)) {
+    throw new Error(`Rule "${name}": VAT must be one of ${VAT_RATES.join('%, ')}%`);
+  }
+
+  return {
+    id: rule.id || crypto.randomUUID(),
+    name,
+    enabled: rule.enabled !== false,
+    match: normalizeRuleMatch(rule.match),
+    base,
+    target,
+    markup,
+    roundingMode,
+    roundingStep: toNumberOrNull(rule.roundingStep),
+    minPrice: toNumberOrNull(rule.minPrice),
+    maxPrice: toNumberOrNull(rule.maxPrice),
+    vatRatePct
+  };
+}
+
+/**
+ * Match criteria shared by pricing and reorder rules (see pricingRuleMatches)
+ */
+function normalizeRuleMatch(match = {}) {
+  return {
+    skuPrefix: String(match?.skuPrefix || '').trim(),
+    nameKeyword: String(match?.nameKeyword || '').trim(),
+    costMin: toNumberOrNull(match?.costMin),
+    costMax: toNumberOrNull(match?.costMax),
+    stockMin: toNumberOrNull(match?.stockMin),
+    stockMax: toNumberOrNull(match?.stockMax)
+  };
+}
+
+function normalizeVatRate(value, label) {
+  const rate = toNumberOrNull(value);
+  if (rate === null || !VAT_RATES.includes(rate)) {
+    throw new Error(`${label}: VAT must be one of ${VAT_RATES.join('%, ')}%`);
+  }
+  return rate;
+}
+
+/**
+ * Validate and normalise pricing settings from the client (only the keys sent are returned)
+ * vatOverrides stays a patch ({ sku: rate }, null/empty removes that SKU's override) for the per-SKU keys
+ */
+function normalizePricingSettings(settings) {
+  const normalized = {};
+  for (const key of ['minProfit', 'minMarginPct', 'fxAlertPct']) {
+    if (key in settings) normalized[key] = toNumberOrNull(settings[key]);
+  }
+  if ('vatRatePct' in settings) {
+    normalized.vatRatePct = normalizeVatRate(settings.vatRatePct, 'Default rate');
+  }
+  for (const key of LANDED_COST_KEYS) {
+    if (!(key in settings)) continue;
+    const value = toNumberOrNull(settings[key]) ?? 0;
+    if (value < 0) throw new Error(`${key} cannot be negative`);
+    normalized[key] = value;
+  }
+  if ('zohoRateIncludesVat' in settings) {
+    normalized.zohoRateIncludesVat = settings.zohoRateIncludesVat === true;
+  }
+  if (settings.vatOverrides && typeof settings.vatOverrides === 'object') {
+    normalized.vatOverrides = {};
+    for (const [sku, rate] of Object.entries(settings.vatOverrides)) {
+      normalized.vatOverrides[sku] = rate === null || rate === '' ? null : normalizeVatRate(rate, sku);
+    }
+  }
+  return normalized;
+}
+
+/**
+ * Pricing settings with the per-SKU VAT overrides (one KV key each) merged in as vatOverrides
+ * Overrides still inside the settings value come from before per-SKU keys and are moved out on the next save
+ */
+async function getPricingSettings(env) {
+  const [stored, overrides] = await Promise.all([
+    kvGetJson(env, KV_KEYS.settings, {}),
+    kvListEntries(env, KV_PREFIXES.vatOverrides)
+  ]);
+  return { ...DEFAULT_PRICING_SETTINGS, ...stored, vatOverrides: { ...(stored.vatOverrides || {}), ...overrides } };
+}
+
+/**
+ * VAT rate for a SKU: per-SKU override, then the pricing rule's rate, then the default
+ */
+function resolveVatRate(sku, ruleVatRatePct, settings) {
+  return settings.vatOverrides?.[sku] ?? ruleVatRatePct ?? settings.vatRatePct;
+}
+
+/**
+ * Convert a Zoho selling rate to the VAT-inclusive shelf price
+ */
+function zohoRateToGross(rate, vatRatePct, settings) {
+  if (rate == null || settings.zohoRateIncludesVat) return rate;
+  return rate * (1 + vatRatePct / 100);
+}
+
+/**
+ * Landed cost (EUR) of a unit bought at costEur: FX spread and duty on the cost, plus shipping
+ */
+function calculateLandedCost(costEur, settings) {
+  if (costEur == null) return null;
+  const converted = costEur * (1 + settings.fxSpreadPct / 100);
+  return converted * (1 + settings.dutyPct / 100) + settings.shippingPerUnit;
+}
+
+function calculatePaymentFees(grossPrice, settings) {
+  return grossPrice * (settings.paymentFeePct / 100) + settings.paymentFeeFixed;
+}
+
+/**
+ * True profit of selling at grossPrice (VAT-inclusive): ex-VAT price minus landed cost and payment fees
+ */
+function calculateTrueProfit(costEur, grossPrice, vatRatePct, settings) {
+  const netPrice = grossPrice / (1 + vatRatePct / 100);
+  const landedCost = calculateLandedCost(costEur, settings);
+  const profit = netPrice - landedCost - calculatePaymentFees(grossPrice, settings);
+  return {
+    netPrice,
+    landedCost,
+    profit,
+    marginPct: netPrice > 0 ? (profit / netPrice) * 100 : -Infinity
+  };
+}
+
+/**
+ * VAT-inclusive price that yields marginPct true margin on costEur, or null when unreachable
+ */
+function priceForTrueMargin(costEur, marginPct, vatRatePct, settings) {
+  const vatFactor = 1 + vatRatePct / 100;
+  const denominator = 1 - marginPct / 100 - vatFactor * (settings.paymentFeePct / 100);
+  if (denominator <= 0) return null;
+  const netPrice = (calculateLandedCost(costEur, settings) + settings.paymentFeeFixed) / denominator;
+  return netPrice * vatFactor;
+}
+
+/**
+ * Check a Zoho push against the profit/margin floor (true profit, grossPrice is VAT-inclusive)
+ * Returns a rejection reason, or null when the price is allowed
+ */
+function checkMarginFloor(costPrice, grossPrice, vatRatePct, settings) {
+  if (grossPrice == null || (settings.minProfit === null && settings.minMarginPct === null)) return null;
+  // Without a cost the floor cannot be checked, so the price is not let through
+  if (costPrice == null) return 'No cost price to check the margin floor against';
+
+  const { profit, marginPct: margin } = calculateTrueProfit(costPrice, grossPrice, vatRatePct, settings);
+  if (settings.minProfit !== null && profit < settings.minProfit) {
+    return `Profit €${profit.toFixed(2)} is below the €${settings.minProfit.toFixed(2)} floor`;
+  }
+
+  if (settings.minMarginPct !== null && margin < settings.minMarginPct) {
+    const marginText = isFinite(margin) ? `${margin.toFixed(1)}%` : 'n/a';
+    return `Margin ${marginText} is below the ${settings.minMarginPct}% floor`;
+  }
+
+  return null;
+}
+
+/**
+ * Check a combined product against a rule's match criteria (all set criteria must match)
+ */
+function pricingRuleMatches(rule, product) {
+  const { skuPrefix, nameKeyword, costMin, costMax, stockMin, stockMax } = rule.match;
+  const cost = product.set1?.cost;
+  const stock = product.set1?.stock ?? 0;
+
+  if (skuPrefix && !product.sku.toLowerCase().startsWith(skuPrefix.toLowerCase())) return false;
+  if (nameKeyword && !(product.set1?.name || '').toLowerCase().includes(nameKeyword.toLowerCase())) return false;
+  if (costMin !== null && (cost == null || cost < costMin)) return false;
+  if (costMax !== null && (cost == null || cost > costMax)) return false;
+  if (stockMin !== null && stock < stockMin) return false;
+  if (stockMax !== null && stock > stockMax) return false;
+  return true;
+}
+
+function roundPrice(price, mode, step) {
+  const increment = step || 1;
+  switch (mode) {
+    case 'nearest': return Math.round(price / increment) * increment;
+    case 'up': return Math.ceil(price / increment) * increment;
+    case 'down': return Math.floor(price / increment) * increment;
+    case 'charm': return Math.max(Math.ceil(price) - 0.01, 0.99); // e.g. 12.40 -> 12.99
+    default: return price;
+  }
+}
+
+/**
+ * Price a product (EUR, VAT-inclusive shelf price) with the first enabled matching rule
+ * Rules are evaluated in list order; returns null when no rule matches
+ */
+function evaluatePricingRules(product, rules, rate, settings) {
+  const rule = rules.find(r => r.enabled && pricingRuleMatches(r, product));
+  if (!rule) return null;
+
+  const unpriced = { ruleId: rule.id, ruleName: rule.name, target: rule.target, vatRatePct: rule.vatRatePct ?? null, price: null };
+
+  // Margin targets are always measured against the landed Trade cost
+  const baseGbp = rule.target === 'margin' || rule.base === 'tradeId' ? product.set1?.cost : product.set2?.cost;
+  if (baseGbp == null || !rate) return unpriced;
+
+  let price;
+  if (rule.target === 'margin') {
+    const vatRatePct = resolveVatRate(product.sku, rule.vatRatePct, settings);
+    price = priceForTrueMargin(baseGbp / rate, rule.markup, vatRatePct, settings);
+    if (price === null) return unpriced;
+  } else {
+    price = (baseGbp / rate) * (1 + rule.markup / 100);
+  }
+  price = roundPrice(price, rule.roundingMode, rule.roundingStep);
+  if (rule.minPrice !== null) price = Math.max(price, rule.minPrice);
+  if (rule.maxPrice !== null) price = Math.min(price, rule.maxPrice);
+
+  return {
+    ruleId: rule.id,
+    ruleName: rule.name,
+    target: rule.target,
+    vatRatePct: rule.vatRatePct ?? null,
+    price: Math.round(price * 100) / 100
+  };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Milliseconds to wait until the Shopify cost bucket can afford a query of the given cost
+ */
+function shopifyThrottleDelay(cost, neededCost) {
+  const throttle = cost?.throttleStatus;
+  if (!throttle || !throttle.restoreRate) return 1000;
+  const missing = neededCost - throttle.currentlyAvailable;
+  if (missing <= 0) return 0;
+  return Math.ceil((missing / throttle.restoreRate) * 1000);
+}
+
+/**
+ * Run a Shopify Admin GraphQL query, waiting and retrying when the cost bucket is throttled
+ */
+async function shopifyGraphQL(env, accessToken, query, variables = {}) {
+  for (let attempt = 0; attempt < SHOPIFY_MAX_RETRIES; attempt++) {
+    const response = await fetch(`https://${env.SHOPIFY_STORE}/admin/api/${SHOPIFY_API_VERSION}/graphql.json`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Shopify-Access-Token': accessToken
+      },
+      body: JSON.stringify({ query, variables })
+    });
+
+    if (response.status === 429) {
+      const retryAfter = parseFloat(response.headers.get('Retry-After')) || 1;
+      await sleep(retryAfter * 1000);
+      continue;
+    }
+
+    if (!response.ok) {
+      const err = await response.text();
+      throw new Error(`Shopify request failed (${response.status}): ${err}`);
+    }
+
+    const data = await response.json();
+    const cost = data.extensions?.cost;
+
+    if (data.errors?.some(e => e.extensions?.code === 'THROTTLED')) {
+      await sleep(shopifyThrottleDelay(cost, cost?.requestedQueryCost || 0));
+      continue;
+    }
+
+    if (data.errors) {
+      throw new Error(`GraphQL error: ${JSON.stringify(data.errors)}`);
+    }
+
+    // Back off before the caller sends a similar query the bucket can't afford yet
+    if (cost?.requestedQueryCost) {
+      const delay = shopifyThrottleDelay(cost, cost.requestedQueryCost);
+      if (delay > 0) await sleep(delay);
+    }
+
+    return data;
+  }
+
+  throw new Error('Shopify request throttled too many times');
+}
+
+/**
+ * Look up variants by dashboard SKU (resolved to Shopify SKUs), in chunks of OR'd search terms
+ * Returns { sku: { id, productId, price, compareAtPrice } }
+ */
+async function shopifyFindVariantsBySku(env, accessToken, skus, resolver) {
+  const query = `
+    query ($query: String!) {
+      productVariants(first: ${SHOPIFY_PAGE_SIZE}, query: $query) {
+        edges {
+          node {
+            id
+            sku
+            price
+            compareAtPrice
+            product {
+              id
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  const variants = {};
+  for (let i = 0; i < skus.length; i += SHOPIFY_SKU_QUERY_CHUNK) {
+    const chunk = skus.slice(i, i + SHOPIFY_SKU_QUERY_CHUNK);
+    const search = chunk.map(sku => `sku:"${resolver.toExternal(sku, 'shopify').replace(/"/g, '\\"')}"`).join(' OR ');
+    const data = await shopifyGraphQL(env, accessToken, query, { query: search });
+
+    for (const edge of data.data?.productVariants?.edges || []) {
+      const node = edge.node;
+      // Search is token-based, so keep only SKUs that resolve back to the chunk (first variant wins)
+      const sku = resolver.toCanonical(node.sku, 'shopify');
+      if (chunk.includes(sku) && !variants[sku]) {
+        variants[sku] = {
+          id: node.id,
+          productId: node.product.id,
+          price: node.price !== null ? parseFloat(node.price) : null,
+          compareAtPrice: node.compareAtPrice !== null ? parseFloat(node.compareAtPrice) : null
+        };
+      }
+    }
+  }
+  return variants;
+}
+
+/**
+ * Image filename used to match sheet URLs against Shopify CDN copies
+ * (lower-cased, no extension, no "_<uuid>" suffix Shopify adds to duplicate names)
+ */
+function imageKey(url) {
+  const file = decodeURIComponent(String(url).split('?')[0].split('/').pop() || '').toLowerCase();
+  return file
+    .replace(/\.[a-z0-9]+$/, '')
+    .replace(/_[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/, '');
+}
+
+async function shopifyFetchProductMedia(env, accessToken, productId) {
+  const query = `
+    query ($id: ID!) {
+      product(id: $id) {
+        title
+        media(first: ${SHOPIFY_PAGE_SIZE}) {
+          edges {
+            node {
+              id
+              alt
+              mediaContentType
+              preview {
+                image {
+                  url
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  `;
+  const data = await shopifyGraphQL(env, accessToken, query, { id: productId });
+  const product = data.data?.product;
+  if (!product) throw new Error('Product not found');
+  return {
+    title: product.title,
+    media: product.media.edges.map(({ node }) => ({
+      id: node.id,
+      alt: node.alt,
+      type: node.mediaContentType,
+      url: node.preview?.image?.url || null
+    }))
+  };
+}
+
+/**
+ * Gallery per dashboard SKU: Trade-Id Gallery URLs, or the Digital Id image when there are none
+ * Returns Map<sku, { name, urls }>
+ */
+async function fetchSheetGalleries(env, resolver) {
+  const serviceAccount = JSON.parse(atob(env.GOOGLE_SERVICE_ACCOUNT_B64));
+  const accessToken = await getAccessToken(serviceAccount);
+
+  const [tradeIdRows, digitalIdRows] = await Promise.all([
+    fetchSheet(accessToken, SHEETS.tradeId),
+    fetchSheet(accessToken, SHEETS.digitalId)
+  ]);
+
+  const galleries = new Map();
+  parseTradeIdSheet(tradeIdRows).forEach(item => {
+    const sku = resolver.normalize(item.sku);
+    if (!galleries.has(sku)) galleries.set(sku, { name: item.name, urls: item.galleryUrls });
+  });
+  parseDigitalIdSheet(digitalIdRows, true).forEach(item => {
+    const sku = resolver.toCanonical(item.sku, 'digitalId');
+    const gallery = galleries.get(sku);
+    if (!item.image) return;
+    if (!gallery) {
+      galleries.set(sku, { name: item.name, urls: [item.image] });
+    } else if (gallery.urls.length === 0) {
+      gallery.urls = [item.image];
+    }
+  });
+  return galleries;
+}
+
+// Zoho Inventory: Get access token
+async function getZohoAccessToken(env) {
+  const response = await fetch('https://accounts.zoho.eu/oauth/v2/token', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'refresh_token',
+      client_id: env.ZOHO_CLIENT_ID,
+      client_secret: env.ZOHO_CLIENT_SECRET,
+      refresh_token: env.ZOHO_REFRESH_TOKEN
+    })
+  });
+  const data = await response.json();
+  if (data.error) throw new Error(data.error);
+  return data.access_token;
+}
+
+// Zoho Inventory: Search item by SKU
+async function zohoSearchItemBySku(accessToken, orgId, sku) {
+  const response = await fetch(
+    `https://www.zohoapis.eu/inventory/v1/items?organization_id=${orgId}&sku=${encodeURIComponent(sku)}`,
+    {
+      headers: { 'Authorization': `Zoho-oauthtoken ${accessToken}` }
+    }
+  );
+  const data = await response.json();
+  if (data.code !== 0) throw new Error(data.message || 'Failed to search item');
+  return data.items && data.items.length > 0 ? data.items[0] : null;
+}
+
+// Zoho Inventory: Fetch every item, following page_context until there are no more pages
+async function zohoFetchAllItems(accessToken, orgId) {
+  const items = [];
+  let page = 1;
+  let hasMore = true;
+
+  while (hasMore) {
+    const response = await fetch(
+      `https://www.zohoapis.eu/inventory/v1/items?organization_id=${orgId}&per_page=${ZOHO_PAGE_SIZE}&page=${page}`,
+      {
+        headers: { 'Authorization': `Zoho-oauthtoken ${accessToken}` }
+      }
+    );
+    const data = await response.json();
+    if (data.code !== 0) throw new Error(data.message || 'Failed to fetch items');
+
+    items.push(...(data.items || []));
+    hasMore = !!data.page_context?.has_more_page;
+    page++;
+  }
+
+  return { items, pages: page - 1 };
+}
+
+// Zoho Inventory: Update item prices
+async function zohoUpdateItemPrices(accessToken, orgId, itemId, costPrice, sellingPrice) {
+  const response = await fetch(
+    `https://www.zohoapis.eu/inventory/v1/items/${itemId}?organization_id=${orgId}`,
+    {
+      method: 'PUT',
+      headers: {
+        'Authorization': `Zoho-oauthtoken ${accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        purchase_rate: costPrice,
+        rate: sellingPrice
+      })
+    }
+  );
+  const data = await response.json();
+  if (data.code !== 0) throw new Error(data.message || 'Failed to update item');
+  return data.item;
+}
+
+// Zoho Inventory: Mark an item inactive (hidden from new transactions, history kept)
+async function zohoMarkItemInactive(accessToken, orgId, itemId) {
+  const response = await fetch(
+    `https://www.zohoapis.eu/inventory/v1/items/${itemId}/inactive?organization_id=${orgId}`,
+    {
+      method: 'POST',
+      headers: { 'Authorization': `Zoho-oauthtoken ${accessToken}` }
+    }
+  );
+  const data = await response.json();
+  if (data.code !== 0) throw new Error(data.message || 'Failed to mark item inactive');
+}
+
+// Zoho Inventory: Get one item (includes stock_on_hand)
+async function zohoGetItem(accessToken, orgId, itemId) {
+  const response = await fetch(
+    `https://www.zohoapis.eu/inventory/v1/items/${itemId}?organization_id=${orgId}`,
+    {
+      headers: { 'Authorization': `Zoho-oauthtoken ${accessToken}` }
+    }
+  );
+  const data = await response.json();
+  if (data.code !== 0) throw new Error(data.message || 'Failed to fetch item');
+  return data.item;
+}
+
+// Zoho Inventory: Create a quantity adjustment; lineItems: [{ item_id, quantity_adjusted }]
+async function zohoCreateInventoryAdjustment(accessToken, orgId, reason, description, lineItems) {
+  const response = await fetch(
+    `https://www.zohoapis.eu/inventory/v1/inventoryadjustments?organization_id=${orgId}`,
+    {
+      method: 'POST',
+      headers: {
+        'Authorization': `Zoho-oauthtoken ${accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        date: new Date().toISOString().slice(0, 10),
+        reason,
+        description,
+        adjustment_type: 'quantity',
+        line_items: lineItems
+      })
+    }
+  );
+  const data = await response.json();
+  if (data.code !== 0) throw new Error(data.message || 'Failed to create inventory adjustment');
+  return data.inventory_adjustment;
+}
+
+// Zoho Inventory: Active vendors, for purchase orders
+async function zohoFetchVendors(accessToken, orgId) {
+  const vendors = [];
+  let page = 1;
+  let hasMore = true;
+
+  while (hasMore) {
+    const response = await fetch(
+      `https://www.zohoapis.eu/inventory/v1/contacts?organization_id=${orgId}&filter_by=Status.Active&per_page=${ZOHO_PAGE_SIZE}&page=${page}`,
+      {
+        headers: { 'Authorization': `Zoho-oauthtoken ${accessToken}` }
+      }
+    );
+    const data = await response.json();
+    if (data.code !== 0) throw new Error(data.message || 'Failed to fetch vendors');
+
+    vendors.push(...(data.contacts || []).filter(contact => contact.contact_type === 'vendor'));
+    hasMore = !!data.page_context?.has_more_page;
+    page++;
+  }
+
+  return vendors.map(vendor => ({ vendorId: vendor.contact_id, name: vendor.contact_name, currency: vendor.currency_code || null }));
+}
+
+// Zoho Inventory: Create a purchase order (Zoho saves new purchase orders as drafts)
+async function zohoCreatePurchaseOrder(accessToken, orgId, vendorId, referenceNumber, notes, lineItems) {
+  const response = await fetch(
+    `https://www.zohoapis.eu/inventory/v1/purchaseorders?organization_id=${orgId}`,
+    {
+      method: 'POST',
+      headers: {
+        'Authorization': `Zoho-oauthtoken ${accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        vendor_id: vendorId,
+        date: new Date().toISOString().slice(0, 10),
+        reference_number: referenceNumber,
+        notes,
+        line_items: lineItems
+      })
+    }
+  );
+  const data = await response.json();
+  if (data.code !== 0) throw new Error(data.message || 'Failed to create purchase order');
+  return data.purchaseorder;
+}
+
+// Scheduled jobs: the cron trigger fires hourly and runs each enabled job whose UTC hours include the current hour
+const SCHEDULED_JOBS = {
+  'stock-match': {
+    name: 'Zoho → Shopify stock match',
+    description: 'Set Shopify on-hand stock to the Zoho stock for every SKU that differs',
+    defaults: { enabled: false, hours: [2] },
+    run: runStockMatchJob
+  },
+  'sheet-snapshot': {
+    name: 'Sheet price snapshot',
+    description: 'Record Trade ID / Digital ID price changes in the price history',
+    defaults: { enabled: true, hours: [0, 6, 12, 18] },
+    run: runSheetSnapshotJob
+  },
+  'fx-refresh': {
+    name: 'Exchange rate refresh',
+    description: 'Fetch the latest ECB EUR/GBP rate and history into the cache',
+    defaults: { enabled: true, hours: [16] },
+    run: runFxRefreshJob
+  },
+  'reconciliation': {
+    name: 'Reconciliation report',
+    description: 'Compare sheet SKUs with Zoho and Shopify presence and stock',
+    defaults: { enabled: true, hours: [3] },
+    run: runReconciliationJob
+  },
+  'discontinued': {
+    name: 'Retire discontinued products',
+    description: 'Archive in Shopify and mark inactive in Zoho every discontinued SKU with no Zoho or Shopify stock',
+    defaults: { enabled: false, hours: [4] },
+    run: runDiscontinuedJob
+  }
+};
+
+// Shopify status the discontinued job gives retired products (the dashboard action can also use DRAFT)
+const DISCONTINUED_SHOPIFY_STATUS = 'ARCHIVED';
+
+// Reconciliation output keeps at most this many example SKUs per category
+const JOB_SAMPLE_SIZE = 100;
+
+// Stock reconciliation: differences up to these many units are not flagged
+const DEFAULT_STOCK_TOLERANCES = {
+  zohoShopify: 0, // |Zoho - Shopify|
+  shopifyTrade: 0 // Shopify - Trade (listing more than the supplier holds)
+};
+
+// Reconciliation issue types, most severe first
+const STOCK_ISSUE_SEVERITY = {
+  shopifyOverTrade: 3,
+  zohoShopify: 2,
+  activeNoStock: 1
+};
+
+function normalizeStockTolerances(tolerances = {}) {
+  const normalized = {};
+  for (const key of Object.keys(DEFAULT_STOCK_TOLERANCES)) {
+    const value = Number(tolerances[key] ?? DEFAULT_STOCK_TOLERANCES[key]);
+    if (!Number.isInteger(value) || value < 0) throw new Error(`${key} must be a whole number of units, 0 or more`);
+    normalized[key] = value;
+  }
+  return normalized;
+}
+
+async function getStockTolerances(env) {
+  const stored = await kvGetJson(env, KV_KEYS.stockTolerances, {});
+  return { ...DEFAULT_STOCK_TOLERANCES, ...stored };
+}
+
+/**
+ * Stock disagreements for one SKU: [{ type, severity, difference }], most severe first.
+ * Missing numbers (SKU not in a system) never raise an issue.
+ */
+function findStockIssues({ trade, zoho, shopify, status }, tolerances) {
+  const issues = [];
+  if (shopify != null && trade != null && shopify - trade > tolerances.shopifyTrade) {
+    issues.push({ type: 'shopifyOverTrade', difference: shopify - trade });
+  }
+  if (zoho != null && shopify != null && Math.abs(zoho - shopify) > tolerances.zohoShopify) {
+    issues.push({ type: 'zohoShopify', difference: shopify - zoho });
+  }
+  if (status === 'ACTIVE' && shopify != null && shopify <= 0) {
+    issues.push({ type: 'activeNoStock', difference: shopify });
+  }
+  return issues
+    .map(issue => ({ ...issue, severity: STOCK_ISSUE_SEVERITY[issue.type] }))
+    .sort((a, b) => b.severity - a.severity);
+}
+
+// Reorder settings: reorder point/quantity per SKU (overrides) or per rule (first enabled match wins)
+const DEFAULT_REORDER_SETTINGS = {
+  rules: [], // [{ id, name, enabled, match, reorderPoint, reorderQty }]
+  overrides: {}, // { sku: { reorderPoint, reorderQty } }
+  vendorId: null // Zoho vendor for purchase order drafts
+};
+
+function normalizeReorderLevel(level, label) {
+  const reorderPoint = toNumberOrNull(level?.reorderPoint);
+  const reorderQty = toNumberOrNull(level?.reorderQty);
+  if (!Number.isInteger(reorderPoint) || reorderPoint < 0) throw new Error(`${label}: reorder point must be a whole number, 0 or more`);
+  if (!Number.isInteger(reorderQty) || reorderQty < 1) throw new Error(`${label}: reorder quantity must be a whole number, 1 or more`);
+  return { reorderPoint, reorderQty };
+}
+
+/**
+ * Validate and normalise reorder settings from the client (only the keys sent are returned)
+ * overrides is returned as a patch: { sku: level }, with null removing that SKU's override
+ */
+function normalizeReorderSettings(settings) {
+  const normalized = {};
+  if ('rules' in settings) {
+    if (!Array.isArray(settings.rules)) throw new Error('Rules must be an array');
+    normalized.rules = settings.rules.map((rule, index) => {
+      const name = String(rule.name || '').trim();
+      if (!name) throw new Error(`Reorder rule ${index + 1} needs a name`);
+      return {
+        id: rule.id || crypto.randomUUID(),
+        name,
+        enabled: rule.enabled !== false,
+        match: normalizeRuleMatch(rule.match),
+        ...normalizeReorderLevel(rule, `Rule "${name}"`)
+      };
+    });
+  }
+  if (settings.overrides && typeof settings.overrides === 'object') {
+    normalized.overrides = {};
+    for (const [sku, level] of Object.entries(settings.overrides)) {
+      normalized.overrides[sku] = level === null ? null : normalizeReorderLevel(level, sku);
+    }
+  }
+  if ('vendorId' in settings) {
+    normalized.vendorId = settings.vendorId ? String(settings.vendorId) : null;
+  }
+  return normalized;
+}
+
+async function getReorderSettings(env) {
+  const [stored, overrides] = await Promise.all([
+    kvGetJson(env, KV_KEYS.reorder, {}),
+    kvListEntries(env, KV_PREFIXES.reorderOverrides)
+  ]);
+  return { ...DEFAULT_REORDER_SETTINGS, ...stored, overrides: { ...(stored.overrides || {}), ...overrides } };
+}
+
+/**
+ * Shopify token for server-side jobs: the SHOPIFY_ADMIN_TOKEN secret (OAuth tokens stay in the browser)
+ */
+async function getShopifyServerToken(env) {
+  if (!env.SHOPIFY_ADMIN_TOKEN) throw new Error('No Shopify token for scheduled jobs: set the SHOPIFY_ADMIN_TOKEN secret');
+  return env.SHOPIFY_ADMIN_TOKEN;
+}
+
+/**
+ * Validate the stock location settings: { defaultLocationId, split: [{ locationId, percent }], jobMode }
+ */
+function normalizeLocationSettings(settings = {}) {
+  const split = settings.split ?? DEFAULT_LOCATION_SETTINGS.split;
+  if (!Array.isArray(split)) throw new Error('split must be an array');
+
+  const seen = new Set();
+  const shares = split.map((share, index) => {
+    const locationId = String(share.locationId || '').trim();
+    const percent = Number(share.percent);
+    if (!locationId) throw new Error(`Split ${index + 1} needs a location`);
+    if (seen.has(locationId)) throw new Error(`Location ${locationId} appears twice in the split`);
+    if (!Number.isFinite(percent) || percent < 0 || percent > 100) {
+      throw new Error(`Split ${index + 1}: percent must be between 0 and 100`);
+    }
+    seen.add(locationId);
+    return { locationId, percent };
+  });
+  if (shares.reduce((sum, share) => sum + share.percent, 0) > 100) {
+    throw new Error('Split percentages add up to more than 100');
+  }
+
+  const jobMode = settings.jobMode ?? DEFAULT_LOCATION_SETTINGS.jobMode;
+  if (!['default', 'split'].includes(jobMode)) throw new Error('jobMode must be "default" or "split"');
+
+  return {
+    defaultLocationId: settings.defaultLocationId || null,
+    split: shares,
+    jobMode,
+    jobReplaceOthers: settings.jobReplaceOthers === true
+  };
+}
+
+async function getLocationSettings(env) {
+  const stored = await kvGetJson(env, KV_KEYS.shopifyLocations, {});
+  return { ...DEFAULT_LOCATION_SETTINGS, ...stored };
+}
+
+// GraphQL selection for an inventory item's per-location on-hand quantities (first page)
+const SHOPIFY_INVENTORY_LEVELS_FIELDS = `
+  inventoryLevels(first: ${SHOPIFY_LOCATION_LIMIT}) {
+    pageInfo {
+      hasNextPage
+      endCursor
+    }
+    edges {
+      node {
+        location {
+          id
+          name
+        }
+        quantities(names: ["on_hand"]) {
+          quantity
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Inventory levels of an inventory item: [{ locationId, name, quantity }] (on hand)
+ */
+function parseInventoryLevels(inventoryItem) {
+  return (inventoryItem?.inventoryLevels?.edges || []).map(({ node }) => ({
+    locationId: node.location.id,
+    name: node.location.name,
+    quantity: node.quantities?.[0]?.quantity ?? 0
+  }));
+}
+
+/**
+ * Every inventory level of an inventory item fetched with SHOPIFY_INVENTORY_LEVELS_FIELDS,
+ * paging in the locations beyond the first page
+ */
+async function shopifyFetchInventoryLevels(env, accessToken, inventoryItem) {
+  const query = `
+    query ($id: ID!, $cursor: String) {
+      inventoryItem(id: $id) {
+        inventoryLevels(first: ${SHOPIFY_PAGE_SIZE}, after: $cursor) {
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+          edges {
+            node {
+              location {
+                id
+                name
+              }
+              quantities(names: ["on_hand"]) {
+                quantity
+              }
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  const levels = parseInventoryLevels(inventoryItem);
+  let pageInfo = inventoryItem?.inventoryLevels?.pageInfo;
+  while (pageInfo?.hasNextPage) {
+    const data = await shopifyGraphQL(env, accessToken, query, { id: inventoryItem.id, cursor: pageInfo.endCursor });
+    const item = data.data?.inventoryItem;
+    levels.push(...parseInventoryLevels(item));
+    pageInfo = item?.inventoryLevels?.pageInfo;
+  }
+  return levels;
+}
+
+/**
+ * Where to write a quantity, given the locations an item is stocked at.
+ * target: a location ID, 'split' (settings.split shares of the stocked locations, rounded down,
+ * remainder to the default location) or 'default' (the default location, else the item's first).
+ * Other locations keep their stock unless replaceOthers is set, which zeroes them so Shopify's
+ * total matches the quantity. Returns [{ locationId, quantity }].
+ */
+function planLocationQuantities(quantity, levels, settings, target = 'default', replaceOthers = false) {
+  if (levels.length === 0) throw new Error('Item is not stocked at any location');
+  const stocked = new Set(levels.map(level => level.locationId));
+  const defaultLocationId = stocked.has(settings.defaultLocationId) ? settings.defaultLocationId : levels[0].locationId;
+
+  let planned;
+  const shares = target === 'split' ? settings.split.filter(share => stocked.has(share.locationId)) : [];
+  if (target === 'split' && quantity > 0 && shares.length > 0) {
+    planned = new Map(shares.map(share => [share.locationId, Math.floor(quantity * share.percent / 100)]));
+    const assigned = [...planned.values()].reduce((sum, qty) => sum + qty, 0);
+    planned.set(defaultLocationId, (planned.get(defaultLocationId) || 0) + quantity - assigned);
+  } else if (target && target !== 'default' && target !== 'split') {
+    if (!stocked.has(target)) throw new Error('Item is not stocked at the chosen location');
+    planned = new Map([[target, quantity]]);
+  } else {
+    planned = new Map([[defaultLocationId, quantity]]);
+  }
+
+  if (replaceOthers) {
+    levels.forEach(level => {
+      if (!planned.has(level.locationId)) planned.set(level.locationId, 0);
+    });
+  }
+  return [...planned].map(([locationId, qty]) => ({ locationId, quantity: qty }));
+}
+
+/**
+ * Resolve variants to inventory items for stock writes: by variant ID where known
+ * (one nodes() query per page), else by exact SKU through OR'd search terms.
+ * items: [{ sku, variantId? }]. Returns { sku: { variantId, inventoryItemId, levels } }
+ */
+async function shopifyFindInventoryItems(env, accessToken, items, resolver) {
+  const variantFields = `
+    id
+    sku
+    inventoryItem {
+      id
+      ${SHOPIFY_INVENTORY_LEVELS_FIELDS}
+    }
+  `;
+  const byIdQuery = `
+    query ($ids: [ID!]!) {
+      nodes(ids: $ids) {
+        ... on ProductVariant { ${variantFields} }
+      }
+    }
+  `;
+  const bySkuQuery = `
+    query ($query: String!) {
+      productVariants(first: ${SHOPIFY_STOCK_PAGE_SIZE}, query: $query) {
+        edges {
+          node { ${variantFields} }
+        }
+      }
+    }
+  `;
+
+  const found = {};
+  const addVariant = async (sku, node) => {
+    if (!node?.inventoryItem || found[sku]) return;
+    found[sku] = {
+      variantId: node.id,
+      inventoryItemId: node.inventoryItem.id,
+      levels: await shopifyFetchInventoryLevels(env, accessToken, node.inventoryItem)
+    };
+  };
+
+  const withId = items.filter(item => item.variantId);
+  for (let i = 0; i < withId.length; i += SHOPIFY_STOCK_PAGE_SIZE) {
+    const chunk = withId.slice(i, i + SHOPIFY_STOCK_PAGE_SIZE);
+    const data = await shopifyGraphQL(env, accessToken, byIdQuery, { ids: chunk.map(item => item.variantId) });
+    const nodes = data.data?.nodes || [];
+    for (let j = 0; j < nodes.length; j++) await addVariant(chunk[j].sku, nodes[j]);
+  }
+
+  // Search results include token matches, so half-size chunks leave room for them in a page
+  const skuChunkSize = Math.floor(SHOPIFY_STOCK_PAGE_SIZE / 2);
+  const bySku = items.filter(item => !found[item.sku]).map(item => item.sku);
+  for (let i = 0; i < bySku.length; i += skuChunkSize) {
+    const chunk = bySku.slice(i, i + skuChunkSize);
+    const search = chunk.map(sku => `sku:"${resolver.toExternal(sku, 'shopify').replace(/"/g, '\\"')}"`).join(' OR ');
+    const data = await shopifyGraphQL(env, accessToken, bySkuQuery, { query: search });
+    for (const { node } of data.data?.productVariants?.edges || []) {
+      const sku = resolver.toCanonical(node.sku, 'shopify');
+      if (chunk.includes(sku)) await addVariant(sku, node);
+    }
+  }
+  return found;
+}
+
+/**
+ * Set on-hand quantities in one inventorySetOnHandQuantities call.
+ * setQuantities: [{ sku, inventoryItemId, locationId, quantity }]. The mutation is all-or-nothing,
+ * so when Shopify rejects specific entries they are dropped and the rest retried once.
+ * Returns { sku: error } for the entries that were not written.
+ */
+async function shopifySetOnHandQuantities(env, accessToken, setQuantities) {
+  const mutation = `
+    mutation inventorySetOnHandQuantities($input: InventorySetOnHandQuantitiesInput!) {
+      inventorySetOnHandQuantities(input: $input) {
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const failures = {};
+  let pending = setQuantities;
+  for (let attempt = 0; attempt < 2 && pending.length > 0; attempt++) {
+    const data = await shopifyGraphQL(env, accessToken, mutation, {
+      input: {
+        reason: 'correction',
+        setQuantities: pending.map(({ inventoryItemId, locationId, quantity }) => ({ inventoryItemId, locationId, quantity }))
+      }
+    });
+    const userErrors = data.data?.inventorySetOnHandQuantities?.userErrors || [];
+    if (userErrors.length === 0) return failures;
+
+    // Errors point at an entry as field: ["input", "setQuantities", "<index>", ...]
+    const rejected = new Set();
+    for (const error of userErrors) {
+      const index = error.field?.[1] === 'setQuantities' ? parseInt(error.field[2]) : NaN;
+      if (Number.isNaN(index) || !pending[index]) {
+        pending.forEach(entry => { failures[entry.sku] = failures[entry.sku] || error.message; });
+        return failures;
+      }
+      rejected.add(index);
+      failures[pending[index].sku] = error.message;
+    }
+    pending = pending.filter((entry, index) => !rejected.has(index) && !failures[entry.sku]);
+  }
+  pending.forEach(entry => { failures[entry.sku] = failures[entry.sku] || 'Batch was rejected'; });
+  return failures;
+}
+
+/**
+ * Walk every Shopify variant with its stock, product status and per-location inventory levels
+ * Returns { sku: { quantity, status, productId, inventoryItemId, levels } }
+ */
+async function shopifyFetchAllVariants(env, accessToken, resolver) {
+  const query = `
+    query ($cursor: String) {
+      productVariants(first: ${SHOPIFY_STOCK_PAGE_SIZE}, after: $cursor) {
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+        edges {
+          node {
+            sku
+            product {
+              id
+              status
+            }
+            inventoryItem {
+              id
+              ${SHOPIFY_INVENTORY_LEVELS_FIELDS}
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  const variants = {};
+  let cursor = null;
+  do {
+    const data = await shopifyGraphQL(env, accessToken, query, { cursor });
+    const connection = data.data?.productVariants;
+    for (const { node } of connection?.edges || []) {
+      const sku = node.sku && resolver.toCanonical(node.sku, 'shopify');
+      if (!sku || variants[sku]) continue;
+      // On hand, like Zoho's stock_on_hand (available would subtract committed orders)
+      const levels = await shopifyFetchInventoryLevels(env, accessToken, node.inventoryItem);
+      variants[sku] = {
+        quantity: levels.reduce((sum, level) => sum + level.quantity, 0),
+        status: node.product?.status || null,
+        productId: node.product?.id || null,
+        inventoryItemId: node.inventoryItem?.id || null,
+        levels
+      };
+    }
+    cursor = connection?.pageInfo?.hasNextPage ? connection.pageInfo.endCursor : null;
+  } while (cursor);
+
+  return variants;
+}
+
+async function zohoFetchStockBySku(env, resolver) {
+  const accessToken = await getZohoAccessToken(env);
+  const { items } = await zohoFetchAllItems(accessToken, env.ZOHO_ORG_ID);
+  const stock = {};
+  for (const item of items) {
+    if (item.sku && item.stock_on_hand !== undefined) stock[resolver.toCanonical(item.sku, 'zoho')] = item.stock_on_hand;
+  }
+  return stock;
+}
+
+async function runStockMatchJob(env) {
+  const [accessToken, resolver, locationSettings] = await Promise.all([
+    getShopifyServerToken(env),
+    getSkuResolver(env),
+    getLocationSettings(env)
+  ]);
+  const [zohoStock, variants] = await Promise.all([
+    zohoFetchStockBySku(env, resolver),
+    shopifyFetchAllVariants(env, accessToken, resolver)
+  ]);
+
+  // Only locations whose planned quantity differs from what they hold are written
+  const setQuantities = [];
+  const skipped = [];
+  for (const [sku, quantity] of Object.entries(zohoStock)) {
+    const variant = variants[sku];
+    if (!variant) continue;
+    if (!variant.inventoryItemId || variant.levels.length === 0) {
+      skipped.push(sku);
+      continue;
+    }
+    const plan = planLocationQuantities(Math.trunc(quantity), variant.levels, locationSettings, locationSettings.jobMode, locationSettings.jobReplaceOthers);
+    for (const { locationId, quantity: planned } of plan) {
+      const current = variant.levels.find(level => level.locationId === locationId)?.quantity;
+      if (current === planned) continue;
+      setQuantities.push({ sku, inventoryItemId: variant.inventoryItemId, locationId, from: current, quantity: planned });
+    }
+  }
+
+  // Counted per SKU: a SKU is updated once all of its location writes went through
+  const errors = [];
+  const failedSkus = new Set();
+  for (let i = 0; i < setQuantities.length; i += SHOPIFY_PAGE_SIZE) {
+    const batch = setQuantities.slice(i, i + SHOPIFY_PAGE_SIZE);
+    const failures = await shopifySetOnHandQuantities(env, accessToken, batch);
+    errors.push(...Object.entries(failures).map(([sku, message]) => `${sku}: ${message}`));
+    Object.keys(failures).forEach(sku => failedSkus.add(sku));
+  }
+  const updated = new Set(setQuantities.map(entry => entry.sku).filter(sku => !failedSkus.has(sku))).size;
+
+  return {
+    compared: Object.keys(zohoStock).length,
+    updated,
+    skipped: skipped.slice(0, JOB_SAMPLE_SIZE),
+    changes: setQuantities.slice(0, JOB_SAMPLE_SIZE).map(({ sku, locationId, from, quantity }) => ({ sku, locationId, from, to: quantity })),
+    errors
+  };
+}
+
+async function runSheetSnapshotJob(env) {
+  const products = await fetchCombinedData(env, { includeUnmatched: true });
+  const { changed } = await recordPriceSnapshot(env, products);
+  return { products: products.length, changed };
+}
+
+async function runFxRefreshJob(env) {
+  const series = await fetchEcbSeries();
+  if (series.length === 0) throw new Error('No exchange rate observations');
+  const fetchedAt = new Date().toISOString();
+  const latest = series[series.length - 1];
+
+  await Promise.all([
+    kvPutJson(env, KV_KEYS.fxRate, { ...latest, fetchedAt }),
+    kvPutJson(env, KV_KEYS.fxHistory, { series, fetchedAt })
+  ]);
+  return { rate: latest.rate, date: latest.date, observations: series.length };
+}
+
+async function runReconciliationJob(env) {
+  const [accessToken, resolver, tolerances] = await Promise.all([
+    getShopifyServerToken(env),
+    getSkuResolver(env),
+    getStockTolerances(env)
+  ]);
+  const [products, zohoStock, variants] = await Promise.all([
+    fetchCombinedData(env),
+    zohoFetchStockBySku(env, resolver),
+    shopifyFetchAllVariants(env, accessToken, resolver)
+  ]);
+
+  const missingInZoho = [];
+  const missingInShopify = [];
+  const stockMismatch = [];
+  for (const { sku, set1 } of products) {
+    const zoho = zohoStock[sku];
+    const shopify = variants[sku]?.quantity;
+    if (zoho === undefined) missingInZoho.push(sku);
+    if (!variants[sku]) missingInShopify.push(sku);
+    const issues = findStockIssues({ trade: set1?.stock, zoho, shopify, status: variants[sku]?.status }, tolerances);
+    if (issues.length > 0) {
+      stockMismatch.push({ sku, trade: set1?.stock ?? null, zoho: zoho ?? null, shopify: shopify ?? null, issues: issues.map(i => i.type), severity: issues[0].severity });
+    }
+  }
+  stockMismatch.sort((a, b) => b.severity - a.severity);
+
+  return {
+    sheetSkus: products.length,
+    zohoSkus: Object.keys(zohoStock).length,
+    shopifySkus: Object.keys(variants).length,
+    missingInZoho: { count: missingInZoho.length, skus: missingInZoho.slice(0, JOB_SAMPLE_SIZE) },
+    missingInShopify: { count: missingInShopify.length, skus: missingInShopify.slice(0, JOB_SAMPLE_SIZE) },
+    stockMismatch: { count: stockMismatch.length, items: stockMismatch.slice(0, JOB_SAMPLE_SIZE) }
+  };
+}
+
+async function shopifySetProductStatus(env, accessToken, productId, status) {
+  const mutation = `
+    mutation productUpdate($input: ProductInput!) {
+      productUpdate(input: $input) {
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+  const data = await shopifyGraphQL(env, accessToken, mutation, { input: { id: productId, status } });
+  const userErrors = data.data?.productUpdate?.userErrors || [];
+  if (userErrors.length > 0) throw new Error(userErrors.map(e => e.message).join(', '));
+}
+
+/**
+ * Discontinued Trade-Id SKUs with no stock left in Zoho or Shopify get archived in Shopify
+ * and marked inactive in Zoho. Every change is written to the change log and returned in the job output.
+ */
+async function runDiscontinuedJob(env) {
+  const [shopifyToken, zohoToken, resolver] = await Promise.all([
+    getShopifyServerToken(env),
+    getZohoAccessToken(env),
+    getSkuResolver(env)
+  ]);
+  const [products, { items }, variants] = await Promise.all([
+    fetchCombinedData(env, { includeUnmatched: true }),
+    zohoFetchAllItems(zohoToken, env.ZOHO_ORG_ID),
+    shopifyFetchAllVariants(env, shopifyToken, resolver)
+  ]);
+
+  const zohoItems = {};
+  items.forEach(item => {
+    if (item.sku) zohoItems[resolver.toCanonical(item.sku, 'zoho')] = item;
+  });
+
+  const candidateSkus = new Set(products
+    .filter(({ sku, set1 }) => set1?.discontinued &&
+      (zohoItems[sku]?.stock_on_hand ?? 0) <= 0 && (variants[sku]?.quantity ?? 0) <= 0)
+    .map(({ sku }) => sku));
+
+  // Status is product-level: a product with any variant that is not retired stays live
+  const liveProducts = new Set();
+  Object.entries(variants).forEach(([sku, variant]) => {
+    if (!candidateSkus.has(sku)) liveProducts.add(variant.productId);
+  });
+
+  const changes = [];
+  const archivedProducts = new Set();
+  for (const sku of candidateSkus) {
+    const zohoItem = zohoItems[sku];
+    const variant = variants[sku];
+
+    if (variant?.productId && variant.status !== DISCONTINUED_SHOPIFY_STATUS &&
+        !liveProducts.has(variant.productId) && !archivedProducts.has(variant.productId)) {
+      archivedProducts.add(variant.productId);
+      const change = { target: 'shopify', sku, previousStatus: variant.status, status: DISCONTINUED_SHOPIFY_STATUS };
+      try {
+        await shopifySetProductStatus(env, shopifyToken, variant.productId, DISCONTINUED_SHOPIFY_STATUS);
+        changes.push({ ...change, success: true });
+      } catch (error) {
+        changes.push({ ...change, success: false, error: error.message });
+      }
+    }
+
+    if (zohoItem && zohoItem.status === 'active') {
+      const change = { target: 'zoho', sku, previousStatus: 'active', status: 'inactive' };
+      try {
+        await zohoMarkItemInactive(zohoToken, env.ZOHO_ORG_ID, zohoItem.item_id);
+        changes.push({ ...change, success: true });
+      } catch (error) {
+        changes.push({ ...change, success: false, error: error.message });
+      }
+    }
+  }
+
+  if (changes.length > 0) {
+    await appendChangeLog(env, changes.map(change => ({ action: 'discontinue', ...change })), 'discontinued job');
+  }
+
+  return {
+    candidates: candidateSkus.size,
+    changed: changes.filter(c => c.success).length,
+    failed: changes.filter(c => !c.success).length,
+    changes
+  };
+}
+
+/**
+ * Job definitions merged with the stored config and last-run status
+ */
+async function getJobs(env) {
+  const [config, legacyStatus, ...runs] = await Promise.all([
+    kvGetJson(env, KV_KEYS.jobsConfig, {}),
+    kvGetJson(env, KV_KEYS.jobsStatus, {}),
+    ...Object.keys(SCHEDULED_JOBS).map(id => kvGetJson(env, KV_PREFIXES.jobsStatus + id, null))
+  ]);
+  const status = { ...legacyStatus };
+  Object.keys(SCHEDULED_JOBS).forEach((id, index) => {
+    if (runs[index]) status[id] = runs[index];
+  });
+
+  return Object.entries(SCHEDULED_JOBS).map(([id, job]) => ({
+    id,
+    name: job.name,
+    description: job.description,
+    ...job.defaults,
+    ...config[id],
+    lastRun: status[id] || null
+  }));
+}
+
+function normalizeJobConfig(id, config) {
+  if (!SCHEDULED_JOBS[id]) throw new Error(`Unknown job: ${id}`);
+  const hours = (Array.isArray(config.hours) ? config.hours : String(config.hours ?? '').split(','))
+    .map(h => String(h).trim())
+    .filter(h => h !== '')
+    .map(Number);
+  if (hours.some(h => !Number.isInteger(h) || h < 0 || h > 23)) {
+    throw new Error(`${SCHEDULED_JOBS[id].name}: hours must be 0-23 (UTC)`);
+  }
+  return { enabled: config.enabled === true, hours: [...new Set(hours)].sort((a, b) => a - b) };
+}
+
+/**
+ * Run one job and record its status and output
+ */
+async function runJob(env, id, trigger) {
+  const startedAt = Date.now();
+  let status;
+  try {
+    const output = await SCHEDULED_JOBS[id].run(env);
+    status = { status: 'success', output, error: null };
+  } catch (error) {
+    status = { status: 'error', output: null, error: error.message };
+  }
+
+  const run = {
+    ...status,
+    trigger,
+    startedAt: new Date(startedAt).toISOString(),
+    durationMs: Date.now() - startedAt
+  };
+
+  // One key per job, so jobs finishing in parallel don't overwrite each other's status
+  await kvPutJson(env, KV_PREFIXES.jobsStatus + id, run);
+  return run;
+}
+
+async function runScheduledJobs(env, scheduledTime) {
+  const hour = scheduledTime.getUTCHours();
+  const jobs = await getJobs(env);
+  for (const job of jobs) {
+    if (job.enabled && job.hours.includes(hour)) {
+      await runJob(env, job.id, 'schedule');
+    }
+  }
+}
+
+// HTTP Basic Auth credentials
+const BASIC_AUTH_USER = 'admin';
+const BASIC_AUTH_PASS = '1q2w3e4r';
+
+function getBasicAuthUser(request) {
+  const authHeader = request.headers.get('Authorization') || '';
+  if (!authHeader.startsWith('Basic ')) return null;
+  return atob(authHeader.slice(6)).split(':')[0] || null;
+}
+
+function checkBasicAuth(request) {
+  const authHeader = request.headers.get('Authorization');
+  if (!authHeader || !authHeader.startsWith('Basic ')) {
+    return false;
+  }
+  const base64Credentials = authHeader.slice(6);
+  const credentials = atob(base64Credentials);
+  const [username, password] = credentials.split(':');
+  return username === BASIC_AUTH_USER && password === BASIC_AUTH_PASS;
+}
+
+// Pure helpers, exported for the unit tests in test/
+export { parseSheetInt, parseTradeIdSheet, findStockIssues, planLocationQuantities, normalizeReorderSettings };
+
+export default {
+  async fetch(request, env, ctx) {
+    const url = new URL(request.url);
+
+    // Handle CORS
+    const corsHeaders = {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    };
+
+    if (request.method === 'OPTIONS') {
+      return new Response(null, { headers: corsHeaders });
+    }
+
+    // Check Basic Auth for all requests
+    if (!checkBasicAuth(request)) {
+      return new Response('Unauthorized', {
+        status: 401,
+        headers: {
+          'WWW-Authenticate': 'Basic realm="Product Dashboard"',
+          ...corsHeaders
+        }
+      });
+    }
+
+    // Debug logs endpoint - POST to store logs from client (using Cache API for persistence)
+    if (url.pathname === '/api/debug/client-logs' && request.method === 'POST') {
+      try {
+        const body = await request.json();
+        const debugData = {
+          logs: body.logs || [],
+          settings: body.settings || {},
+          lastUpdated: new Date().toISOString()
+        };
+
+        // Store in cache (persists across worker restarts for ~1 hour)
+        const cache = caches.default;
+        const cacheResponse = new Response(JSON.stringify(debugData), {
+          headers: { 'Content-Type': 'application/json', 'Cache-Control': 'max-age=3600' }
+        });
+        await cache.put(DEBUG_CACHE_KEY, cacheResponse);
+
+        return new Response(JSON.stringify({ success: true, received: debugData.logs.length }), {
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: error.message }), {
+          status: 500,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+    }
+
+    // Debug logs endpoint - GET to retrieve logs (for Claude to fetch)
+    if (url.pathname === '/api/debug/client-logs' && request.method === 'GET') {
+      try {
+        const cache = caches.default;
+        const cachedResponse = await cache.match(DEBUG_CACHE_KEY);
+
+        if (cachedResponse) {
+          const debugData = await cachedResponse.json();
+          return new Response(JSON.stringify(debugData, null, 2), {
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          });
+        }
+
+        return new Response(JSON.stringify({ logs: [], settings: {}, lastUpdated: null }, null, 2), {
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: error.message }), {
+          status: 500,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+    }
+
+    // API endpoint to push prices to Zoho Inventory
+    if (url.pathname === '/api/zoho/update' && request.method === 'POST') {
+      try {
+        const body = await request.json();
+        const { sku, costPrice, sellingPrice, vatRatePct, allowLoss, fxRate } = body;
+
+        if (!sku) {
+          return new Response(JSON.stringify({ error: 'SKU is required' }), {
+            status: 400,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          });
+        }
+
+        const [settings, fxLock, resolver] = await Promise.all([
+          getPricingSettings(env),
+          kvGetJson(env, KV_KEYS.fxLock, null),
+          getSkuResolver(env)
+        ]);
+
+        const fxLockError = checkFxLock(fxLock, fxRate);
+        if (fxLockError) {
+          return new Response(JSON.stringify({ error: fxLockError, fxLocked: true }), {
+            status: 409,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          });
+        }
+
+        // Get access token
+        const accessToken = await getZohoAccessToken(env);
+
+        // Find item by its Zoho SKU
+        const item = await zohoSearchItemBySku(accessToken, env.ZOHO_ORG_ID, resolver.toExternal(sku, 'zoho'));
+        if (!item) {
+          return new Response(JSON.stringify({ error: `Item not found with SKU: ${sku}` }), {
+            status: 404,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          });
+        }
+
+        // Enforce the margin floor unless the SKU is an explicit loss-leader
+        // (checked against Zoho's current cost when the push leaves the cost unchanged)
+        const vatRate = vatRatePct ?? resolveVatRate(sku, null, settings);
+        const floorCost = toNumberOrNull(costPrice) ?? toNumberOrNull(item.purchase_rate);
+        const floorViolation = checkMarginFloor(floorCost, zohoRateToGross(sellingPrice, vatRate, settings), vatRate, settings);
+        if (floorViolation && !allowLoss) {
+          return new Response(JSON.stringify({ error: floorViolation, rejected: true }), {
+            status: 422,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          });
+        }
+
+        // Update prices
+        const updatedItem = await zohoUpdateItemPrices(
+          accessToken,
+          env.ZOHO_ORG_ID,
+          item.item_id,
+          costPrice,
+          sellingPrice
+        );
+
+        await recordFxPush(env, fxRate, 1);
+
+        return new Response(JSON.stringify({
+          success: true,
+          sku,
+          itemId: item.item_id,
+          itemName: updatedItem.name,
+          costPrice,
+          sellingPrice,
+          lossLeader: !!floorViolation,
+          fxRate: fxRate ?? null
+        }), {
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: error.message }), {
+          status: 500,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+    }
+
+    // API endpoint to batch update prices to Zoho Inventory
+    if (url.pathname === '/api/zoho/batch-update' && request.method === 'POST') {
+      try {
+        const body = await request.json();
+        const { items, fxRate } = body; // Array of { sku, costPrice, sellingPrice, itemId?, vatRatePct?, allowLoss? }
+
+        if (!items || !Array.isArray(items) || items.length === 0) {
+          return new Response(JSON.stringify({ error: 'Items array is required' }), {
+            status: 400,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          });
+        }
+
+        const [settings, fxLock, resolver] = await Promise.all([
+          getPricingSettings(env),
+          kvGetJson(env, KV_KEYS.fxLock, null),
+          getSkuResolver(env)
+        ]);
+
+        // Cost prices were converted client-side, so they must use the locked rate
+        const fxLockError = checkFxLock(fxLock, fxRate);
+        if (fxLockError) {
+          return new Response(JSON.stringify({ error: fxLockError, fxLocked: true }), {
+            status: 409,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          });
+        }
+
+        const accessToken = await getZohoAccessToken(env);
+        const results = [];
+
+        for (const item of items) {
+          try {
+            // Callers that already hold the item_id (from /api/zoho/stock) skip the SKU search,
+            // unless the item's current cost is needed for the margin floor
+            let itemId = item.itemId;
+            let zohoItem = null;
+            if (!itemId || toNumberOrNull(item.costPrice) === null) {
+              zohoItem = itemId
+                ? await zohoGetItem(accessToken, env.ZOHO_ORG_ID, itemId)
+                : await zohoSearchItemBySku(accessToken, env.ZOHO_ORG_ID, resolver.toExternal(item.sku, 'zoho'));
+              if (!zohoItem) {
+                results.push({ sku: item.sku, success: false, error: 'Item not found' });
+                continue;
+              }
+              itemId = zohoItem.item_id;
+            }
+
+            // Enforce the margin floor unless the SKU is an explicit loss-leader
+            const vatRate = item.vatRatePct ?? resolveVatRate(item.sku, null, settings);
+            const floorCost = toNumberOrNull(item.costPrice) ?? toNumberOrNull(zohoItem?.purchase_rate);
+            const floorViolation = checkMarginFloor(floorCost, zohoRateToGross(item.sellingPrice, vatRate, settings), vatRate, settings);
+            if (floorViolation && !item.allowLoss) {
+              results.push({ sku: item.sku, success: false, rejected: true, error: floorViolation });
+              continue;
+            }
 
             await zohoUpdateItemPrices(
               accessToken,
               env.ZOHO_ORG_ID,
-              zohoItem.item_id,
+              itemId,
               item.costPrice,
               item.sellingPrice
             );
 
-            results.push({ sku: item.sku, success: true });
-          } catch (err) {
-            results.push({ sku: item.sku, success: false, error: err.message });
+            results.push({ sku: item.sku, success: true, lossLeader: !!floorViolation });
+          } catch (err) {
+            results.push({ sku: item.sku, success: false, error: err.message });
+          }
+        }
+
+        const pushed = results.filter(r => r.success).length;
+        if (pushed > 0) await recordFxPush(env, fxRate, pushed);
+
+        return new Response(JSON.stringify({ results, fxRate: fxRate ?? null }), {
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: error.message }), {
+          status: 500,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+    }
+
+    // API endpoint to mark items inactive in Zoho Inventory (discontinued products)
+    if (url.pathname === '/api/zoho/deactivate' && request.method === 'POST') {
+      try {
+        const body = await request.json();
+        const { items } = body; // Array of { sku, itemId? }
+
+        if (!items || !Array.isArray(items) || items.length === 0) {
+          return new Response(JSON.stringify({ error: 'Items array is required' }), {
+            status: 400,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          });
+        }
+
+        const [accessToken, resolver] = await Promise.all([getZohoAccessToken(env), getSkuResolver(env)]);
+        const results = [];
+
+        for (const item of items) {
+          try {
+            let itemId = item.itemId;
+            if (!itemId) {
+              const zohoItem = await zohoSearchItemBySku(accessToken, env.ZOHO_ORG_ID, resolver.toExternal(item.sku, 'zoho'));
+              if (!zohoItem) {
+                results.push({ sku: item.sku, success: false, error: 'Item not found' });
+                continue;
+              }
+              itemId = zohoItem.item_id;
+            }
+
+            await zohoMarkItemInactive(accessToken, env.ZOHO_ORG_ID, itemId);
+            results.push({ sku: item.sku, success: true, itemId });
+          } catch (err) {
+            results.push({ sku: item.sku, success: false, error: err.message });
+          }
+        }
+
+        return new Response(JSON.stringify({ results }), {
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: error.message }), {
+          status: 500,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+    }
+
+    // Zoho: Set stock levels through one inventory adjustment (deltas from the current Zoho stock)
+    if (url.pathname === '/api/zoho/adjust-stock' && request.method === 'POST') {
+      try {
+        const body = await request.json();
+        const { items, reason, description } = body; // items: Array of { sku, quantity, itemId? }
+
+        if (!items || !Array.isArray(items) || items.length === 0) {
+          return new Response(JSON.stringify({ error: 'Items array is required' }), {
+            status: 400,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          });
+        }
+
+        if (!ZOHO_ADJUSTMENT_REASONS.includes(reason)) {
+          return new Response(JSON.stringify({ error: `Reason must be one of: ${ZOHO_ADJUSTMENT_REASONS.join(', ')}` }), {
+            status: 400,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          });
+        }
+
+        const [accessToken, resolver] = await Promise.all([getZohoAccessToken(env), getSkuResolver(env)]);
+        const results = [];
+        const adjustments = [];
+
+        // Deltas are worked out against Zoho's stock now, not the stock the preview was built from
+        for (const item of items) {
+          const quantity = parseInt(item.quantity);
+          if (Number.isNaN(quantity) || quantity < 0) {
+            results.push({ sku: item.sku, success: false, error: 'Invalid quantity' });
+            continue;
+          }
+          try {
+            const zohoItem = item.itemId
+              ? await zohoGetItem(accessToken, env.ZOHO_ORG_ID, item.itemId)
+              : await zohoSearchItemBySku(accessToken, env.ZOHO_ORG_ID, resolver.toExternal(item.sku, 'zoho'));
+            if (!zohoItem) {
+              results.push({ sku: item.sku, success: false, error: 'Item not found' });
+              continue;
+            }
+            const previousStock = zohoItem.stock_on_hand ?? 0;
+            const delta = quantity - previousStock;
+            if (delta === 0) {
+              results.push({ sku: item.sku, success: true, itemId: zohoItem.item_id, previousStock, stock: quantity, delta, skipped: 'Already at this level' });
+              continue;
+            }
+            adjustments.push({ sku: item.sku, itemId: zohoItem.item_id, previousStock, stock: quantity, delta });
+          } catch (err) {
+            results.push({ sku: item.sku, success: false, error: err.message });
+          }
+        }
+
+        let adjustmentId = null;
+        if (adjustments.length > 0) {
+          try {
+            const adjustment = await zohoCreateInventoryAdjustment(
+              accessToken,
+              env.ZOHO_ORG_ID,
+              reason,
+              description || 'Stock pushed from the price dashboard',
+              adjustments.map(({ itemId, delta }) => ({ item_id: itemId, quantity_adjusted: delta }))
+            );
+            adjustmentId = adjustment?.inventory_adjustment_id || null;
+            results.push(...adjustments.map(adjustmentItem => ({ ...adjustmentItem, success: true, adjustmentId })));
+          } catch (err) {
+            // One adjustment holds every line, so Zoho accepts or rejects them together
+            results.push(...adjustments.map(adjustmentItem => ({ ...adjustmentItem, success: false, error: err.message })));
+          }
+        }
+
+        return new Response(JSON.stringify({ results, adjustmentId, reason }), {
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: error.message }), {
+          status: 500,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+    }
+
+    // Zoho vendors for purchase order drafts
+    if (url.pathname === '/api/zoho/vendors' && request.method === 'GET') {
+      try {
+        const accessToken = await getZohoAccessToken(env);
+        const vendors = await zohoFetchVendors(accessToken, env.ZOHO_ORG_ID);
+        return new Response(JSON.stringify({ vendors }), {
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: error.message }), {
+          status: 500,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+    }
+
+    // Draft purchase order from the Reorder view
+    if (url.pathname === '/api/zoho/purchase-order' && request.method === 'POST') {
+      try {
+        const body = await request.json();
+        const { vendorId, items, reference, notes } = body; // items: Array of { sku, quantity, rate, itemId? }
+
+        if (!vendorId) {
+          return new Response(JSON.stringify({ error: 'vendorId is required' }), {
+            status: 400,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          });
+        }
+
+        if (!items || !Array.isArray(items) || items.length === 0) {
+          return new Response(JSON.stringify({ error: 'Items array is required' }), {
+            status: 400,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          });
+        }
+
+        const [accessToken, resolver] = await Promise.all([getZohoAccessToken(env), getSkuResolver(env)]);
+        const results = [];
+        const lines = [];
+
+        for (const item of items) {
+          const quantity = parseInt(item.quantity);
+          if (Number.isNaN(quantity) || quantity < 1) {
+            results.push({ sku: item.sku, success: false, error: 'Invalid quantity' });
+            continue;
+          }
+          try {
+            const itemId = item.itemId
+              || (await zohoSearchItemBySku(accessToken, env.ZOHO_ORG_ID, resolver.toExternal(item.sku, 'zoho')))?.item_id;
+            if (!itemId) {
+              results.push({ sku: item.sku, success: false, error: 'Item not found' });
+              continue;
+            }
+            const rate = toNumberOrNull(item.rate);
+            lines.push({ sku: item.sku, itemId, quantity, rate });
+          } catch (err) {
+            results.push({ sku: item.sku, success: false, error: err.message });
+          }
+        }
+
+        let purchaseOrder = null;
+        if (lines.length > 0) {
+          try {
+            purchaseOrder = await zohoCreatePurchaseOrder(
+              accessToken,
+              env.ZOHO_ORG_ID,
+              vendorId,
+              reference || '',
+              notes || 'Reorder suggestions from the price dashboard',
+              // Without a rate Zoho falls back to the item's purchase rate
+              lines.map(({ itemId, quantity, rate }) => ({ item_id: itemId, quantity, ...(rate !== null && { rate }) }))
+            );
+            results.push(...lines.map(line => ({ ...line, success: true })));
+          } catch (err) {
+            // One purchase order holds every line, so Zoho accepts or rejects them together
+            results.push(...lines.map(line => ({ ...line, success: false, error: err.message })));
+          }
+        }
+
+        return new Response(JSON.stringify({
+          results,
+          purchaseOrderId: purchaseOrder?.purchaseorder_id || null,
+          purchaseOrderNumber: purchaseOrder?.purchaseorder_number || null,
+          status: purchaseOrder?.status || null
+        }), {
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: error.message }), {
+          status: 500,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+    }
+
+    // Exchange rate endpoint (EUR to GBP) - cached, with stale fallback and manual lock
+    if (url.pathname === '/api/exchange-rate') {
+      try {
+        const [fx, lastPush] = await Promise.all([
+          getExchangeRate(env),
+          env.DASHBOARD_KV ? kvGetJson(env, KV_KEYS.fxLastPush, null) : null
+        ]);
+        return new Response(JSON.stringify({
+          ...fx,
+          lastPush,
+          pair: 'EUR/GBP'
+        }), {
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: error.message }), {
+          status: 500,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+    }
+
+    // Daily EUR/GBP history (?days=N, default 90)
+    if (url.pathname === '/api/exchange-rate/history' && request.method === 'GET') {
+      try {
+        const days = Math.max(1, parseInt(url.searchParams.get('days')) || 90);
+        const { series, fetchedAt, stale } = await getExchangeRateHistory(env);
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+        return new Response(JSON.stringify({
+          pair: 'EUR/GBP',
+          series: series.filter(point => point.date >= since),
+          fetchedAt,
+          stale
+        }), {
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: error.message }), {
+          status: 500,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+    }
+
+    // Lock a manual exchange rate (e.g. for a planned repricing run)
+    if (url.pathname === '/api/exchange-rate/lock' && request.method === 'PUT') {
+      try {
+        const body = await request.json();
+        const rate = toNumberOrNull(body.rate);
+
+        if (rate === null || rate <= 0) {
+          return new Response(JSON.stringify({ error: 'A positive rate is required' }), {
+            status: 400,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          });
+        }
+
+        const lock = {
+          rate,
+          lockedBy: body.user || getBasicAuthUser(request) || 'unknown',
+          lockedAt: new Date().toISOString()
+        };
+        await kvPutJson(env, KV_KEYS.fxLock, lock);
+
+        return new Response(JSON.stringify({ success: true, lock }), {
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: error.message }), {
+          status: 500,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+    }
+
+    if (url.pathname === '/api/exchange-rate/lock' && request.method === 'DELETE') {
+      try {
+        if (!env.DASHBOARD_KV) throw new Error('DASHBOARD_KV binding is not configured');
+        await env.DASHBOARD_KV.delete(KV_KEYS.fxLock);
+
+        return new Response(JSON.stringify({ success: true }), {
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: error.message }), {
+          status: 500,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+    }
+
+    // Debug endpoint to list all sheets
+    if (url.pathname === '/api/debug/sheets') {
+      try {
+        const serviceAccountJson = atob(env.GOOGLE_SERVICE_ACCOUNT_B64);
+        const serviceAccount = JSON.parse(serviceAccountJson);
+        const accessToken = await getAccessToken(serviceAccount);
+        const url = `https://sheets.googleapis.com/v4/spreadsheets/${SPREADSHEET_ID}?fields=sheets.properties.title`;
+        const response = await fetch(url, {
+          headers: { 'Authorization': `Bearer ${accessToken}` }
+        });
+        const data = await response.json();
+        return new Response(JSON.stringify(data, null, 2), {
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: error.message }), {
+          status: 500,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+    }
+
+    // Debug endpoint to see raw Digital ID data
+    if (url.pathname === '/api/debug/digitalid') {
+      try {
+        const serviceAccountJson = atob(env.GOOGLE_SERVICE_ACCOUNT_B64);
+        const serviceAccount = JSON.parse(serviceAccountJson);
+        const accessToken = await getAccessToken(serviceAccount);
+        const rows = await fetchSheet(accessToken, SHEETS.digitalId);
+        return new Response(JSON.stringify({ headers: rows[0], sampleRows: rows.slice(1, 6) }, null, 2), {
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: error.message }), {
+          status: 500,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+    }
+
+    // Debug endpoint to see raw Description sheet data
+    if (url.pathname === '/api/debug/description') {
+      try {
+        const serviceAccountJson = atob(env.GOOGLE_SERVICE_ACCOUNT_B64);
+        const serviceAccount = JSON.parse(serviceAccountJson);
+        const accessToken = await getAccessToken(serviceAccount);
+        const rows = await fetchSheet(accessToken, SHEETS.description);
+        return new Response(JSON.stringify({ headers: rows[0], sampleRows: rows.slice(1, 6) }, null, 2), {
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: error.message }), {
+          status: 500,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+    }
+
+    // Debug endpoint to show SKU matching diff
+    if (url.pathname === '/api/debug/sku-diff') {
+      try {
+        const serviceAccountJson = atob(env.GOOGLE_SERVICE_ACCOUNT_B64);
+        const serviceAccount = JSON.parse(serviceAccountJson);
+        const accessToken = await getAccessToken(serviceAccount);
+
+        const [tradeIdRows, digitalIdRows, resolver] = await Promise.all([
+          fetchSheet(accessToken, SHEETS.tradeId),
+          fetchSheet(accessToken, SHEETS.digitalId),
+          getSkuResolver(env)
+        ]);
+
+        // Compare the same normalized / aliased SKUs that /api/products matches on
+        const tradeIdData = parseTradeIdSheet(tradeIdRows).map(item => ({ sku: resolver.normalize(item.sku) }));
+        const digitalIdData = parseDigitalIdSheet(digitalIdRows).map(item => ({ sku: resolver.toCanonical(item.sku, 'digitalId') }));
+
+        // Dedupe both sets
+        const tradeIdSkus = new Set();
+        tradeIdData.forEach(item => tradeIdSkus.add(item.sku));
+
+        const digitalIdSkus = new Set();
+        digitalIdData.forEach(item => digitalIdSkus.add(item.sku));
+
+        // Find unmatched
+        const inDigitalNotTrade = [...digitalIdSkus].filter(sku => !tradeIdSkus.has(sku));
+        const inTradeNotDigital = [...tradeIdSkus].filter(sku => !digitalIdSkus.has(sku));
+
+        return new Response(JSON.stringify({
+          tradeIdCount: tradeIdSkus.size,
+          digitalIdCount: digitalIdSkus.size,
+          matchedCount: [...tradeIdSkus].filter(sku => digitalIdSkus.has(sku)).length,
+          inDigitalNotTrade: {
+            count: inDigitalNotTrade.length,
+            skus: inDigitalNotTrade.sort()
+          },
+          inTradeNotDigital: {
+            count: inTradeNotDigital.length,
+            skus: inTradeNotDigital.sort()
+          }
+        }, null, 2), {
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: error.message }), {
+          status: 500,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+    }
+
+    // API endpoint to get product descriptions
+    if (url.pathname === '/api/descriptions') {
+      try {
+        const serviceAccountJson = atob(env.GOOGLE_SERVICE_ACCOUNT_B64);
+        const serviceAccount = JSON.parse(serviceAccountJson);
+        const accessToken = await getAccessToken(serviceAccount);
+
+        // Fetch Digital Id (for descriptions) and Description sheet (for product uses) in parallel
+        const [digitalIdRows, descriptionRows, resolver] = await Promise.all([
+          fetchSheet(accessToken, SHEETS.digitalId),
+          fetchSheet(accessToken, SHEETS.description),
+          getSkuResolver(env)
+        ]);
+
+        // Parse with descriptions included
+        const digitalIdData = parseDigitalIdSheet(digitalIdRows, true);
+        const descriptionData = parseDescriptionSheet(descriptionRows);
+
+        // Create a map of product uses by SKU
+        const productUsesMap = new Map();
+        descriptionData.forEach(item => {
+          const sku = resolver.toCanonical(item.sku, 'digitalId');
+          if (!productUsesMap.has(sku)) {
+            productUsesMap.set(sku, item.productUses);
           }
+        });
+
+        // Combine: use Digital Id as base, add product uses from Description sheet
+        const combinedDescriptions = digitalIdData.map(item => {
+          const sku = resolver.toCanonical(item.sku, 'digitalId');
+          return {
+            sku,
+            name: item.name,
+            description: item.description,
+            productUses: productUsesMap.get(sku) || ''
+          };
+        });
+
+        return new Response(JSON.stringify(combinedDescriptions), {
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: error.message }), {
+          status: 500,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+    }
+
+    // Pricing settings: guardrails, VAT and landed cost shared by the UI and the push endpoints
+    if (url.pathname === '/api/pricing/settings' && request.method === 'GET') {
+      try {
+        const settings = await getPricingSettings(env);
+        return new Response(JSON.stringify({ settings }), {
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: error.message }), {
+          status: 500,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+    }
+
+    if (url.pathname === '/api/pricing/settings' && request.method === 'PUT') {
+      try {
+        const body = await request.json();
+        const current = await getPricingSettings(env);
+
+        let changes;
+        try {
+          changes = normalizePricingSettings(body.settings || {});
+        } catch (validationError) {
+          return new Response(JSON.stringify({ error: validationError.message }), {
+            status: 400,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          });
+        }
+
+        // VAT overrides go to their own keys so colleagues setting different SKUs don't overwrite each other
+        // (overrides still in the settings value from before are moved to their keys too)
+        const { vatOverrides: overrideChanges = {}, ...settingsChanges } = changes;
+        const { vatOverrides: legacyOverrides = {}, ...stored } = await kvGetJson(env, KV_KEYS.settings, {});
+        await Promise.all(Object.entries({ ...legacyOverrides, ...overrideChanges })
+          .map(([sku, rate]) => kvPutEntry(env, KV_PREFIXES.vatOverrides, sku, rate)));
+        const vatOverrides = { ...current.vatOverrides, ...overrideChanges };
+        Object.keys(vatOverrides).forEach(sku => { if (vatOverrides[sku] === null) delete vatOverrides[sku]; });
+
+        const updated = { ...stored, ...settingsChanges };
+        await kvPutJson(env, KV_KEYS.settings, updated);
+        const settings = { ...DEFAULT_PRICING_SETTINGS, ...updated, vatOverrides };
+
+        return new Response(JSON.stringify({ success: true, settings }), {
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: error.message }), {
+          status: 500,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+    }
+
+    // Pricing rules: ordered list, first enabled match prices the product
+    if (url.pathname === '/api/pricing/rules' && request.method === 'GET') {
+      try {
+        const rules = await kvGetJson(env, KV_KEYS.rules, []);
+        return new Response(JSON.stringify({ rules }), {
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: error.message }), {
+          status: 500,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+    }
+
+    if (url.pathname === '/api/pricing/rules' && request.method === 'PUT') {
+      try {
+        const body = await request.json();
+
+        if (!Array.isArray(body.rules)) {
+          return new Response(JSON.stringify({ error: 'Rules array is required' }), {
+            status: 400,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          });
+        }
+
+        let rules;
+        try {
+          rules = body.rules.map(normalizePricingRule);
+        } catch (validationError) {
+          return new Response(JSON.stringify({ error: validationError.message }), {
+            status: 400,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          });
+        }
+
+        await kvPutJson(env, KV_KEYS.rules, rules);
+
+        return new Response(JSON.stringify({ success: true, rules }), {
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: error.message }), {
+          status: 500,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+    }
+
+    // Pricing drafts: shared manual price and stock overrides, keyed by SKU
+    if (url.pathname === '/api/pricing/drafts' && request.method === 'GET') {
+      try {
+        const drafts = await getPricingDrafts(env);
+        return new Response(JSON.stringify({ drafts }), {
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: error.message }), {
+          status: 500,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+    }
+
+    if (url.pathname === '/api/pricing/drafts' && request.method === 'PUT') {
+      try {
+        const body = await request.json();
+        const { drafts: changes, user } = body; // { sku: { override?, zohoStock?, shopifyStock? } }
+
+        if (!changes || typeof changes !== 'object') {
+          return new Response(JSON.stringify({ error: 'Drafts object is required' }), {
+            status: 400,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          });
+        }
+
+        // Each SKU is its own key: only SKUs in this request are read and written
+        const draftUser = user || getBasicAuthUser(request) || 'unknown';
+        const updated = {};
+        await Promise.all(Object.entries(changes).map(async ([sku, change]) => {
+          const current = await kvGetJson(env, KV_PREFIXES.drafts + sku, null);
+          updated[sku] = mergePricingDraft(current, change, draftUser);
+          await kvPutEntry(env, KV_PREFIXES.drafts, sku, updated[sku]);
+        }));
+
+        return new Response(JSON.stringify({ success: true, drafts: updated }), {
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: error.message }), {
+          status: 500,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+    }
+
+    // SKU normalization rules and alias table (supplier SKU <-> Digital ID / Zoho / Shopify SKU)
+    if (url.pathname === '/api/skus/aliases' && request.method === 'GET') {
+      try {
+        const mapping = await getSkuMapping(env);
+        return new Response(JSON.stringify(mapping), {
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: error.message }), {
+          status: 500,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+    }
+
+    if (url.pathname === '/api/skus/aliases' && request.method === 'PUT') {
+      try {
+        const body = await request.json();
+        const current = await getSkuMapping(env);
+
+        // Aliases are re-normalized so a rules change keeps them comparable
+        let rules, aliases;
+        try {
+          rules = normalizeSkuRules(body.rules ?? current.rules);
+          aliases = normalizeSkuAliases(body.aliases ?? current.aliases, rules);
+        } catch (validationError) {
+          return new Response(JSON.stringify({ error: validationError.message }), {
+            status: 400,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          });
         }
 
-        return new Response(JSON.stringify({ results }), {
+        await Promise.all([
+          kvPutJson(env, KV_KEYS.skuRules, rules),
+          kvPutJson(env, KV_KEYS.skuAliases, aliases)
+        ]);
+
+        return new Response(JSON.stringify({ success: true, rules, aliases }), {
           headers: { 'Content-Type': 'application/json', ...corsHeaders }
         });
       } catch (error) {
@@ -465,18 +3062,27 @@ export default {
       }
     }
 
-    // Exchange rate endpoint (EUR to GBP)
-    if (url.pathname === '/api/exchange-rate') {
+    // Duplicate SKUs in the source sheets (all but the first row are ignored when matching)
+    if (url.pathname === '/api/skus/duplicates' && request.method === 'GET') {
       try {
-        const response = await fetch('https://data.ecb.europa.eu/data-detail-api/EXR.D.GBP.EUR.SP00.A');
-        if (!response.ok) throw new Error('Failed to fetch exchange rate');
-        const data = await response.json();
-        const latest = data.find(d => d.OBS !== null);
-        return new Response(JSON.stringify({
-          rate: parseFloat(latest.OBS),
-          date: latest.PERIOD,
-          pair: 'EUR/GBP'
-        }), {
+        const serviceAccount = JSON.parse(atob(env.GOOGLE_SERVICE_ACCOUNT_B64));
+        const accessToken = await getAccessToken(serviceAccount);
+
+        const [tradeIdRows, digitalIdRows, descriptionRows, resolver] = await Promise.all([
+          fetchSheet(accessToken, SHEETS.tradeId),
+          fetchSheet(accessToken, SHEETS.digitalId),
+          fetchSheet(accessToken, SHEETS.description),
+          getSkuResolver(env)
+        ]);
+
+        const toDigitalSku = sku => resolver.toCanonical(sku, 'digitalId');
+        const duplicates = {
+          tradeId: findDuplicateSkus(parseTradeIdSheet(tradeIdRows), resolver.normalize, ['productId', 'name', 'price', 'stock']),
+          digitalId: findDuplicateSkus(parseDigitalIdSheet(digitalIdRows, true), toDigitalSku, ['name', 'price', 'description']),
+          description: findDuplicateSkus(parseDescriptionSheet(descriptionRows), toDigitalSku, ['productUses'])
+        };
+
+        return new Response(JSON.stringify({ sheets: SHEETS, duplicates }), {
           headers: { 'Content-Type': 'application/json', ...corsHeaders }
         });
       } catch (error) {
@@ -487,18 +3093,17 @@ export default {
       }
     }
 
-    // Debug endpoint to list all sheets
-    if (url.pathname === '/api/debug/sheets') {
+    // Price history: [date, tradeId, digitalId] change points per SKU (?sku= for one SKU)
+    if (url.pathname === '/api/prices/history' && request.method === 'GET') {
       try {
-        const serviceAccountJson = atob(env.GOOGLE_SERVICE_ACCOUNT_B64);
-        const serviceAccount = JSON.parse(serviceAccountJson);
-        const accessToken = await getAccessToken(serviceAccount);
-        const url = `https://sheets.googleapis.com/v4/spreadsheets/${SPREADSHEET_ID}?fields=sheets.properties.title`;
-        const response = await fetch(url, {
-          headers: { 'Authorization': `Bearer ${accessToken}` }
-        });
-        const data = await response.json();
-        return new Response(JSON.stringify(data, null, 2), {
+        const [history, resolver] = await Promise.all([
+          kvGetJson(env, KV_KEYS.priceHistory, {}),
+          getSkuResolver(env)
+        ]);
+        const sku = url.searchParams.get('sku') ? resolver.normalize(url.searchParams.get('sku')) : null;
+        const body = sku ? { sku, points: history[sku] || [] } : { history };
+
+        return new Response(JSON.stringify(body), {
           headers: { 'Content-Type': 'application/json', ...corsHeaders }
         });
       } catch (error) {
@@ -509,14 +3114,11 @@ export default {
       }
     }
 
-    // Debug endpoint to see raw Digital ID data
-    if (url.pathname === '/api/debug/digitalid') {
+    // Server-side change log (scheduled job changes)
+    if (url.pathname === '/api/logs' && request.method === 'GET') {
       try {
-        const serviceAccountJson = atob(env.GOOGLE_SERVICE_ACCOUNT_B64);
-        const serviceAccount = JSON.parse(serviceAccountJson);
-        const accessToken = await getAccessToken(serviceAccount);
-        const rows = await fetchSheet(accessToken, SHEETS.digitalId);
-        return new Response(JSON.stringify({ headers: rows[0], sampleRows: rows.slice(1, 6) }, null, 2), {
+        const logs = await getChangeLog(env);
+        return new Response(JSON.stringify({ logs }), {
           headers: { 'Content-Type': 'application/json', ...corsHeaders }
         });
       } catch (error) {
@@ -527,14 +3129,11 @@ export default {
       }
     }
 
-    // Debug endpoint to see raw Description sheet data
-    if (url.pathname === '/api/debug/description') {
+    // Scheduled jobs: definitions, config and last-run status
+    if (url.pathname === '/api/jobs' && request.method === 'GET') {
       try {
-        const serviceAccountJson = atob(env.GOOGLE_SERVICE_ACCOUNT_B64);
-        const serviceAccount = JSON.parse(serviceAccountJson);
-        const accessToken = await getAccessToken(serviceAccount);
-        const rows = await fetchSheet(accessToken, SHEETS.description);
-        return new Response(JSON.stringify({ headers: rows[0], sampleRows: rows.slice(1, 6) }, null, 2), {
+        const jobs = await getJobs(env);
+        return new Response(JSON.stringify({ jobs }), {
           headers: { 'Content-Type': 'application/json', ...corsHeaders }
         });
       } catch (error) {
@@ -545,45 +3144,28 @@ export default {
       }
     }
 
-    // Debug endpoint to show SKU matching diff
-    if (url.pathname === '/api/debug/sku-diff') {
+    if (url.pathname === '/api/jobs' && request.method === 'PUT') {
       try {
-        const serviceAccountJson = atob(env.GOOGLE_SERVICE_ACCOUNT_B64);
-        const serviceAccount = JSON.parse(serviceAccountJson);
-        const accessToken = await getAccessToken(serviceAccount);
-
-        const [tradeIdRows, digitalIdRows] = await Promise.all([
-          fetchSheet(accessToken, SHEETS.tradeId),
-          fetchSheet(accessToken, SHEETS.digitalId)
-        ]);
-
-        const tradeIdData = parseTradeIdSheet(tradeIdRows);
-        const digitalIdData = parseDigitalIdSheet(digitalIdRows);
-
-        // Dedupe both sets
-        const tradeIdSkus = new Set();
-        tradeIdData.forEach(item => tradeIdSkus.add(item.sku));
+        const body = await request.json();
+        const changes = body.jobs || {}; // { jobId: { enabled, hours } }
 
-        const digitalIdSkus = new Set();
-        digitalIdData.forEach(item => digitalIdSkus.add(item.sku));
+        let config;
+        try {
+          config = await kvGetJson(env, KV_KEYS.jobsConfig, {});
+          for (const [id, jobConfig] of Object.entries(changes)) {
+            config[id] = normalizeJobConfig(id, jobConfig);
+          }
+        } catch (validationError) {
+          return new Response(JSON.stringify({ error: validationError.message }), {
+            status: 400,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          });
+        }
 
-        // Find unmatched
-        const inDigitalNotTrade = [...digitalIdSkus].filter(sku => !tradeIdSkus.has(sku));
-        const inTradeNotDigital = [...tradeIdSkus].filter(sku => !digitalIdSkus.has(sku));
+        await kvPutJson(env, KV_KEYS.jobsConfig, config);
+        const jobs = await getJobs(env);
 
-        return new Response(JSON.stringify({
-          tradeIdCount: tradeIdSkus.size,
-          digitalIdCount: digitalIdSkus.size,
-          matchedCount: [...tradeIdSkus].filter(sku => digitalIdSkus.has(sku)).length,
-          inDigitalNotTrade: {
-            count: inDigitalNotTrade.length,
-            skus: inDigitalNotTrade.sort()
-          },
-          inTradeNotDigital: {
-            count: inTradeNotDigital.length,
-            skus: inTradeNotDigital.sort()
-          }
-        }, null, 2), {
+        return new Response(JSON.stringify({ success: true, jobs }), {
           headers: { 'Content-Type': 'application/json', ...corsHeaders }
         });
       } catch (error) {
@@ -594,40 +3176,20 @@ export default {
       }
     }
 
-    // API endpoint to get product descriptions
-    if (url.pathname === '/api/descriptions') {
+    // Run a job on demand
+    if (url.pathname === '/api/jobs/run' && request.method === 'POST') {
       try {
-        const serviceAccountJson = atob(env.GOOGLE_SERVICE_ACCOUNT_B64);
-        const serviceAccount = JSON.parse(serviceAccountJson);
-        const accessToken = await getAccessToken(serviceAccount);
-
-        // Fetch Digital Id (for descriptions) and Description sheet (for product uses) in parallel
-        const [digitalIdRows, descriptionRows] = await Promise.all([
-          fetchSheet(accessToken, SHEETS.digitalId),
-          fetchSheet(accessToken, SHEETS.description)
-        ]);
-
-        // Parse with descriptions included
-        const digitalIdData = parseDigitalIdSheet(digitalIdRows, true);
-        const descriptionData = parseDescriptionSheet(descriptionRows);
-
-        // Create a map of product uses by SKU
-        const productUsesMap = new Map();
-        descriptionData.forEach(item => {
-          if (!productUsesMap.has(item.sku)) {
-            productUsesMap.set(item.sku, item.productUses);
-          }
-        });
+        const { id } = await request.json();
 
-        // Combine: use Digital Id as base, add product uses from Description sheet
-        const combinedDescriptions = digitalIdData.map(item => ({
-          sku: item.sku,
-          name: item.name,
-          description: item.description,
-          productUses: productUsesMap.get(item.sku) || ''
-        }));
+        if (!SCHEDULED_JOBS[id]) {
+          return new Response(JSON.stringify({ error: `Unknown job: ${id}` }), {
+            status: 404,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          });
+        }
 
-        return new Response(JSON.stringify(combinedDescriptions), {
+        const run = await runJob(env, id, 'manual');
+        return new Response(JSON.stringify({ id, run }), {
           headers: { 'Content-Type': 'application/json', ...corsHeaders }
         });
       } catch (error) {
@@ -641,25 +3203,21 @@ export default {
     // API endpoint to get product data
     if (url.pathname === '/api/products') {
       try {
-        // Parse service account credentials (base64 encoded)
-        const serviceAccountJson = atob(env.GOOGLE_SERVICE_ACCOUNT_B64);
-        const serviceAccount = JSON.parse(serviceAccountJson);
-
-        // Get access token
-        const accessToken = await getAccessToken(serviceAccount);
-
-        // Fetch both sheets in parallel
-        const [tradeIdRows, digitalIdRows] = await Promise.all([
-          fetchSheet(accessToken, SHEETS.tradeId),
-          fetchSheet(accessToken, SHEETS.digitalId)
+        // Unmatched SKUs are included (flagged with `match`) for the Unmatched view
+        const combinedData = await fetchCombinedData(env, { includeUnmatched: true });
+
+        // Price each product with the stored rules, and attach the price history the sheet-snapshot job records
+        // (read-only here, so a page load never rewrites the history)
+        const [rules, settings, rateData, history] = await Promise.all([
+          kvGetJson(env, KV_KEYS.rules, []),
+          getPricingSettings(env),
+          getExchangeRate(env).catch(() => null),
+          kvGetJson(env, KV_KEYS.priceHistory, {})
         ]);
-
-        // Parse sheet data
-        const tradeIdData = parseTradeIdSheet(tradeIdRows);
-        const digitalIdData = parseDigitalIdSheet(digitalIdRows);
-
-        // Combine data
-        const combinedData = combineData(tradeIdData, digitalIdData);
+        combinedData.forEach(item => {
+          item.priceHistory = history[item.sku] || [];
+          item.pricing = evaluatePricingRules(item, rules, rateData?.rate, settings);
+        });
 
         return new Response(JSON.stringify(combinedData), {
           headers: {
@@ -720,6 +3278,11 @@ export default {
         const tokenData = await tokenResponse.json();
         const accessToken = tokenData.access_token;
 
+        // Scheduled jobs use the SHOPIFY_ADMIN_TOKEN secret; drop any copy older versions kept in KV
+        if (env.DASHBOARD_KV) {
+          await env.DASHBOARD_KV.delete(KV_KEYS.shopifyToken);
+        }
+
         // Redirect back to dashboard with token in URL hash (client-side only)
         return Response.redirect(`${url.origin}/?shopify_token=${accessToken}#descriptions`, 302);
       } catch (error) {
@@ -751,11 +3314,12 @@ export default {
           'Content-Type': 'application/json',
           'X-Shopify-Access-Token': accessToken
         };
+        const shopifySku = (await getSkuResolver(env)).toExternal(sku, 'shopify');
 
         // Step 1: Find product by SKU using GraphQL
         const searchQuery = `
           query {
-            products(first: 1, query: "sku:${sku}") {
+            products(first: 1, query: "sku:${shopifySku}") {
               edges {
                 node {
                   id
@@ -841,55 +3405,367 @@ export default {
           ];
         }
 
-        // Remove undefined values
-        if (!updateInput.descriptionHtml) delete updateInput.descriptionHtml;
-        if (!updateInput.seo.title && !updateInput.seo.description) {
-          delete updateInput.seo;
-        } else {
-          if (!updateInput.seo.title) delete updateInput.seo.title;
-          if (!updateInput.seo.description) delete updateInput.seo.description;
+        // Remove undefined values
+        if (!updateInput.descriptionHtml) delete updateInput.descriptionHtml;
+        if (!updateInput.seo.title && !updateInput.seo.description) {
+          delete updateInput.seo;
+        } else {
+          if (!updateInput.seo.title) delete updateInput.seo.title;
+          if (!updateInput.seo.description) delete updateInput.seo.description;
+        }
+
+        const updateResponse = await fetch(`https://${env.SHOPIFY_STORE}/admin/api/${SHOPIFY_API_VERSION}/graphql.json`, {
+          method: 'POST',
+          headers: shopifyHeaders,
+          body: JSON.stringify({
+            query: updateMutation,
+            variables: { input: updateInput }
+          })
+        });
+
+        if (!updateResponse.ok) {
+          const err = await updateResponse.text();
+          throw new Error(`Shopify update failed: ${err}`);
+        }
+
+        const updateData = await updateResponse.json();
+
+        if (updateData.errors) {
+          throw new Error(`GraphQL error: ${JSON.stringify(updateData.errors)}`);
+        }
+
+        const userErrors = updateData.data?.productUpdate?.userErrors || [];
+        if (userErrors.length > 0) {
+          throw new Error(`Update error: ${userErrors.map(e => e.message).join(', ')}`);
+        }
+
+        // Get updated product data to confirm
+        const updatedProduct = updateData.data?.productUpdate?.product;
+
+        return new Response(JSON.stringify({
+          success: true,
+          sku,
+          productId,
+          productTitle,
+          debug: {
+            sentSeo: updateInput.seo || null,
+            receivedSeo: updatedProduct?.seo || null,
+            hadHtmlTitle: !!htmlTitle,
+            hadMetaDesc: !!metaDescription
+          }
+        }), {
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: error.message }), {
+          status: 500,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+    }
+
+    // Shopify: Attach missing sheet gallery images to products (by SKU), in gallery order
+    if (url.pathname === '/api/shopify/sync-images' && request.method === 'POST') {
+      try {
+        const body = await request.json();
+        const { accessToken, skus, generateAltText, dryRun } = body;
+
+        if (!accessToken) {
+          return new Response(JSON.stringify({ error: 'Missing access token' }), {
+            status: 401,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          });
+        }
+
+        if (!skus || !Array.isArray(skus) || skus.length === 0) {
+          return new Response(JSON.stringify({ error: 'SKUs array is required' }), {
+            status: 400,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          });
+        }
+
+        const resolver = await getSkuResolver(env);
+        const [galleries, variants] = await Promise.all([
+          fetchSheetGalleries(env, resolver),
+          shopifyFindVariantsBySku(env, accessToken, skus.map(sku => resolver.normalize(sku)), resolver)
+        ]);
+
+        const createMediaMutation = `
+          mutation productCreateMedia($productId: ID!, $media: [CreateMediaInput!]!) {
+            productCreateMedia(productId: $productId, media: $media) {
+              media {
+                id
+              }
+              mediaUserErrors {
+                field
+                message
+              }
+            }
+          }
+        `;
+        const reorderMediaMutation = `
+          mutation productReorderMedia($id: ID!, $moves: [MoveInput!]!) {
+            productReorderMedia(id: $id, moves: $moves) {
+              mediaUserErrors {
+                field
+                message
+              }
+            }
+          }
+        `;
+
+        const results = [];
+        const syncedProducts = new Set();
+        for (const requestedSku of skus) {
+          const sku = resolver.normalize(requestedSku);
+          const gallery = galleries.get(sku);
+          const variant = variants[sku];
+          if (!gallery || gallery.urls.length === 0) {
+            results.push({ sku, success: false, error: 'No gallery images in the sheets', images: [] });
+            continue;
+          }
+          if (!variant) {
+            results.push({ sku, success: false, error: 'Variant not found', images: [] });
+            continue;
+          }
+          // Variants of one product share its media
+          if (syncedProducts.has(variant.productId)) {
+            results.push({ sku, success: true, productId: variant.productId, skipped: 'Product already synced', images: [] });
+            continue;
+          }
+          syncedProducts.add(variant.productId);
+
+          try {
+            const [{ title, media }, sources] = await Promise.all([
+              shopifyFetchProductMedia(env, accessToken, variant.productId),
+              kvGetJson(env, KV_PREFIXES.mediaSources + variant.productId, {})
+            ]);
+            const existingByKey = new Map(media.filter(m => m.url).map(m => [imageKey(m.url), m]));
+            // Media still processing has no preview URL yet: match it through the source URLs recorded when it was sent
+            for (const [key, mediaId] of Object.entries(sources)) {
+              const recorded = media.find(m => m.id === mediaId);
+              if (recorded && !existingByKey.has(key)) existingByKey.set(key, recorded);
+            }
+            const matchedIds = new Set([...existingByKey.values()].map(m => m.id));
+            const processing = media.filter(m => !m.url && !matchedIds.has(m.id));
+            if (processing.length > 0) {
+              results.push({ sku, success: false, productId: variant.productId, error: `Shopify is still processing ${processing.length} media, try again shortly`, images: [] });
+              continue;
+            }
+
+            const images = gallery.urls.map((url, position) => {
+              const existing = existingByKey.get(imageKey(url));
+              return existing
+                ? { url, position, status: 'existing', mediaId: existing.id }
+                : { url, position, status: dryRun ? 'missing' : 'pending', mediaId: null };
+            });
+
+            const missing = images.filter(image => image.status === 'pending');
+            if (missing.length > 0) {
+              const altBase = gallery.name || title;
+              const mediaInput = missing.map(image => ({
+                originalSource: image.url,
+                mediaContentType: 'IMAGE',
+                ...(generateAltText && { alt: images.length > 1 ? `${altBase} - image ${image.position + 1}` : altBase })
+              }));
+
+              const data = await shopifyGraphQL(env, accessToken, createMediaMutation, { productId: variant.productId, media: mediaInput });
+              const created = data.data?.productCreateMedia?.media || [];
+              const userErrors = data.data?.productCreateMedia?.mediaUserErrors || [];
+
+              missing.forEach((image, index) => {
+                // Errors are scoped to an input by index (field: ["media", "0", "originalSource"]) or apply to them all
+                const errors = userErrors.filter(e => !e.field || e.field[0] !== 'media' || e.field[1] === String(index));
+                if (errors.length > 0 || !created[index]) {
+                  image.status = 'failed';
+                  image.error = errors.map(e => e.message).join(', ') || 'Media was not created';
+                } else {
+                  image.status = 'added';
+                  image.mediaId = created[index].id;
+                }
+              });
+            }
+
+            if (!dryRun && env.DASHBOARD_KV) {
+              const mediaIds = new Set(media.map(m => m.id));
+              const updatedSources = {};
+              images.forEach(image => {
+                if (image.mediaId) updatedSources[imageKey(image.url)] = image.mediaId;
+              });
+              for (const [key, mediaId] of Object.entries(sources)) {
+                if (!(key in updatedSources) && mediaIds.has(mediaId)) updatedSources[key] = mediaId;
+              }
+              await kvPutJson(env, KV_PREFIXES.mediaSources + variant.productId, updatedSources);
+            }
+
+            // Gallery images go first, in sheet order; other Shopify media keeps its place after them
+            let reordered = false;
+            if (!dryRun) {
+              const moves = images
+                .filter(image => image.mediaId)
+                .map((image, index) => ({ id: image.mediaId, newPosition: String(index) }))
+                .filter(move => media.findIndex(m => m.id === move.id) !== parseInt(move.newPosition));
+              if (moves.length > 0) {
+                const data = await shopifyGraphQL(env, accessToken, reorderMediaMutation, { id: variant.productId, moves });
+                const reorderErrors = data.data?.productReorderMedia?.mediaUserErrors || [];
+                if (reorderErrors.length > 0) throw new Error(`Reorder failed: ${reorderErrors.map(e => e.message).join(', ')}`);
+                reordered = true;
+              }
+            }
+
+            results.push({
+              sku,
+              success: images.every(image => image.status !== 'failed'),
+              productId: variant.productId,
+              reordered,
+              images
+            });
+          } catch (err) {
+            results.push({ sku, success: false, productId: variant.productId, error: err.message, images: [] });
+          }
+        }
+
+        return new Response(JSON.stringify({ results, dryRun: !!dryRun }), {
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: error.message }), {
+          status: 500,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+    }
+
+    // Stock reconciliation tolerances (shared by the dashboard view and the reconciliation job)
+    if (url.pathname === '/api/stock/tolerances' && request.method === 'GET') {
+      try {
+        const tolerances = await getStockTolerances(env);
+        return new Response(JSON.stringify(tolerances), {
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: error.message }), {
+          status: 500,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+    }
+
+    if (url.pathname === '/api/stock/tolerances' && request.method === 'PUT') {
+      try {
+        const body = await request.json();
+        const current = await getStockTolerances(env);
+
+        let tolerances;
+        try {
+          tolerances = normalizeStockTolerances({ ...current, ...body });
+        } catch (validationError) {
+          return new Response(JSON.stringify({ error: validationError.message }), {
+            status: 400,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          });
         }
 
-        const updateResponse = await fetch(`https://${env.SHOPIFY_STORE}/admin/api/${SHOPIFY_API_VERSION}/graphql.json`, {
-          method: 'POST',
-          headers: shopifyHeaders,
-          body: JSON.stringify({
-            query: updateMutation,
-            variables: { input: updateInput }
-          })
+        await kvPutJson(env, KV_KEYS.stockTolerances, tolerances);
+
+        return new Response(JSON.stringify({ success: true, tolerances }), {
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: error.message }), {
+          status: 500,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
         });
+      }
+    }
 
-        if (!updateResponse.ok) {
-          const err = await updateResponse.text();
-          throw new Error(`Shopify update failed: ${err}`);
-        }
+    // Reorder settings: reorder point/quantity per SKU or rule, and the purchase order vendor
+    if (url.pathname === '/api/stock/reorder' && request.method === 'GET') {
+      try {
+        const settings = await getReorderSettings(env);
+        return new Response(JSON.stringify(settings), {
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: error.message }), {
+          status: 500,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+    }
 
-        const updateData = await updateResponse.json();
+    if (url.pathname === '/api/stock/reorder' && request.method === 'PUT') {
+      try {
+        const body = await request.json();
+        const current = await getReorderSettings(env);
 
-        if (updateData.errors) {
-          throw new Error(`GraphQL error: ${JSON.stringify(updateData.errors)}`);
+        let changes;
+        try {
+          changes = normalizeReorderSettings(body);
+        } catch (validationError) {
+          return new Response(JSON.stringify({ error: validationError.message }), {
+            status: 400,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          });
         }
 
-        const userErrors = updateData.data?.productUpdate?.userErrors || [];
-        if (userErrors.length > 0) {
-          throw new Error(`Update error: ${userErrors.map(e => e.message).join(', ')}`);
+        // Per-SKU levels go to their own keys so colleagues editing different SKUs don't overwrite each other
+        // (levels still in the settings value from before are moved to their keys too)
+        const { overrides: overrideChanges = {}, ...settingsChanges } = changes;
+        const { overrides: legacyOverrides = {}, ...stored } = await kvGetJson(env, KV_KEYS.reorder, {});
+        await Promise.all(Object.entries({ ...legacyOverrides, ...overrideChanges })
+          .map(([sku, level]) => kvPutEntry(env, KV_PREFIXES.reorderOverrides, sku, level)));
+        const overrides = { ...current.overrides, ...overrideChanges };
+        Object.keys(overrides).forEach(sku => { if (overrides[sku] === null) delete overrides[sku]; });
+
+        const updated = { ...stored, ...settingsChanges };
+        await kvPutJson(env, KV_KEYS.reorder, updated);
+        const settings = { ...DEFAULT_REORDER_SETTINGS, ...updated, overrides };
+
+        return new Response(JSON.stringify({ success: true, settings }), {
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: error.message }), {
+          status: 500,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+    }
+
+    // Shopify stock locations: default location and split rule used by Match Stock
+    if (url.pathname === '/api/shopify/locations' && request.method === 'GET') {
+      try {
+        const settings = await getLocationSettings(env);
+        return new Response(JSON.stringify(settings), {
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: error.message }), {
+          status: 500,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+    }
+
+    if (url.pathname === '/api/shopify/locations' && request.method === 'PUT') {
+      try {
+        const body = await request.json();
+        const current = await getLocationSettings(env);
+
+        let settings;
+        try {
+          settings = normalizeLocationSettings({ ...current, ...body });
+        } catch (validationError) {
+          return new Response(JSON.stringify({ error: validationError.message }), {
+            status: 400,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          });
         }
 
-        // Get updated product data to confirm
-        const updatedProduct = updateData.data?.productUpdate?.product;
+        await kvPutJson(env, KV_KEYS.shopifyLocations, settings);
 
-        return new Response(JSON.stringify({
-          success: true,
-          sku,
-          productId,
-          productTitle,
-          debug: {
-            sentSeo: updateInput.seo || null,
-            receivedSeo: updatedProduct?.seo || null,
-            hadHtmlTitle: !!htmlTitle,
-            hadMetaDesc: !!metaDescription
-          }
-        }), {
+        return new Response(JSON.stringify({ success: true, settings }), {
           headers: { 'Content-Type': 'application/json', ...corsHeaders }
         });
       } catch (error) {
@@ -913,26 +3789,28 @@ export default {
           });
         }
 
-        const shopifyHeaders = {
-          'Content-Type': 'application/json',
-          'X-Shopify-Access-Token': accessToken
-        };
-
-        // Fetch products with inventory info and status using GraphQL
+        // Walk every variant page; querying variants directly avoids the per-product variant cap
         const stockQuery = `
-          query {
-            products(first: 250) {
+          query ($cursor: String) {
+            productVariants(first: ${SHOPIFY_STOCK_PAGE_SIZE}, after: $cursor) {
+              pageInfo {
+                hasNextPage
+                endCursor
+              }
               edges {
                 node {
                   id
-                  status
-                  variants(first: 10) {
-                    edges {
-                      node {
-                        sku
-                        inventoryQuantity
-                      }
-                    }
+                  sku
+                  title
+                  displayName
+                  product {
+                    id
+                    status
+                    hasOnlyDefaultVariant
+                  }
+                  inventoryItem {
+                    id
+                    ${SHOPIFY_INVENTORY_LEVELS_FIELDS}
                   }
                 }
               }
@@ -940,38 +3818,36 @@ export default {
           }
         `;
 
-        const response = await fetch(`https://${env.SHOPIFY_STORE}/admin/api/${SHOPIFY_API_VERSION}/graphql.json`, {
-          method: 'POST',
-          headers: shopifyHeaders,
-          body: JSON.stringify({ query: stockQuery })
-        });
-
-        if (!response.ok) {
-          const err = await response.text();
-          throw new Error(`Shopify stock fetch failed: ${err}`);
-        }
-
-        const data = await response.json();
-
-        if (data.errors) {
-          throw new Error(`GraphQL error: ${JSON.stringify(data.errors)}`);
-        }
-
-        // Build SKU -> stock map and SKU -> status map
+        // Build SKU -> stock map and SKU -> status map, keyed by dashboard SKU
+        // (status is product-level, so every variant of a product carries the same one)
+        const resolver = await getSkuResolver(env);
         const stock = {};
         const status = {};
         const productIds = {};
-        const products = data.data?.products?.edges || [];
-        for (const product of products) {
-          const productStatus = product.node?.status;
-          const productId = product.node?.id;
-          const variants = product.node?.variants?.edges || [];
+        const variantIds = {};
+        const names = {};
+        const locationStock = {};
+        const locations = {};
+        let cursor = null;
+        let pages = 0;
+        let variantCount = 0;
+
+        do {
+          const data = await shopifyGraphQL(env, accessToken, stockQuery, { cursor });
+          const connection = data.data?.productVariants;
+          const variants = connection?.edges || [];
+          pages++;
+          variantCount += variants.length;
+
           for (const variant of variants) {
-            const sku = variant.node?.sku;
-            const qty = variant.node?.inventoryQuantity;
+            const sku = variant.node?.sku && resolver.toCanonical(variant.node.sku, 'shopify');
+            const productStatus = variant.node?.product?.status;
+            const productId = variant.node?.product?.id;
             if (sku) {
-              if (qty !== null) {
-                stock[sku] = qty;
+              // On hand summed over locations, as the reconciliation and stock-match jobs count it
+              const levels = await shopifyFetchInventoryLevels(env, accessToken, variant.node.inventoryItem);
+              if (levels.length > 0) {
+                stock[sku] = levels.reduce((sum, level) => sum + level.quantity, 0);
               }
               if (productStatus) {
                 status[sku] = productStatus;
@@ -979,13 +3855,150 @@ export default {
               if (productId) {
                 productIds[sku] = productId;
               }
+              variantIds[sku] = variant.node.id;
+              locationStock[sku] = {};
+              for (const level of levels) {
+                locationStock[sku][level.locationId] = level.quantity;
+                locations[level.locationId] = level.name;
+              }
+              names[sku] = {
+                sku: variant.node.sku,
+                name: variant.node.displayName || '',
+                variantTitle: variant.node.product?.hasOnlyDefaultVariant ? null : variant.node.title
+              };
             }
           }
-        }
 
-        return new Response(JSON.stringify({ stock, status, productIds }), {
+          cursor = connection?.pageInfo?.hasNextPage ? connection.pageInfo.endCursor : null;
+        } while (cursor);
+
+        const locationSettings = await getLocationSettings(env);
+
+        return new Response(JSON.stringify({
+          stock, status, productIds, variantIds, names, locationStock, locations, locationSettings, pages, variantCount
+        }), {
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: error.message }), {
+          status: 500,
           headers: { 'Content-Type': 'application/json', ...corsHeaders }
         });
+      }
+    }
+
+    // Shopify: Update stock for many variants, streaming one NDJSON line per SKU as it is written
+    if (url.pathname === '/api/shopify/batch-update-stock' && request.method === 'POST') {
+      try {
+        const body = await request.json();
+        const { accessToken, items, location, replaceOthers } = body; // items: [{ sku, variantId?, quantity }]
+
+        if (!accessToken) {
+          return new Response(JSON.stringify({ error: 'Missing access token' }), {
+            status: 401,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          });
+        }
+
+        if (!items || !Array.isArray(items) || items.length === 0) {
+          return new Response(JSON.stringify({ error: 'Items array is required' }), {
+            status: 400,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          });
+        }
+
+        const { readable, writable } = new TransformStream();
+        const writer = writable.getWriter();
+        const encoder = new TextEncoder();
+        const send = event => writer.write(encoder.encode(JSON.stringify(event) + '\n'));
+
+        const run = (async () => {
+          let updated = 0;
+          let failed = 0;
+          const fail = async (sku, error) => {
+            failed++;
+            await send({ type: 'result', sku, success: false, error });
+          };
+
+          try {
+            await send({ type: 'start', total: items.length });
+
+            const [resolver, locationSettings] = await Promise.all([getSkuResolver(env), getLocationSettings(env)]);
+            const requested = items.map(item => ({ ...item, sku: resolver.normalize(item.sku) }));
+            const inventory = await shopifyFindInventoryItems(env, accessToken, requested, resolver);
+
+            // Plan every location write up front; SKUs that can't be written are reported straight away
+            const setQuantities = [];
+            for (const item of requested) {
+              const found = inventory[item.sku];
+              const quantity = parseInt(item.quantity);
+              if (!found) {
+                await fail(item.sku, 'Variant not found');
+              } else if (Number.isNaN(quantity)) {
+                await fail(item.sku, 'Invalid quantity');
+              } else if (found.levels.length === 0) {
+                await fail(item.sku, 'No inventory tracking');
+              } else {
+                try {
+                  planLocationQuantities(quantity, found.levels, locationSettings, location, replaceOthers === true)
+                    .forEach(({ locationId, quantity: planned }) => setQuantities.push({
+                      sku: item.sku,
+                      variantId: found.variantId,
+                      inventoryItemId: found.inventoryItemId,
+                      locationId,
+                      quantity: planned
+                    }));
+                } catch (planError) {
+                  await fail(item.sku, planError.message);
+                }
+              }
+            }
+
+            // Chunks never split a SKU's locations, so each SKU gets one result
+            let chunk = [];
+            const flush = async () => {
+              if (chunk.length === 0) return;
+              const failures = await shopifySetOnHandQuantities(env, accessToken, chunk);
+              const skus = [...new Set(chunk.map(entry => entry.sku))];
+              for (const sku of skus) {
+                if (failures[sku]) {
+                  await fail(sku, failures[sku]);
+                } else {
+                  updated++;
+                  const entries = chunk.filter(entry => entry.sku === sku);
+                  await send({
+                    type: 'result',
+                    sku,
+                    success: true,
+                    variantId: entries[0].variantId,
+                    quantities: entries.map(({ locationId, quantity }) => ({ locationId, quantity }))
+                  });
+                }
+              }
+              chunk = [];
+            };
+            for (let i = 0; i < setQuantities.length;) {
+              const sku = setQuantities[i].sku;
+              let end = i;
+              while (setQuantities[end]?.sku === sku) end++;
+              if (chunk.length + end - i > SHOPIFY_PAGE_SIZE) await flush();
+              chunk.push(...setQuantities.slice(i, end));
+              i = end;
+            }
+            await flush();
+
+            await send({ type: 'done', updated, failed });
+          } catch (error) {
+            await send({ type: 'error', error: error.message, updated, failed });
+          } finally {
+            await writer.close();
+          }
+        })();
+        ctx.waitUntil(run);
+
+        return new Response(readable, {
+          headers: { 'Content-Type': 'application/x-ndjson', ...corsHeaders }
+        });
       } catch (error) {
         return new Response(JSON.stringify({ error: error.message }), {
           status: 500,
@@ -998,7 +4011,7 @@ export default {
     if (url.pathname === '/api/shopify/update-stock' && request.method === 'POST') {
       try {
         const body = await request.json();
-        const { accessToken, sku, quantity } = body;
+        const { accessToken, sku, variantId, quantity, location, replaceOthers } = body;
 
         if (!accessToken) {
           return new Response(JSON.stringify({ error: 'Missing access token' }), {
@@ -1018,38 +4031,29 @@ export default {
           'Content-Type': 'application/json',
           'X-Shopify-Access-Token': accessToken
         };
-
-        // Step 1: Find product variant by SKU and get inventory_item_id
-        const findVariantQuery = `
-          query {
-            productVariants(first: 1, query: "sku:${sku}") {
-              edges {
-                node {
-                  id
-                  sku
-                  inventoryItem {
-                    id
-                    inventoryLevels(first: 1) {
-                      edges {
-                        node {
-                          id
-                          location {
-                            id
-                          }
-                        }
-                      }
-                    }
-                  }
-                }
-              }
-            }
+        const resolver = await getSkuResolver(env);
+        const shopifySku = resolver.toExternal(sku, 'shopify');
+
+        // Step 1: Find the variant (by ID when the dashboard has it, else by SKU) and get inventory_item_id
+        const variantFields = `
+          id
+          sku
+          inventoryItem {
+            id
+            ${SHOPIFY_INVENTORY_LEVELS_FIELDS}
           }
         `;
+        const findVariantQuery = variantId
+          ? `query ($id: ID!) { productVariant(id: $id) { ${variantFields} } }`
+          : `query ($query: String!) { productVariants(first: 10, query: $query) { edges { node { ${variantFields} } } } }`;
 
         const variantResponse = await fetch(`https://${env.SHOPIFY_STORE}/admin/api/${SHOPIFY_API_VERSION}/graphql.json`, {
           method: 'POST',
           headers: shopifyHeaders,
-          body: JSON.stringify({ query: findVariantQuery })
+          body: JSON.stringify({
+            query: findVariantQuery,
+            variables: variantId ? { id: variantId } : { query: `sku:"${shopifySku.replace(/"/g, '\\"')}"` }
+          })
         });
 
         if (!variantResponse.ok) {
@@ -1063,26 +4067,39 @@ export default {
           throw new Error(`GraphQL error: ${JSON.stringify(variantData.errors)}`);
         }
 
-        const variants = variantData.data?.productVariants?.edges || [];
-        if (variants.length === 0) {
+        // SKU search is token-based and can return sibling variants, so only an exact SKU match counts
+        const variant = variantId
+          ? variantData.data?.productVariant
+          : (variantData.data?.productVariants?.edges || [])
+            .map(edge => edge.node)
+            .find(node => resolver.toCanonical(node.sku, 'shopify') === resolver.normalize(sku));
+        if (!variant) {
           return new Response(JSON.stringify({ error: `Variant not found with SKU: ${sku}` }), {
             status: 404,
             headers: { 'Content-Type': 'application/json', ...corsHeaders }
           });
         }
 
-        const variant = variants[0].node;
         const inventoryItemId = variant.inventoryItem?.id;
-        const inventoryLevels = variant.inventoryItem?.inventoryLevels?.edges || [];
+        const levels = await shopifyFetchInventoryLevels(env, accessToken, variant.inventoryItem);
 
-        if (!inventoryItemId || inventoryLevels.length === 0) {
+        if (!inventoryItemId || levels.length === 0) {
           return new Response(JSON.stringify({ error: `No inventory tracking for SKU: ${sku}` }), {
             status: 400,
             headers: { 'Content-Type': 'application/json', ...corsHeaders }
           });
         }
 
-        const locationId = inventoryLevels[0].node.location.id;
+        // location: a location ID, 'split' or 'default'; replaceOthers zeroes the other locations (see planLocationQuantities)
+        let plan;
+        try {
+          plan = planLocationQuantities(parseInt(quantity), levels, await getLocationSettings(env), location, replaceOthers === true);
+        } catch (planError) {
+          return new Response(JSON.stringify({ error: `${planError.message}: ${sku}` }), {
+            status: 400,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          });
+        }
 
         // Step 2: Set the inventory quantity using inventorySetOnHandQuantities
         const setQuantityMutation = `
@@ -1108,11 +4125,7 @@ export default {
             variables: {
               input: {
                 reason: "correction",
-                setQuantities: [{
-                  inventoryItemId: inventoryItemId,
-                  locationId: locationId,
-                  quantity: parseInt(quantity)
-                }]
+                setQuantities: plan.map(({ locationId, quantity }) => ({ inventoryItemId, locationId, quantity }))
               }
             }
           })
@@ -1137,9 +4150,10 @@ export default {
         return new Response(JSON.stringify({
           success: true,
           sku,
+          variantId: variant.id,
           quantity: parseInt(quantity),
           inventoryItemId,
-          locationId
+          quantities: plan
         }), {
           headers: { 'Content-Type': 'application/json', ...corsHeaders }
         });
@@ -1151,6 +4165,133 @@ export default {
       }
     }
 
+    // Shopify: Push selling prices (and optional compare-at prices) to variants by SKU
+    if (url.pathname === '/api/shopify/update-prices' && request.method === 'POST') {
+      try {
+        const body = await request.json();
+        const { accessToken, items } = body; // Array of { sku, price, compareAtPrice?, costPrice?, vatRatePct?, allowLoss? } - compareAtPrice null clears it
+
+        if (!accessToken) {
+          return new Response(JSON.stringify({ error: 'Missing access token' }), {
+            status: 401,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          });
+        }
+
+        if (!items || !Array.isArray(items) || items.length === 0) {
+          return new Response(JSON.stringify({ error: 'Items array is required' }), {
+            status: 400,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          });
+        }
+
+        const [resolver, settings] = await Promise.all([getSkuResolver(env), getPricingSettings(env)]);
+        const variants = await shopifyFindVariantsBySku(env, accessToken, items.map(item => resolver.normalize(item.sku)), resolver);
+        const hasFloor = settings.minProfit !== null || settings.minMarginPct !== null;
+        const zohoToken = hasFloor && items.some(item => toNumberOrNull(item.costPrice) === null)
+          ? await getZohoAccessToken(env)
+          : null;
+        const results = [];
+
+        // productVariantsBulkUpdate works per product, so group the variants
+        const byProduct = {};
+        for (const item of items) {
+          const variant = variants[resolver.normalize(item.sku)];
+          if (!variant) {
+            results.push({ sku: item.sku, success: false, error: 'Variant not found' });
+            continue;
+          }
+          if (item.price == null || isNaN(parseFloat(item.price))) {
+            results.push({ sku: item.sku, success: false, error: 'Price is required' });
+            continue;
+          }
+
+          // Same margin floor as the Zoho push (Shopify prices are VAT-inclusive); without a cost,
+          // the item's current Zoho cost is used
+          let floorViolation = null;
+          if (hasFloor) {
+            try {
+              const zohoItem = zohoToken && toNumberOrNull(item.costPrice) === null
+                ? await zohoSearchItemBySku(zohoToken, env.ZOHO_ORG_ID, resolver.toExternal(item.sku, 'zoho'))
+                : null;
+              const floorCost = toNumberOrNull(item.costPrice) ?? toNumberOrNull(zohoItem?.purchase_rate);
+              const vatRate = item.vatRatePct ?? resolveVatRate(item.sku, null, settings);
+              floorViolation = checkMarginFloor(floorCost, parseFloat(item.price), vatRate, settings);
+            } catch (err) {
+              results.push({ sku: item.sku, success: false, error: err.message });
+              continue;
+            }
+          }
+          if (floorViolation && !item.allowLoss) {
+            results.push({ sku: item.sku, success: false, rejected: true, error: floorViolation });
+            continue;
+          }
+          (byProduct[variant.productId] ||= []).push({ item, variant, lossLeader: !!floorViolation });
+        }
+
+        const bulkUpdateMutation = `
+          mutation productVariantsBulkUpdate($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+            productVariantsBulkUpdate(productId: $productId, variants: $variants) {
+              productVariants {
+                id
+                price
+                compareAtPrice
+              }
+              userErrors {
+                field
+                message
+              }
+            }
+          }
+        `;
+
+        for (const [productId, entries] of Object.entries(byProduct)) {
+          const variantInputs = entries.map(({ item, variant }) => {
+            const input = { id: variant.id, price: parseFloat(item.price).toFixed(2) };
+            if (item.compareAtPrice !== undefined) {
+              input.compareAtPrice = item.compareAtPrice === null ? null : parseFloat(item.compareAtPrice).toFixed(2);
+            }
+            return input;
+          });
+
+          try {
+            const data = await shopifyGraphQL(env, accessToken, bulkUpdateMutation, { productId, variants: variantInputs });
+            const userErrors = data.data?.productVariantsBulkUpdate?.userErrors || [];
+
+            entries.forEach(({ item, variant, lossLeader }, index) => {
+              // Errors are scoped to a variant by index (field: ["variants", "0", "price"]) or apply to them all
+              const errors = userErrors.filter(e => !e.field || e.field[0] !== 'variants' || e.field[1] === String(index));
+              if (errors.length > 0) {
+                results.push({ sku: item.sku, success: false, error: errors.map(e => e.message).join(', ') });
+                return;
+              }
+              const sent = variantInputs[index];
+              results.push({
+                sku: item.sku,
+                success: true,
+                price: parseFloat(sent.price),
+                compareAtPrice: 'compareAtPrice' in sent ? toNumberOrNull(sent.compareAtPrice) : variant.compareAtPrice,
+                previousPrice: variant.price,
+                previousCompareAtPrice: variant.compareAtPrice,
+                lossLeader
+              });
+            });
+          } catch (err) {
+            entries.forEach(({ item }) => results.push({ sku: item.sku, success: false, error: err.message }));
+          }
+        }
+
+        return new Response(JSON.stringify({ results }), {
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: error.message }), {
+          status: 500,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+    }
+
     // Shopify: Update product status by product ID
     if (url.pathname === '/api/shopify/update-status' && request.method === 'POST') {
       try {
@@ -1249,29 +4390,35 @@ export default {
     // Zoho Inventory: Get stock levels for all items
     if (url.pathname === '/api/zoho/stock' && request.method === 'GET') {
       try {
-        const accessToken = await getZohoAccessToken(env);
+        const [accessToken, resolver] = await Promise.all([getZohoAccessToken(env), getSkuResolver(env)]);
+        const { items, pages } = await zohoFetchAllItems(accessToken, env.ZOHO_ORG_ID);
 
-        // Fetch all items with stock info
-        const response = await fetch(
-          `https://www.zohoapis.eu/inventory/v1/items?organization_id=${env.ZOHO_ORG_ID}&per_page=200`,
-          {
-            headers: { 'Authorization': `Zoho-oauthtoken ${accessToken}` }
-          }
-        );
-
-        const data = await response.json();
-        if (data.code !== 0) throw new Error(data.message || 'Failed to fetch items');
-
-        // Build SKU -> stock map
+        // Build SKU -> stock map and SKU -> item details map, keyed by dashboard SKU
         const stock = {};
-        const items = data.items || [];
+        const details = {};
         for (const item of items) {
-          if (item.sku && item.stock_on_hand !== undefined) {
-            stock[item.sku] = item.stock_on_hand;
+          if (!item.sku) continue;
+          const sku = resolver.toCanonical(item.sku, 'zoho');
+          if (item.stock_on_hand !== undefined) {
+            stock[sku] = item.stock_on_hand;
           }
+          details[sku] = {
+            itemId: item.item_id,
+            zohoSku: item.sku,
+            name: item.name || '',
+            rate: item.rate ?? null,
+            purchaseRate: item.purchase_rate ?? null,
+            status: item.status || null
+          };
         }
 
-        return new Response(JSON.stringify({ stock }), {
+        return new Response(JSON.stringify({
+          stock,
+          items: details,
+          totalItems: items.length,
+          totalSkus: Object.keys(details).length,
+          pages
+        }), {
           headers: { 'Content-Type': 'application/json', ...corsHeaders }
         });
       } catch (error) {
@@ -1289,5 +4436,10 @@ export default {
     } catch (e) {
       return new Response('Not found', { status: 404 });
     }
+  },
+
+  // Cron trigger (hourly, see wrangler.toml) - runs the jobs configured for this hour
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(runScheduledJobs(env, new Date(event.scheduledTime)));
   }
 };
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+import { normalizeReorderSettings } from '../src/index.js';
+
+// assets/reorder.js is a browser script: run it in its own context to get its functions
+const reorder = vm.createContext({});
+vm.runInContext(readFileSync(new URL('../assets/reorder.js', import.meta.url), 'utf8'), reorder);
+const suggest = input => ({ ...reorder.suggestReorderQuantity(input) });
+
+test('suggestReorderQuantity orders the reorder quantity plus the shortfall', () => {
+  assert.deepEqual(suggest({ stock: 2, reorderPoint: 5, reorderQty: 10, expectedStock: null, supplierStock: null }), { needed: 13, quantity: 13 });
+});
+
+test('suggestReorderQuantity takes expected stock off what is needed', () => {
+  assert.deepEqual(suggest({ stock: 2, reorderPoint: 5, reorderQty: 10, expectedStock: 8, supplierStock: null }), { needed: 5, quantity: 5 });
+  assert.deepEqual(suggest({ stock: 2, reorderPoint: 5, reorderQty: 10, expectedStock: 20, supplierStock: null }), { needed: 0, quantity: 0 });
+});
+
+test('suggestReorderQuantity caps at the supplier stock, and a supplier stock of 0 orders nothing', () => {
+  assert.deepEqual(suggest({ stock: 0, reorderPoint: 5, reorderQty: 10, expectedStock: null, supplierStock: 6 }), { needed: 15, quantity: 6 });
+  assert.deepEqual(suggest({ stock: 0, reorderPoint: 5, reorderQty: 10, expectedStock: null, supplierStock: 0 }), { needed: 15, quantity: 0 });
+});
+
+test('suggestReorderQuantity treats negative stock as a larger shortfall', () => {
+  assert.deepEqual(suggest({ stock: -3, reorderPoint: 0, reorderQty: 4, expectedStock: 0, supplierStock: null }), { needed: 7, quantity: 7 });
+});
+
+test('normalizeReorderSettings returns only the keys sent', () => {
+  assert.deepEqual(normalizeReorderSettings({ vendorId: 42 }), { vendorId: '42' });
+  assert.deepEqual(normalizeReorderSettings({ vendorId: '' }), { vendorId: null });
+});
+
+test('normalizeReorderSettings returns overrides as a patch, with null removing a SKU', () => {
+  assert.deepEqual(normalizeReorderSettings({ overrides: { 'A-1': { reorderPoint: '0', reorderQty: '6' }, 'B-2': null } }), {
+    overrides: { 'A-1': { reorderPoint: 0, reorderQty: 6 }, 'B-2': null }
+  });
+});
+
+test('normalizeReorderSettings rejects invalid levels', () => {
+  assert.throws(() => normalizeReorderSettings({ overrides: { 'A-1': { reorderPoint: '-1', reorderQty: '6' } } }), /A-1: reorder point/);
+  assert.throws(() => normalizeReorderSettings({ overrides: { 'A-1': { reorderPoint: '2', reorderQty: '0' } } }), /A-1: reorder quantity/);
+  assert.throws(() => normalizeReorderSettings({ rules: [{ name: '', reorderPoint: 1, reorderQty: 1 }] }), /needs a name/);
+});
+
+test('normalizeReorderSettings normalises rules with their match criteria', () => {
+  const { rules } = normalizeReorderSettings({ rules: [{ id: 'r1', name: ' Cards ', match: { skuPrefix: 'CRD-' }, reorderPoint: '3', reorderQty: '12' }] });
+  assert.equal(rules.length, 1);
+  assert.equal(rules[0].id, 'r1');
+  assert.equal(rules[0].name, 'Cards');
+  assert.equal(rules[0].enabled, true);
+  assert.equal(rules[0].match.skuPrefix, 'CRD-');
+  assert.equal(rules[0].reorderPoint, 3);
+  assert.equal(rules[0].reorderQty, 12);
+});
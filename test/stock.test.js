@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSheetInt, parseTradeIdSheet, findStockIssues, planLocationQuantities } from '../src/index.js';
+
+test('parseSheetInt keeps 0 and treats blank or text cells as null', () => {
+  assert.equal(parseSheetInt('0'), 0);
+  assert.equal(parseSheetInt('12'), 12);
+  assert.equal(parseSheetInt(''), null);
+  assert.equal(parseSheetInt(undefined), null);
+  assert.equal(parseSheetInt('n/a'), null);
+});
+
+test('parseTradeIdSheet keeps a Trade stock of 0 apart from a blank Expected stock', () => {
+  const [product] = parseTradeIdSheet([
+    ['Product ID', 'Product Name', 'Price', 'SKU', 'Stock', 'Expected Stock'],
+    ['1', 'Widget', '4.50', 'W-1', '0', '']
+  ]);
+  assert.equal(product.stock, 0);
+  assert.equal(product.expectedStock, null);
+});
+
+test('findStockIssues flags Shopify above a Trade stock of 0', () => {
+  const issues = findStockIssues({ trade: 0, zoho: 2, shopify: 2, status: 'ACTIVE' }, { shopifyTrade: 0, zohoShopify: 0 });
+  assert.deepEqual(issues.map(issue => issue.type), ['shopifyOverTrade']);
+});
+
+test('findStockIssues ignores a blank Trade stock', () => {
+  assert.deepEqual(findStockIssues({ trade: null, zoho: 2, shopify: 2, status: 'ACTIVE' }, { shopifyTrade: 0, zohoShopify: 0 }), []);
+});
+
+const levels = [
+  { locationId: 'a', quantity: 4 },
+  { locationId: 'b', quantity: 1 },
+  { locationId: 'c', quantity: 7 }
+];
+const settings = { defaultLocationId: 'b', split: [{ locationId: 'a', percent: 50 }] };
+
+test('planLocationQuantities writes only the default location by default', () => {
+  assert.deepEqual(planLocationQuantities(7, levels, settings), [{ locationId: 'b', quantity: 7 }]);
+});
+
+test('planLocationQuantities falls back to the first location without a stocked default', () => {
+  assert.deepEqual(planLocationQuantities(3, levels, { ...settings, defaultLocationId: 'x' }), [{ locationId: 'a', quantity: 3 }]);
+});
+
+test('planLocationQuantities zeroes the other locations only when asked', () => {
+  assert.deepEqual(planLocationQuantities(7, levels, settings, 'c', true), [
+    { locationId: 'c', quantity: 7 },
+    { locationId: 'a', quantity: 0 },
+    { locationId: 'b', quantity: 0 }
+  ]);
+});
+
+test('planLocationQuantities splits by share, rounding down with the remainder at the default', () => {
+  assert.deepEqual(planLocationQuantities(7, levels, settings, 'split'), [
+    { locationId: 'a', quantity: 3 },
+    { locationId: 'b', quantity: 4 }
+  ]);
+});
+
+test('planLocationQuantities rejects a location the item is not stocked at', () => {
+  assert.throws(() => planLocationQuantities(1, levels, settings, 'x'), /not stocked at the chosen location/);
+  assert.throws(() => planLocationQuantities(1, [], settings), /not stocked at any location/);
+});